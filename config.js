@@ -20,8 +20,14 @@ export const physics = {
   BOUNCE_FACTOR: 0.8,
   /** Slime-ball collision elasticity */
   SLIME_BOUNCE_FACTOR: 1.0,
+  /** Ball-ball collision elasticity (extra balls) */
+  BALL_BALL_BOUNCE_FACTOR: 0.9,
+  /** Slime-slime collision elasticity (teammates) */
+  SLIME_SLIME_BOUNCE_FACTOR: 0.0,
   /** Net bounce boost factor - vertical speed added after net collision */
   NET_BOUNCE_BOOST: 0.15,
+  /** Speed into the rounded net cap below which the ball stops bouncing on it and rolls off */
+  NET_CAP_ROLL_SPEED: 1.5,
   /** Ground friction factor (0 = max friction, 1 = no friction) */
   GROUND_FRICTION: 0.85,
   /** Air friction factor (0 = max friction, 1 = no friction) */
@@ -30,10 +36,61 @@ export const physics = {
   BALL_MASS: 1,
   /** Mass of the slime for collision calculations */
   SLIME_MASS: 5,
+  /** Longest move, in radii of the actor, made per collision substep; faster actors move in several substeps */
+  SUBSTEP_DISTANCE: 1,
+  /** Maximum collision substeps per tick */
+  MAX_SUBSTEPS: 10,
   WALL_SLIDE_FRICTION_UP: 1.00,
   WALL_SLIDE_FRICTION_DOWN: 0.85,
 };
 
+/**
+ * Simulation timing parameters
+ */
+export const timing = {
+  /** Simulation ticks per second (all frame-based constants are counted in ticks) */
+  TICK_RATE: 60,
+  /** Longest real time (ms) a single animation frame may feed into the simulation */
+  MAX_FRAME_TIME: 250,
+  /** Maximum number of ticks simulated per animation frame before the backlog is dropped */
+  MAX_TICKS_PER_FRAME: 5,
+};
+
+/**
+ * Online play parameters
+ */
+export const netplay = {
+  /** Ticks local input is held back so it usually reaches the peer in time */
+  INPUT_DELAY: 2,
+  /** Ticks a peer may simulate ahead of the last confirmed tick before waiting */
+  MAX_PREDICTION: 12,
+  /** Port of the relay server (server/relay.mjs) */
+  RELAY_PORT: 8787,
+};
+
+/**
+ * Gamepad input. Button and axis numbers follow the browser's "standard" mapping.
+ */
+export const gamepad = {
+  /** Stick deflection (0-1) ignored around the center */
+  STICK_DEADZONE: 0.25,
+  /** Vertical stick deflection needed to jump (up) or duck (down) */
+  STICK_VERTICAL_THRESHOLD: 0.6,
+  /** Horizontal and vertical axes of the left stick */
+  AXIS_X: 0,
+  AXIS_Y: 1,
+  /** Buttons for each control: A/Cross and d-pad up jump, B/Circle and d-pad down duck, X and Y serve */
+  JUMP_BUTTONS: [0, 12],
+  DUCK_BUTTONS: [1, 13],
+  SERVE_BUTTONS: [2, 3],
+  LEFT_BUTTONS: [14],
+  RIGHT_BUTTONS: [15],
+  /** Buttons that claim a player slot on the setup screen (A/Cross, Start) */
+  JOIN_BUTTONS: [0, 9],
+  /** Button that pauses and resumes a match (Start/Options) */
+  START_BUTTON: 9,
+};
+
 /**
  * Game dimensions
  */
@@ -54,7 +111,7 @@ export const dimensions = {
  * Game rules
  */
 export const rules = {
-  /** Points needed to win the game */
+  /** Points needed to win the game (or a set, for formats without their own target) */
   WINNING_SCORE: 5,
   /** Cooldown between scoring events (ms) */
   SCORING_COOLDOWN: 2000,
@@ -62,6 +119,59 @@ export const rules = {
   MAX_PLAYERS: 4,
   /** Countdown duration before round starts (seconds) */
   COUNTDOWN_DURATION: 3,
+  /** Enforce touch rules: touch limit per side and double hits */
+  TOUCH_RULES_ENABLED: false,
+  /** Touches a team may make before the ball has to cross the net */
+  MAX_TOUCHES: 3,
+  /** Window in which repeated contacts of one slime count as a single touch (ms) */
+  DOUBLE_HIT_GRACE: 100,
+  /** Teammates collide instead of passing through each other (can be changed in the match setup) */
+  TEAMMATE_COLLISIONS: false,
+  /** Serve mode: 'PLAYER' (the server tosses the ball with the serve key) or 'DROP' (the ball drops after the countdown) */
+  SERVE_MODE: 'PLAYER',
+  /** Time the server has to toss or hit the ball before it is a fault (ms) */
+  SERVE_CLOCK: 8000,
+  /** Upward speed of a serve toss */
+  SERVE_TOSS_SPEED: 5,
+  /** Scoring system: 'RALLY' (loser serves), 'SIDE_OUT' (only the server scores) or 'WINNER_SERVES' */
+  SCORING_SYSTEM: 'RALLY',
+  /** Match format, one of the keys of MATCH_FORMATS */
+  MATCH_FORMAT: 'SINGLE',
+  /** Match formats. A set is won by reaching POINTS with a lead of WIN_BY, or by reaching CAP. */
+  MATCH_FORMATS: {
+    SINGLE: {
+      SETS: 1,              // Best of this many sets
+      POINTS: null,         // Points to win a set (null uses WINNING_SCORE)
+      WIN_BY: 1,            // Lead needed to win a set
+      CAP: null,            // Score that wins a set regardless of the lead (null for no cap)
+      DECIDING_POINTS: null, // Points to win the deciding set (null uses POINTS)
+      SWITCH_SIDES: false   // Teams swap sides between sets
+    },
+    WIN_BY_TWO: {
+      SETS: 1,
+      POINTS: 7,
+      WIN_BY: 2,
+      CAP: 11,
+      DECIDING_POINTS: null,
+      SWITCH_SIDES: false
+    },
+    BEST_OF_3: {
+      SETS: 3,
+      POINTS: 7,
+      WIN_BY: 2,
+      CAP: 11,
+      DECIDING_POINTS: 5,
+      SWITCH_SIDES: true
+    },
+    BEST_OF_5: {
+      SETS: 5,
+      POINTS: 7,
+      WIN_BY: 2,
+      CAP: 11,
+      DECIDING_POINTS: 5,
+      SWITCH_SIDES: true
+    },
+  },
 };
 
 /**
@@ -91,6 +201,70 @@ export const movement = {
   JUMP_BUFFER_FRAMES: 6,
   JUMP_MIN_DURATION_FRAMES: 4,
   WALL_JUMP_LENIENCY_PIXELS: 10,
+  SPIKE_FORWARD_IMPULSE: 4,     // Speed toward the net added to the ball by an aerial spike (hold duck in the air)
+  SPIKE_DOWNWARD_IMPULSE: 5,    // Downward speed added to the ball by a spike
+  DUCK_HEIGHT_FACTOR: 0.6,      // Dome height while ducking on the ground, as a fraction of the radius
+  TEAMMATE_JUMP_BOOST: 1.35,    // Jump force multiplier when jumping off a teammate's dome
+};
+
+/**
+ * Air dash parameters. A slime dashes by double-tapping a direction in the air.
+ */
+export const dash = {
+  /** Allow air dashes */
+  ENABLED: true,
+  /** Frames between the two taps of a double-tap */
+  DOUBLE_TAP_WINDOW: 12,
+  /** Horizontal dash acceleration, relative to the play area width */
+  ACCELERATION: 0.1,
+  /** Frames the dash force is applied */
+  DURATION: 12,
+  /** Fraction of gravity cancelled while dashing (1 = level flight) */
+  GRAVITY_CANCEL: 0.8,
+  /** Max velocity multiplier while dashing */
+  MAX_VELOCITY_FACTOR: 1.5,
+  /** Frames before the next dash */
+  COOLDOWN: 45,
+  /** Slime width a dash travels between two trail ghosts */
+  TRAIL_SPACING: 0.3,
+};
+
+/**
+ * Computer player parameters
+ */
+export const ai = {
+  /** Difficulty used for newly added computer players */
+  DEFAULT_DIFFICULTY: 'MEDIUM',
+  /** Maximum ticks simulated ahead when predicting where the ball comes down */
+  PREDICTION_TICKS: 240,
+  /** Ticks between re-rolling the aim error (also re-rolled when the ball is hit) */
+  ERROR_REROLL_TICKS: 45,
+  /** Jump this many ticks before the ball reaches hitting height */
+  JUMP_LEAD_TICKS: 10,
+  /** Difficulty profiles. Distances are in slime radii. */
+  PROFILES: {
+    EASY: {
+      REACTION_TICKS: 18,      // Ticks between seeing the ball and acting on it
+      PREDICTION_ERROR: 1.2,   // Maximum aim error
+      JUMP_CHANCE: 0.35,       // Chance to jump at a reachable ball
+      USE_WALL_JUMPS: false,
+      POSITION_TOLERANCE: 0.35 // Distance to the target point that counts as "there"
+    },
+    MEDIUM: {
+      REACTION_TICKS: 9,
+      PREDICTION_ERROR: 0.55,
+      JUMP_CHANCE: 0.7,
+      USE_WALL_JUMPS: false,
+      POSITION_TOLERANCE: 0.2
+    },
+    HARD: {
+      REACTION_TICKS: 3,
+      PREDICTION_ERROR: 0.15,
+      JUMP_CHANCE: 0.95,
+      USE_WALL_JUMPS: true,
+      POSITION_TOLERANCE: 0.1
+    },
+  },
 };
 
 /**
@@ -0,0 +1,49 @@
+/* eslint-env node */
+/**
+ * Checks resolveRally for every scoring system.
+ * Runs each case, prints it, and exits with an error on the first wrong outcome.
+ *
+ * Usage: node scripts/checkScoringRules.mjs
+ * @module checkScoringRules
+ */
+
+import { deepStrictEqual } from 'node:assert/strict';
+import { resolveRally, SCORING_SYSTEMS } from '../src/game/scoringRules.js';
+
+const { RALLY, SIDE_OUT, WINNER_SERVES } = SCORING_SYSTEMS;
+
+/**
+ * Expected outcomes: [system, servingTeam, rallyWinner, pointTo, nextServingTeam]
+ * @type {Array<Array>}
+ */
+const CASES = [
+  // Rally scoring: every rally scores, the team that lost the point serves
+  [RALLY, 1, 1, 1, 2],
+  [RALLY, 1, 2, 2, 1],
+  [RALLY, 2, 2, 2, 1],
+  [RALLY, 2, 1, 1, 2],
+  // Side-out: only the server scores, otherwise the serve changes hands
+  [SIDE_OUT, 1, 1, 1, 1],
+  [SIDE_OUT, 1, 2, null, 2],
+  [SIDE_OUT, 2, 2, 2, 2],
+  [SIDE_OUT, 2, 1, null, 1],
+  // Winner serves: every rally scores, the team that won the point serves
+  [WINNER_SERVES, 1, 1, 1, 1],
+  [WINNER_SERVES, 1, 2, 2, 2],
+  [WINNER_SERVES, 2, 2, 2, 2],
+  [WINNER_SERVES, 2, 1, 1, 1],
+  // An unknown system falls back to rally scoring
+  ['UNKNOWN', 1, 1, 1, 2]
+];
+
+CASES.forEach(([system, servingTeam, rallyWinner, pointTo, nextServingTeam]) => {
+  const label = `${system}: team ${servingTeam} serves, team ${rallyWinner} wins the rally`;
+  deepStrictEqual(
+    resolveRally(system, servingTeam, rallyWinner),
+    { pointTo, nextServingTeam },
+    label
+  );
+  console.log(`ok - ${label}`);
+});
+
+console.log(`All ${CASES.length} scoring cases passed.`);
@@ -0,0 +1,394 @@
+/* eslint-env node */
+/**
+ * Relay server for online play.
+ * Serves the game files over HTTP and relays WebSocket messages between the two
+ * peers of a room. The server never looks at the match itself: peers run the
+ * simulation and exchange inputs through it.
+ *
+ * Usage: node server/relay.mjs [port]
+ * Then open http://localhost:<port> in two tabs and join the same room.
+ * @module relay
+ */
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { netplay as configNetplay } from '../config.js';
+
+/**
+ * Magic string from RFC 6455 used to build the handshake accept key
+ * @type {string}
+ */
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * WebSocket opcodes handled by the relay
+ */
+const OPCODES = {
+  TEXT: 0x1,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa
+};
+
+/**
+ * Peers per room
+ * @type {number}
+ */
+const ROOM_SIZE = 2;
+
+/**
+ * Largest message a peer may send (bytes)
+ * @type {number}
+ */
+const MAX_MESSAGE_SIZE = 64 * 1024;
+
+/**
+ * Content types for the static files the game needs
+ * @type {Object<string, string>}
+ */
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml'
+};
+
+const rootDirectory = resolve(fileURLToPath(new URL('..', import.meta.url)));
+
+/**
+ * Files the page loads from the repository root; everything else served lives under src/
+ * @type {Set<string>}
+ */
+const PUBLIC_FILES = new Set(['/index.html', '/config.js']);
+
+/**
+ * Directory of the game sources, served as a whole
+ * @type {string}
+ */
+const PUBLIC_DIRECTORY = '/src/';
+
+/**
+ * Open rooms by code
+ * @type {Map<string, Array<Object>>}
+ */
+const rooms = new Map();
+
+// --- WebSocket Framing ---
+
+/**
+ * Builds an unmasked server frame
+ *
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
+ * @returns {Buffer} Encoded frame
+ */
+function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 0x10000) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Reads one complete client frame from the start of a buffer
+ *
+ * @param {Buffer} buffer - Received bytes
+ * @returns {Object|null} { opcode, isFinal, payload, length } or null if incomplete
+ */
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+
+  const isFinal = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const isMasked = (buffer[1] & 0x80) !== 0;
+  let payloadLength = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (payloadLength === 126) {
+    if (buffer.length < 4) return null;
+    payloadLength = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (payloadLength === 127) {
+    if (buffer.length < 10) return null;
+    payloadLength = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  const maskLength = isMasked ? 4 : 0;
+  if (buffer.length < offset + maskLength + payloadLength) return null;
+
+  const payloadStart = offset + maskLength;
+  const payload = Buffer.from(buffer.subarray(payloadStart, payloadStart + payloadLength));
+  if (isMasked) {
+    const mask = buffer.subarray(offset, offset + 4);
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+  }
+
+  return { opcode, isFinal, payload, length: offset + maskLength + payloadLength };
+}
+
+// --- Peers and Rooms ---
+
+/**
+ * Wraps an upgraded socket as a peer
+ *
+ * @param {net.Socket} socket - Upgraded connection
+ * @returns {Object} Peer with send and close methods
+ */
+function Peer(socket) {
+  let isOpen = true;
+
+  const peer = {
+    room: null,
+    slot: -1,
+    socket,
+
+    /**
+     * Sends a JSON message
+     * @param {Object} message - Message to send
+     */
+    send: (message) => {
+      if (!isOpen) return;
+      socket.write(encodeFrame(OPCODES.TEXT, Buffer.from(JSON.stringify(message))));
+    },
+
+    /**
+     * Sends raw text received from another peer
+     * @param {string} text - Message text
+     */
+    sendText: (text) => {
+      if (!isOpen) return;
+      socket.write(encodeFrame(OPCODES.TEXT, Buffer.from(text)));
+    },
+
+    /**
+     * Closes the connection
+     */
+    close: () => {
+      if (!isOpen) return;
+      isOpen = false;
+      socket.end(encodeFrame(OPCODES.CLOSE, Buffer.alloc(0)));
+    }
+  };
+
+  return peer;
+}
+
+/**
+ * Adds a peer to a room, creating the room if needed
+ *
+ * @param {Object} peer - Peer joining
+ * @param {string} roomCode - Room to join
+ */
+function joinRoom(peer, roomCode) {
+  if (peer.room) return;
+
+  const code = String(roomCode || '').trim().toUpperCase().slice(0, 16);
+  if (!code) {
+    peer.send({ type: 'error', reason: 'missing_room' });
+    return;
+  }
+
+  const members = rooms.get(code) || [];
+  if (members.length >= ROOM_SIZE) {
+    peer.send({ type: 'error', reason: 'room_full' });
+    return;
+  }
+
+  const takenSlots = members.map(member => member.slot);
+  peer.slot = [0, 1].find(slot => !takenSlots.includes(slot));
+  peer.room = code;
+  members.push(peer);
+  rooms.set(code, members);
+
+  console.log(`Peer joined room ${code} in slot ${peer.slot} (${members.length}/${ROOM_SIZE}).`);
+  peer.send({ type: 'joined', room: code, slot: peer.slot });
+  members
+    .filter(member => member !== peer)
+    .forEach(member => member.send({ type: 'peer_joined', slot: peer.slot }));
+}
+
+/**
+ * Removes a peer from its room and tells the other peer
+ *
+ * @param {Object} peer - Leaving peer
+ */
+function leaveRoom(peer) {
+  if (!peer.room) return;
+
+  const members = (rooms.get(peer.room) || []).filter(member => member !== peer);
+  if (members.length > 0) {
+    rooms.set(peer.room, members);
+    members.forEach(member => member.send({ type: 'peer_left', slot: peer.slot }));
+  } else {
+    rooms.delete(peer.room);
+  }
+
+  console.log(`Peer left room ${peer.room}.`);
+  peer.room = null;
+}
+
+/**
+ * Handles one text message from a peer: joins are handled here,
+ * everything else is forwarded to the rest of the room.
+ *
+ * @param {Object} peer - Sending peer
+ * @param {string} text - Message text
+ */
+function handleMessage(peer, text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (error) {
+    return; // Ignore garbage
+  }
+
+  if (message?.type === 'join') {
+    joinRoom(peer, message.room);
+    return;
+  }
+  if (!peer.room) return;
+
+  rooms.get(peer.room)
+    .filter(member => member !== peer)
+    .forEach(member => member.sendText(text));
+}
+
+/**
+ * Accepts a WebSocket upgrade and starts reading frames
+ *
+ * @param {http.IncomingMessage} request - Upgrade request
+ * @param {net.Socket} socket - Underlying socket
+ */
+function handleUpgrade(request, socket) {
+  const key = request.headers['sec-websocket-key'];
+  if (!key || request.headers.upgrade?.toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+  socket.setNoDelay(true); // Inputs are tiny and latency matters
+
+  const peer = Peer(socket);
+  let pending = Buffer.alloc(0);
+
+  socket.on('data', (chunk) => {
+    pending = Buffer.concat([pending, chunk]);
+    if (pending.length > MAX_MESSAGE_SIZE * 2) {
+      peer.close();
+      return;
+    }
+
+    let frame;
+    while ((frame = decodeFrame(pending))) {
+      pending = pending.subarray(frame.length);
+
+      if (frame.opcode === OPCODES.TEXT && frame.isFinal) {
+        handleMessage(peer, frame.payload.toString('utf8'));
+      } else if (frame.opcode === OPCODES.PING) {
+        socket.write(encodeFrame(OPCODES.PONG, frame.payload));
+      } else if (frame.opcode === OPCODES.CLOSE) {
+        peer.close();
+        return;
+      }
+      // Fragmented and binary messages are never sent by the game
+    }
+  });
+
+  socket.on('end', () => {
+    leaveRoom(peer);
+    peer.close();
+  });
+  socket.on('close', () => leaveRoom(peer));
+  socket.on('error', () => leaveRoom(peer));
+}
+
+// --- Static Files ---
+
+/**
+ * Checks whether a normalized request path is one of the game files.
+ * Dotfiles and dot-directories (e.g. .git) are never served.
+ *
+ * @param {string} relativePath - Normalized path starting with '/'
+ * @returns {boolean} True if the file may be served
+ */
+function isPublicPath(relativePath) {
+  if (relativePath.split('/').some(segment => segment.startsWith('.'))) return false;
+  return PUBLIC_FILES.has(relativePath) || relativePath.startsWith(PUBLIC_DIRECTORY);
+}
+
+/**
+ * Serves a game file (index.html, config.js or anything under src/) from the repository root
+ *
+ * @param {http.IncomingMessage} request - HTTP request
+ * @param {http.ServerResponse} response - HTTP response
+ */
+async function handleRequest(request, response) {
+  let relativePath;
+  try {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    relativePath = normalize(decodeURIComponent(pathname === '/' ? '/index.html' : pathname));
+  } catch (error) {
+    response.writeHead(400).end('Bad request');
+    return;
+  }
+  const filePath = join(rootDirectory, relativePath);
+
+  if (!filePath.startsWith(rootDirectory + sep) || !isPublicPath(relativePath)) {
+    response.writeHead(404).end('Not found');
+    return;
+  }
+
+  try {
+    const content = await readFile(filePath);
+    const contentType = CONTENT_TYPES[extname(filePath)] || 'application/octet-stream';
+    response.writeHead(200, { 'Content-Type': contentType });
+    response.end(content);
+  } catch (error) {
+    response.writeHead(404).end('Not found');
+  }
+}
+
+// --- Start ---
+
+const port = Number(process.argv[2]) || configNetplay.RELAY_PORT;
+const server = createServer((request, response) => {
+  // A failing request must never take the relay down
+  handleRequest(request, response).catch(error => {
+    console.error('Relay: request failed', error);
+    if (!response.headersSent) response.writeHead(500);
+    response.end();
+  });
+});
+server.on('upgrade', handleUpgrade);
+server.listen(port, () => {
+  console.log(`Slajmboll relay listening on http://localhost:${port}`);
+});
@@ -0,0 +1,128 @@
+import { timing as configTiming } from '../../config.js';
+
+/**
+ * Fixed-timestep game loop.
+ * The simulation advances in constant ticks regardless of the display refresh rate,
+ * while rendering happens once per animation frame and blends between the last two
+ * simulation states.
+ * @module gameLoop
+ */
+
+/**
+ * @typedef {Object} GameLoopOptions
+ * @property {Function} update - Advances the simulation by exactly one tick, receives the tick number
+ * @property {Function} render - Draws the current state, receives the interpolation factor (0-1)
+ * @property {number} [tickRate=configTiming.TICK_RATE] - Simulation ticks per second
+ */
+
+/**
+ * Converts a duration in milliseconds into a whole number of simulation ticks
+ *
+ * @param {number} ms - Duration in milliseconds
+ * @param {number} [tickRate=configTiming.TICK_RATE] - Simulation ticks per second
+ * @returns {number} Number of ticks (at least 1 for positive durations)
+ */
+export function msToTicks(ms, tickRate = configTiming.TICK_RATE) {
+  if (ms <= 0) return 0;
+  return Math.max(1, Math.round((ms * tickRate) / 1000));
+}
+
+/**
+ * Creates an accumulator-based fixed-timestep loop
+ *
+ * @param {GameLoopOptions} options - Loop callbacks and tick rate
+ * @returns {Object} Loop controller with start, stop and step methods
+ */
+export function GameLoop({ update, render, tickRate = configTiming.TICK_RATE }) {
+  /**
+   * Duration of a single simulation tick in milliseconds
+   * @type {number}
+   */
+  const tickDuration = 1000 / tickRate;
+
+  let accumulator = 0;
+  let lastFrameTime = null;
+  let frameId = null;
+  let tickCount = 0;
+
+  /**
+   * Runs a single simulation tick
+   */
+  const runTick = () => {
+    update(tickCount);
+    tickCount++;
+  };
+
+  /**
+   * Animation frame callback. Converts elapsed real time into whole ticks
+   * and renders with the leftover fraction as interpolation factor.
+   *
+   * @param {number} now - Frame timestamp from requestAnimationFrame
+   */
+  const frame = (now) => {
+    if (lastFrameTime === null) {
+      lastFrameTime = now;
+    }
+
+    // Clamp long gaps (tab switch, debugger) so they don't trigger a burst of ticks
+    accumulator += Math.min(now - lastFrameTime, configTiming.MAX_FRAME_TIME);
+    lastFrameTime = now;
+
+    let ticksThisFrame = 0;
+    while (accumulator >= tickDuration && ticksThisFrame < configTiming.MAX_TICKS_PER_FRAME) {
+      runTick();
+      accumulator -= tickDuration;
+      ticksThisFrame++;
+    }
+
+    // Still behind after the per-frame cap: drop the backlog instead of spiralling
+    if (accumulator >= tickDuration) {
+      accumulator %= tickDuration;
+    }
+
+    render(accumulator / tickDuration);
+    frameId = window.requestAnimationFrame(frame);
+  };
+
+  /**
+   * Starts driving the loop from requestAnimationFrame
+   */
+  const start = () => {
+    if (frameId !== null) return;
+
+    lastFrameTime = null;
+    accumulator = 0;
+    frameId = window.requestAnimationFrame(frame);
+  };
+
+  /**
+   * Stops the animation frame driver. Simulation state is left untouched.
+   */
+  const stop = () => {
+    if (frameId === null) return;
+
+    window.cancelAnimationFrame(frameId);
+    frameId = null;
+  };
+
+  /**
+   * Advances the simulation synchronously, without rendering.
+   * Used for headless runs and tests.
+   *
+   * @param {number} [ticks=1] - Number of ticks to simulate
+   */
+  const step = (ticks = 1) => {
+    for (let i = 0; i < ticks; i++) {
+      runTick();
+    }
+  };
+
+  return {
+    start,
+    stop,
+    step,
+    tickDuration,
+    get tick() { return tickCount; },
+    get isRunning() { return frameId !== null; }
+  };
+}
@@ -1,5 +1,4 @@
 import { Event } from './events.js';
-import { rules } from '../../config.js';
 
 /**
  * Game state constants
@@ -33,13 +32,13 @@ const gameState = {
   // Current game state
   currentState: GAME_STATES.SETUP,
   previousState: null,
+  pausedState: null, // State to resume to while PAUSED
 
   // Game settings
   isPlaying: false,
   isSetup: true,
   isPaused: false,
   activeCountdown: null,
-  servingTeam: 1,
 
   // Players and teams
   players: [],
@@ -48,37 +47,162 @@ const gameState = {
     team2Count: 0  // Crimson team
   },
 
-  // Scoring
-  score: [0, 0],
-  winningScore: rules.WINNING_SCORE,
-
   // Game progress
   roundInProgress: false,
   gameTime: 0
 };
 
 /**
- * Change the current game state
+ * @typedef {Object} StateDefinition
+ * @property {Array<string>} transitions - States that may follow this one
+ * @property {Function} [guard] - Called with the target state; returns true, or a reason why it may not be left that way
+ * @property {Function} [onEnter] - Called with the previous state after entering
+ * @property {Function} [onExit] - Called with the next state before leaving
+ */
+
+/**
+ * @typedef {Object} TransitionResult
+ * @property {boolean} success - True if the state changed
+ * @property {string|null} reason - Why the transition was rejected
+ */
+
+/**
+ * Marks a match as running while its rounds are being played
+ */
+const enterMatchState = () => {
+  gameState.isPlaying = true;
+  gameState.isSetup = false;
+};
+
+/**
+ * The game state machine: allowed transitions, guards and lifecycle hooks.
+ * A match runs SETUP -> COUNTDOWN -> PLAYING -> SCORING -> COUNTDOWN ... -> GAME_OVER.
+ * Any match state can be paused, and going back to SETUP aborts the match.
+ * @type {Object<string, StateDefinition>}
+ */
+const STATE_MACHINE = {
+  [GAME_STATES.SETUP]: {
+    transitions: [GAME_STATES.COUNTDOWN],
+    onEnter: () => {
+      gameState.isPlaying = false;
+      gameState.isSetup = true;
+      gameState.roundInProgress = false;
+    }
+  },
+  [GAME_STATES.COUNTDOWN]: {
+    transitions: [GAME_STATES.PLAYING, GAME_STATES.PAUSED, GAME_STATES.SETUP],
+    guard: (to) => to !== GAME_STATES.PLAYING || gameState.activeCountdown === null || 'countdown is still running',
+    onEnter: enterMatchState
+  },
+  [GAME_STATES.PLAYING]: {
+    transitions: [GAME_STATES.SCORING, GAME_STATES.PAUSED, GAME_STATES.SETUP],
+    onEnter: enterMatchState
+  },
+  [GAME_STATES.SCORING]: {
+    transitions: [GAME_STATES.COUNTDOWN, GAME_STATES.GAME_OVER, GAME_STATES.PAUSED, GAME_STATES.SETUP],
+    onEnter: enterMatchState
+  },
+  [GAME_STATES.GAME_OVER]: {
+    transitions: [GAME_STATES.COUNTDOWN, GAME_STATES.PAUSED, GAME_STATES.SETUP],
+    onEnter: () => {
+      gameState.isPlaying = false;
+      gameState.roundInProgress = false;
+    }
+  },
+  [GAME_STATES.PAUSED]: {
+    transitions: [GAME_STATES.COUNTDOWN, GAME_STATES.PLAYING, GAME_STATES.SCORING, GAME_STATES.GAME_OVER, GAME_STATES.SETUP],
+    guard: (to) => to === GAME_STATES.SETUP || to === gameState.pausedState || `can only resume to ${gameState.pausedState}`,
+    onEnter: (from) => {
+      gameState.isPaused = true;
+      gameState.pausedState = from;
+    },
+    onExit: () => {
+      gameState.isPaused = false;
+      gameState.pausedState = null;
+    }
+  }
+};
+
+/**
+ * Maximum number of transitions kept in the state history
+ * @type {number}
+ */
+const STATE_HISTORY_LIMIT = 50;
+
+/**
+ * Accepted transitions, oldest first
+ * @type {Array<{from: string, to: string}>}
+ */
+let stateHistory = [];
+
+/**
+ * Gets the event emitted after entering a state
+ * 
+ * @param {string} state - State from GAME_STATES enum
+ * @returns {Object} Event with { from, to } data
+ */
+const stateEnterEvent = (state) => Event(`game_state_enter_${state}`);
+
+/**
+ * Gets the event emitted before leaving a state
+ * 
+ * @param {string} state - State from GAME_STATES enum
+ * @returns {Object} Event with { from, to } data
+ */
+const stateExitEvent = (state) => Event(`game_state_exit_${state}`);
+
+/**
+ * Checks whether the game may move from the current state to another
+ * 
+ * @param {string} newState - Target state from GAME_STATES enum
+ * @returns {TransitionResult} Whether the transition is allowed, and why not
+ */
+export function canTransition(newState) {
+  const from = gameState.currentState;
+  const definition = STATE_MACHINE[from];
+
+  if (!STATE_MACHINE[newState]) {
+    return { success: false, reason: `unknown state "${newState}"` };
+  }
+  if (from === newState) {
+    return { success: false, reason: `already in ${from}` };
+  }
+  if (!definition.transitions.includes(newState)) {
+    return { success: false, reason: `${from} cannot go to ${newState}` };
+  }
+
+  const guardResult = definition.guard ? definition.guard(newState) : true;
+  if (guardResult !== true) {
+    return { success: false, reason: guardResult || 'guard rejected the transition' };
+  }
+  return { success: true, reason: null };
+}
+
+/**
+ * Change the current game state. Transitions outside the state machine are
+ * rejected and leave the state untouched.
  * 
  * @param {string} newState - New state from GAME_STATES enum
- * @returns {Object} The updated game state
+ * @returns {TransitionResult} Whether the state changed, and why not
  */
 export function setGameState(newState) {
   const oldState = gameState.currentState;
+  const result = canTransition(newState);
+  if (!result.success) {
+    console.log(`GameState: ${oldState} -> ${newState} rejected: ${result.reason}`);
+    return result;
+  }
+
+  STATE_MACHINE[oldState].onExit?.(newState);
+  stateExitEvent(oldState).emit({ from: oldState, to: newState });
+
   gameState.currentState = newState;
   gameState.previousState = oldState;
+  stateHistory.push({ from: oldState, to: newState });
+  if (stateHistory.length > STATE_HISTORY_LIMIT) stateHistory.shift();
 
-  // Update derived state flags
-  if (newState === GAME_STATES.PLAYING) {
-    gameState.isPlaying = true;
-    gameState.isSetup = false;
-  } else if (newState === GAME_STATES.SETUP) {
-    gameState.isPlaying = false;
-    gameState.isSetup = true;
-  } else if (newState === GAME_STATES.GAME_OVER) {
-    gameState.isPlaying = false;
-    gameState.roundInProgress = false;
-  }
+  STATE_MACHINE[newState].onEnter?.(oldState);
+  stateEnterEvent(newState).emit({ from: oldState, to: newState });
 
   // Emit state change event
   stateChangeEvent.emit({
@@ -88,23 +212,50 @@ export function setGameState(newState) {
     gameState: { ...gameState }
   });
 
-  return gameState;
+  return result;
+}
+
+/**
+ * Runs a callback every time a state is entered
+ * 
+ * @param {string} state - State from GAME_STATES enum
+ * @param {Function} callback - Receives { from, to }
+ * @returns {Object} Subscription with unsubscribe method
+ */
+export function onEnterState(state, callback) {
+  return stateEnterEvent(state).subscribe(callback);
+}
+
+/**
+ * Runs a callback every time a state is left
+ * 
+ * @param {string} state - State from GAME_STATES enum
+ * @param {Function} callback - Receives { from, to }
+ * @returns {Object} Subscription with unsubscribe method
+ */
+export function onExitState(state, callback) {
+  return stateExitEvent(state).subscribe(callback);
+}
+
+/**
+ * Get the accepted state transitions, oldest first
+ * 
+ * @returns {Array<{from: string, to: string}>} Copy of the state history
+ */
+export function getStateHistory() {
+  return stateHistory.map(entry => ({ ...entry }));
 }
 
 /**
- * Set the game to playing state
+ * Mark whether a match is running. The state itself follows the round flow
+ * (COUNTDOWN, PLAYING, ...) once the match starts its first round.
  * 
- * @param {boolean} isPlaying - Whether the game is in playing state
+ * @param {boolean} isPlaying - Whether a match is running
  * @returns {Object} Updated game state
  */
 export function setGamePlaying(isPlaying) {
   gameState.isPlaying = isPlaying;
 
-  // If we're starting to play, update the game state
-  if (isPlaying && gameState.currentState !== GAME_STATES.PLAYING) {
-    setGameState(GAME_STATES.PLAYING);
-  }
-
   stateChangeEvent.emit({
     type: 'playing_change',
     value: isPlaying,
@@ -235,112 +386,6 @@ export function getTeamPlayers(teamNumber) {
   return gameState.players.filter(player => player.team === teamNumber);
 }
 
-/**
- * Update the score for a team
- * 
- * @param {number} teamIndex - Index of the team (0 for team1, 1 for team2)
- * @param {number} points - New point value
- */
-export function updateScore(teamIndex, points) {
-  if (teamIndex < 0 || teamIndex > 1) return;
-
-  gameState.score[teamIndex] = points;
-
-  scoreChangeEvent.emit({
-    teamIndex,
-    points,
-    score: [...gameState.score]
-  });
-}
-
-/**
- * Increment score for a team
- * 
- * @param {number} team - Team number (1 or 2)
- * @returns {boolean} True if the team won the game
- */
-export function incrementScore(team) {
-  if (team !== 1 && team !== 2) return false;
-
-  const teamIndex = team - 1;
-  gameState.score[teamIndex]++;
-
-  // Emit score change event
-  scoreChangeEvent.emit({
-    team,
-    teamIndex,
-    score: [...gameState.score]
-  });
-
-  // Check for win condition
-  if (gameState.score[teamIndex] >= gameState.winningScore) {
-    setGameState(GAME_STATES.GAME_OVER);
-    return true;
-  }
-
-  return false;
-}
-
-/**
- * Check if a team has won
- * 
- * @returns {number|null} Winning team (1 or 2) or null if no winner
- */
-export function getWinningTeam() {
-  if (gameState.score[0] >= gameState.winningScore) {
-    return 1;
-  } else if (gameState.score[1] >= gameState.winningScore) {
-    return 2;
-  }
-  return null;
-}
-
-/**
- * Start a new round with specified serving team
- * 
- * @param {number} servingTeam - Team that will serve (1 or 2)
- */
-export function startRound(servingTeam) {
-  if (gameState.roundInProgress) {
-    return;
-  }
-
-  gameState.servingTeam = servingTeam;
-  gameState.roundInProgress = true;
-  setGameState(GAME_STATES.COUNTDOWN);
-
-  roundStartEvent.emit({
-    servingTeam,
-    gameState: { ...gameState }
-  });
-}
-
-/**
- * End the current round
- * 
- * @param {number} scoringTeam - Team that scored (1 or 2)
- * @returns {boolean} True if the team won the game
- */
-export function endRound(scoringTeam) {
-  if (!gameState.roundInProgress) {
-    return false;
-  }
-
-  gameState.roundInProgress = false;
-  setGameState(GAME_STATES.SCORING);
-
-  // Update score and check for game end
-  const isGameOver = incrementScore(scoringTeam);
-
-  roundEndEvent.emit({
-    scoringTeam,
-    isGameOver,
-    gameState: { ...gameState }
-  });
-
-  return isGameOver;
-}
-
 /**
  * Reset the game state
  */
@@ -348,6 +393,8 @@ export function resetGameState() {
   // Reset game flow
   gameState.currentState = GAME_STATES.SETUP;
   gameState.previousState = null;
+  gameState.pausedState = null;
+  stateHistory = [];
   gameState.isPlaying = false;
   gameState.isSetup = true;
   gameState.isPaused = false;
@@ -358,8 +405,6 @@ export function resetGameState() {
   gameState.teams.team1Count = 0;
   gameState.teams.team2Count = 0;
 
-  // Reset score
-  gameState.score = [0, 0];
   gameState.roundInProgress = false;
 
   // Emit reset event
@@ -377,23 +422,23 @@ export function getGameState() {
 
 /**
  * Pause the game
+ * 
+ * @returns {TransitionResult} Whether the game was paused
  */
 export function pauseGame() {
-  if (gameState.isPaused) return;
-
-  gameState.isPaused = true;
-  gameState.previousState = gameState.currentState;
-  setGameState(GAME_STATES.PAUSED);
+  return setGameState(GAME_STATES.PAUSED);
 }
 
 /**
- * Resume the game
+ * Resume the game in the state it was paused in
+ * 
+ * @returns {TransitionResult} Whether the game was resumed
  */
 export function resumeGame() {
-  if (!gameState.isPaused) return;
-
-  gameState.isPaused = false;
-  setGameState(gameState.previousState || GAME_STATES.PLAYING);
+  if (!gameState.isPaused) {
+    return { success: false, reason: 'not paused' };
+  }
+  return setGameState(gameState.pausedState);
 }
 
 // Export the game state for readonly access
@@ -0,0 +1,215 @@
+import { Event } from './events.js';
+import { gamepad as configGamepad } from '../../config.js';
+
+/**
+ * Gamepad input.
+ * The Gamepad API has no input events, so connected pads are polled once per tick.
+ * A pad bound to a player emits that player's movement/jump/duck/serve events, exactly
+ * like the keyboard handlers in inputManager do.
+ * @module gamepadManager
+ */
+
+/**
+ * @typedef {Object} GamepadControls
+ * @property {boolean} left - Left held
+ * @property {boolean} right - Right held
+ * @property {boolean} up - Jump held
+ * @property {boolean} down - Duck held
+ * @property {boolean} serve - Serve held
+ */
+
+/**
+ * Emitted when an unbound pad presses a join button
+ * @type {Object}
+ */
+export const gamepadJoinEvent = Event('gamepad_join');
+
+/**
+ * Emitted for every newly pressed button on any pad, bound or not
+ * @type {Object}
+ */
+export const gamepadButtonEvent = Event('gamepad_button');
+
+/**
+ * Player bindings by gamepad index
+ * @type {Map<number, {keys: Object, held: GamepadControls}>}
+ */
+const bindings = new Map();
+
+/**
+ * Button states from the previous poll, by gamepad index
+ * @type {Map<number, Array<boolean>>}
+ */
+const previousButtons = new Map();
+
+/**
+ * Controls of a pad with nothing held
+ * @type {GamepadControls}
+ */
+const NO_CONTROLS = { left: false, right: false, up: false, down: false, serve: false };
+
+/**
+ * Lists the connected gamepads
+ *
+ * @returns {Array<Gamepad>} Connected pads
+ */
+const getConnectedGamepads = () => {
+  if (typeof navigator === 'undefined' || !navigator.getGamepads) return [];
+  return [...navigator.getGamepads()].filter(pad => pad?.connected);
+};
+
+/**
+ * Checks whether any of the given buttons is pressed
+ *
+ * @param {Gamepad} pad - Gamepad
+ * @param {Array<number>} buttons - Button indices
+ * @returns {boolean} True if one of them is pressed
+ */
+const isAnyPressed = (pad, buttons) => buttons.some(button => pad.buttons[button]?.pressed);
+
+/**
+ * Reads the held controls of a pad. Stick deflections inside the deadzone are ignored.
+ *
+ * @param {Gamepad} pad - Gamepad
+ * @returns {GamepadControls} Held controls
+ */
+export const readGamepadControls = (pad) => {
+  const x = pad.axes[configGamepad.AXIS_X] || 0;
+  const y = pad.axes[configGamepad.AXIS_Y] || 0;
+
+  return {
+    left: isAnyPressed(pad, configGamepad.LEFT_BUTTONS) || x < -configGamepad.STICK_DEADZONE,
+    right: isAnyPressed(pad, configGamepad.RIGHT_BUTTONS) || x > configGamepad.STICK_DEADZONE,
+    up: isAnyPressed(pad, configGamepad.JUMP_BUTTONS) || y < -configGamepad.STICK_VERTICAL_THRESHOLD,
+    down: isAnyPressed(pad, configGamepad.DUCK_BUTTONS) || y > configGamepad.STICK_VERTICAL_THRESHOLD,
+    serve: isAnyPressed(pad, configGamepad.SERVE_BUTTONS)
+  };
+};
+
+/**
+ * Player events each control drives, in the order they are applied
+ * @type {Array<Object>}
+ */
+const CONTROL_EVENTS = [
+  {
+    control: 'left',
+    press: keys => keys.movementPress.emit(-1),
+    release: keys => keys.movementRelease.emit(-1)
+  },
+  {
+    control: 'right',
+    press: keys => keys.movementPress.emit(1),
+    release: keys => keys.movementRelease.emit(1)
+  },
+  {
+    control: 'up',
+    press: keys => keys.jumpPress.emit(),
+    release: keys => keys.jumpRelease.emit()
+  },
+  {
+    control: 'down',
+    press: keys => keys.duckPress.emit(),
+    release: keys => keys.duckRelease.emit()
+  },
+  {
+    control: 'serve',
+    press: keys => keys.servePress.emit(),
+    release: keys => keys.serveRelease.emit()
+  }
+];
+
+/**
+ * Emits the press/release events for controls that changed since the last poll
+ *
+ * @param {Object} binding - Pad binding { keys, held }
+ * @param {GamepadControls} controls - Controls held now
+ */
+const applyControls = (binding, controls) => {
+  const { keys, held } = binding;
+
+  // Releases first, so a quick left-to-right flick never leaves both held
+  CONTROL_EVENTS.forEach(({ control, release }) => {
+    if (held[control] && !controls[control]) release(keys);
+  });
+  CONTROL_EVENTS.forEach(({ control, press }) => {
+    if (!held[control] && controls[control]) press(keys);
+  });
+
+  binding.held = { ...controls };
+};
+
+/**
+ * Polls every connected pad: drives bound players and reports button presses.
+ * Call once per tick.
+ */
+export const pollGamepads = () => {
+  const connectedIndices = new Set();
+
+  getConnectedGamepads().forEach(pad => {
+    connectedIndices.add(pad.index);
+
+    const buttons = pad.buttons.map(button => button.pressed);
+    const previous = previousButtons.get(pad.index) || [];
+    previousButtons.set(pad.index, buttons);
+
+    const newlyPressed = buttons
+      .map((isPressed, button) => (isPressed && !previous[button] ? button : -1))
+      .filter(button => button !== -1);
+    newlyPressed.forEach(button => gamepadButtonEvent.emit({ gamepadIndex: pad.index, button }));
+
+    const binding = bindings.get(pad.index);
+    if (binding) {
+      applyControls(binding, readGamepadControls(pad));
+    } else if (newlyPressed.some(button => configGamepad.JOIN_BUTTONS.includes(button))) {
+      gamepadJoinEvent.emit({ gamepadIndex: pad.index, id: pad.id });
+    }
+  });
+
+  // A pad that went away lets go of everything it held
+  bindings.forEach((binding, gamepadIndex) => {
+    if (!connectedIndices.has(gamepadIndex)) applyControls(binding, NO_CONTROLS);
+  });
+  [...previousButtons.keys()].forEach(gamepadIndex => {
+    if (!connectedIndices.has(gamepadIndex)) previousButtons.delete(gamepadIndex);
+  });
+};
+
+/**
+ * Binds a pad to a player
+ *
+ * @param {number} gamepadIndex - Gamepad index (Gamepad.index)
+ * @param {Object} keys - PlayerEvents to drive (see inputManager.createPlayerEvents)
+ */
+export const bindGamepad = (gamepadIndex, keys) => {
+  unbindGamepad(gamepadIndex);
+  bindings.set(gamepadIndex, { keys, held: { ...NO_CONTROLS } });
+  console.log(`Gamepad ${gamepadIndex} bound to player ${keys.playerIndex}.`);
+};
+
+/**
+ * Releases a pad's held controls and removes its binding
+ *
+ * @param {number} gamepadIndex - Gamepad index
+ */
+export const unbindGamepad = (gamepadIndex) => {
+  const binding = bindings.get(gamepadIndex);
+  if (!binding) return;
+
+  applyControls(binding, NO_CONTROLS);
+  bindings.delete(gamepadIndex);
+};
+
+/**
+ * Removes every pad binding
+ */
+export const unbindAllGamepads = () => {
+  [...bindings.keys()].forEach(unbindGamepad);
+};
+
+/**
+ * Checks whether a pad is bound to a player
+ *
+ * @param {number} gamepadIndex - Gamepad index
+ * @returns {boolean} True if bound
+ */
+export const isGamepadBound = (gamepadIndex) => bindings.has(gamepadIndex);
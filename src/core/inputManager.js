@@ -7,6 +7,7 @@ import { teams } from '../../config.js';
  * @property {string} right - Key code for right movement
  * @property {string} down - Key code for down/duck
  * @property {string} left - Key code for left movement
+ * @property {string} serve - Key code for tossing the ball when serving
  */
 
 /**
@@ -17,15 +18,47 @@ import { teams } from '../../config.js';
  * @property {Object} jumpRelease - Event for jump key release
  * @property {Object} duckPress - Event for duck key press
  * @property {Object} duckRelease - Event for duck key release
+ * @property {Object} servePress - Event for serve key press
+ * @property {Object} serveRelease - Event for serve key release
  * @property {number} playerIndex - Player index
  */
 
+/**
+ * @typedef {Object} KeyConflict
+ * @property {string} code - Key code bound more than once
+ * @property {Array<{playerIndex: number, keyType: string}>} bindings - Every control bound to it
+ */
+
+/**
+ * localStorage key holding the saved key configurations
+ * @type {string}
+ */
+const KEY_CONFIG_STORAGE_KEY = 'slajmboll_key_configs';
+
+/**
+ * Control names of a KeyConfig
+ * @type {Array<string>}
+ */
+const KEY_TYPES = ['up', 'right', 'down', 'left', 'serve'];
+
+/**
+ * Keys with a fixed meaning that cannot be bound to a control
+ * @type {Array<string>}
+ */
+const RESERVED_KEYS = ['Enter', 'Escape'];
+
 /**
  * Storage for key actions
  * @type {Map<string, Object>}
  */
 const keyMappings = new Map();
 
+/**
+ * Keyboard players with mapped keys, by player index
+ * @type {Map<number, {config: KeyConfig, events: PlayerEvents}>}
+ */
+const keyboardPlayers = new Map();
+
 /**
  * Player key configurations
  * @type {Array<KeyConfig>}
@@ -50,6 +83,23 @@ export const keyUpEvent = Event('key_up');
  */
 export const addBallEvent = Event('add_ball');
 
+/**
+ * Emitted with { conflicts } whenever keyboard players' keys are (re)mapped
+ * @type {Object}
+ */
+export const keyBindingsChangeEvent = Event('key_bindings_change');
+
+/**
+ * Checks whether a key event is aimed at a text field (e.g. the seed input)
+ * 
+ * @param {KeyboardEvent} event - Keyboard event
+ * @returns {boolean} True if the user is typing into a field
+ */
+const isTypingTarget = (event) => {
+  const tagName = event.target?.tagName;
+  return tagName === 'INPUT' || tagName === 'TEXTAREA';
+};
+
 /**
  * Handles keydown events
  * 
@@ -58,8 +108,8 @@ export const addBallEvent = Event('add_ball');
 const handleKeyDown = (event) => {
   const { code } = event;
 
-  // Skip if in key binding mode
-  if (isListeningForKey) return;
+  // Skip if in key binding mode or typing into a field
+  if (isListeningForKey || isTypingTarget(event)) return;
 
   // Check for Ctrl+Shift+Enter to add ball
   if (code === 'Enter') {
@@ -85,8 +135,8 @@ const handleKeyDown = (event) => {
 const handleKeyUp = (event) => {
   const { code } = event;
 
-  // Skip if in key binding mode
-  if (isListeningForKey) return;
+  // Skip if in key binding mode or typing into a field
+  if (isListeningForKey || isTypingTarget(event)) return;
 
   // Emit global event
   keyUpEvent.emit({ code });
@@ -98,26 +148,80 @@ const handleKeyUp = (event) => {
 };
 
 /**
- * Sets up key handlers for a player
+ * Creates the set of player events a Slime listens to, without binding any keys.
+ * Used directly for players driven by something other than the keyboard (e.g. the network).
+ * 
+ * @param {string} eventPrefix - Unique prefix for the event names
+ * @param {number} playerIndex - Player index
+ * @returns {PlayerEvents} Player-specific events
+ */
+export const createPlayerEvents = (eventPrefix, playerIndex) => ({
+  movementPress: Event(`${eventPrefix}_movement_press`),
+  movementRelease: Event(`${eventPrefix}_movement_release`),
+  jumpPress: Event(`${eventPrefix}_jump_press`),
+  jumpRelease: Event(`${eventPrefix}_jump_release`),
+  duckPress: Event(`${eventPrefix}_duck_press`),
+  duckRelease: Event(`${eventPrefix}_duck_release`),
+  servePress: Event(`${eventPrefix}_serve_press`),
+  serveRelease: Event(`${eventPrefix}_serve_release`),
+  playerIndex
+});
+
+/**
+ * Sets up key handlers for a player. Calling it again for the same player
+ * remaps its keys; the returned events stay the same.
  * 
  * @param {KeyConfig} config - Key configuration
  * @param {number} playerIndex - Player index
  * @returns {PlayerEvents} Player-specific events
  */
 export const setupPlayerKeys = (config, playerIndex) => {
-  const { up, right, down, left } = config;
-
   // Create events for this player
-  const eventPrefix = `player_${playerIndex}`;
-  const movementPress = Event(`${eventPrefix}_movement_press`);
-  const movementRelease = Event(`${eventPrefix}_movement_release`);
-  const jumpPress = Event(`${eventPrefix}_jump_press`);
-  const jumpRelease = Event(`${eventPrefix}_jump_release`);
-  const duckPress = Event(`${eventPrefix}_duck_press`);
-  const duckRelease = Event(`${eventPrefix}_duck_release`);
+  const playerEvents = createPlayerEvents(`player_${playerIndex}`, playerIndex);
+
+  keyboardPlayers.set(playerIndex, { config, events: playerEvents });
+  remapAllKeys();
+
+  // Ensure event listeners are active
+  activateKeyListeners();
 
-  // Clear old mappings for this player
-  clearPlayerKeys(playerIndex);
+  // Return events for this player
+  return playerEvents;
+};
+
+/**
+ * Rebuilds every key mapping from the keyboard players' configurations.
+ * A key bound twice only drives one of its players; the conflict is reported
+ * and both bindings work again once it is resolved.
+ */
+const remapAllKeys = () => {
+  keyMappings.clear();
+  keyboardPlayers.forEach(({ config, events }, playerIndex) => {
+    mapPlayerKeys(config, events, playerIndex);
+  });
+
+  keyBindingsChangeEvent.emit({ conflicts: findKeyConflicts() });
+};
+
+/**
+ * Maps one player's keys to its events
+ * 
+ * @param {KeyConfig} config - Key configuration
+ * @param {PlayerEvents} playerEvents - Events to emit
+ * @param {number} playerIndex - Player index
+ */
+const mapPlayerKeys = (config, playerEvents, playerIndex) => {
+  const { up, right, down, left, serve } = config;
+  const {
+    movementPress,
+    movementRelease,
+    jumpPress,
+    jumpRelease,
+    duckPress,
+    duckRelease,
+    servePress,
+    serveRelease
+  } = playerEvents;
 
   // Map keys to actions
   mapKey(left, {
@@ -144,19 +248,11 @@ export const setupPlayerKeys = (config, playerIndex) => {
     playerIndex
   });
 
-  // Ensure event listeners are active
-  activateKeyListeners();
-
-  // Return events for this player
-  return {
-    movementPress,
-    movementRelease,
-    jumpPress,
-    jumpRelease,
-    duckPress,
-    duckRelease,
+  mapKey(serve, {
+    press: () => servePress.emit(),
+    release: () => serveRelease.emit(),
     playerIndex
-  };
+  });
 };
 
 /**
@@ -170,16 +266,56 @@ const mapKey = (keyCode, actions) => {
 };
 
 /**
- * Clears key mappings for a player
+ * Finds keys bound to more than one control among the keyboard players
  * 
- * @param {number} playerIndex - Index of player to clear mappings for
+ * @returns {Array<KeyConflict>} Conflicting keys
  */
-const clearPlayerKeys = (playerIndex) => {
-  [...keyMappings.entries()].forEach(([key, actions]) => {
-    if (actions.playerIndex === playerIndex) {
-      keyMappings.delete(key);
-    }
+export const findKeyConflicts = () => {
+  const bindingsByCode = new Map();
+  keyboardPlayers.forEach(({ config }, playerIndex) => {
+    KEY_TYPES.forEach(keyType => {
+      const code = config[keyType];
+      if (!bindingsByCode.has(code)) bindingsByCode.set(code, []);
+      bindingsByCode.get(code).push({ playerIndex, keyType });
+    });
   });
+
+  return [...bindingsByCode.entries()]
+    .filter(([, bindings]) => bindings.length > 1)
+    .map(([code, bindings]) => ({ code, bindings }));
+};
+
+/**
+ * Reads key configurations saved by an earlier session. A configuration saved
+ * before a control existed (e.g. serve) lacks its key; the default fills it in.
+ * 
+ * @returns {Array<Object>|null} Saved (possibly partial) configurations, or null if none are usable
+ */
+const loadSavedKeyConfigs = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(KEY_CONFIG_STORAGE_KEY));
+    if (!Array.isArray(saved)) return null;
+    return saved.map(config => (
+      config && KEY_TYPES.every(keyType => (
+        config[keyType] === undefined || typeof config[keyType] === 'string'
+      ))
+        ? config
+        : null
+    ));
+  } catch (error) {
+    return null; // Storage unavailable or corrupted, defaults are used
+  }
+};
+
+/**
+ * Saves the current key configurations for the next session
+ */
+const saveKeyConfigs = () => {
+  try {
+    localStorage.setItem(KEY_CONFIG_STORAGE_KEY, JSON.stringify(playerKeyConfigs));
+  } catch (error) {
+    console.warn("Key bindings could not be saved.", error);
+  }
 };
 
 /**
@@ -195,35 +331,40 @@ export const initializeKeyConfigs = () => {
       up: 'ArrowUp',
       right: 'ArrowRight',
       down: 'ArrowDown',
-      left: 'ArrowLeft'
+      left: 'ArrowLeft',
+      serve: 'KeyM'
     },
     // Player 2
     {
       up: 'KeyL',
       right: 'KeyS',
       down: 'KeyN',
-      left: 'KeyT'
+      left: 'KeyT',
+      serve: 'KeyQ'
     },
     // Player 3
     {
       up: 'KeyI',
       right: 'KeyL',
       down: 'KeyK',
-      left: 'KeyJ'
+      left: 'KeyJ',
+      serve: 'KeyO'
     },
     // Player 4
     {
       up: 'Digit8',
       right: 'Digit6',
       down: 'Digit5',
-      left: 'Digit4'
+      left: 'Digit4',
+      serve: 'Digit9'
     }
   ];
 
-  // Store configurations
+  // Store configurations, preferring the ones saved by the player
+  const savedConfigs = loadSavedKeyConfigs() || [];
   playerKeyConfigs.length = 0;
-  defaultConfigs.forEach(config => {
-    playerKeyConfigs.push({ ...config });
+  defaultConfigs.forEach((config, index) => {
+    playerKeyConfigs.push({ ...config, ...savedConfigs[index] });
   });
 
   return playerKeyConfigs;
@@ -243,16 +384,24 @@ export const getPlayerKeyConfig = (playerIndex) => {
 };
 
 /**
- * Updates a key in player's configuration
+ * Updates a key in player's configuration and saves the configurations.
+ * A keyboard player using the configuration is remapped right away.
  * 
  * @param {number} playerIndex - Player index
- * @param {string} keyType - Key type ('up', 'down', 'left', 'right')
+ * @param {string} keyType - Key type ('up', 'down', 'left', 'right', 'serve')
  * @param {string} keyCode - New key code
- * @returns {boolean} True if update was successful
+ * @returns {boolean} True if update was successful (false for reserved keys)
  */
 export const updatePlayerKey = (playerIndex, keyType, keyCode) => {
-  if (playerIndex < playerKeyConfigs.length) {
+  if (RESERVED_KEYS.includes(keyCode)) return false;
+
+  if (playerIndex < playerKeyConfigs.length && KEY_TYPES.includes(keyType)) {
     playerKeyConfigs[playerIndex][keyType] = keyCode;
+    saveKeyConfigs();
+
+    if (keyboardPlayers.has(playerIndex)) {
+      setupPlayerKeys(keyboardPlayers.get(playerIndex).config, playerIndex);
+    }
     return true;
   }
   return false;
@@ -269,6 +418,13 @@ export const startKeyBindingMode = () => {
   document.removeEventListener('keyup', handleKeyUp);
 };
 
+/**
+ * Checks whether a key press is currently being captured for rebinding
+ * 
+ * @returns {boolean} True while listening
+ */
+export const isKeyBindingActive = () => isListeningForKey;
+
 /**
  * Exits key binding mode
  */
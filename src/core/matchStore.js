@@ -0,0 +1,290 @@
+import { scoreChangeEvent } from './gameState.js';
+import { msToTicks } from './gameLoop.js';
+import { rules } from '../../config.js';
+
+/**
+ * Match store.
+ * The single source of truth for score, sets, serving team, round number, rally
+ * count and winner. It only changes through the named actions below, and every
+ * action emits scoreChangeEvent with the new state, so scoreboards and other UI
+ * render from the store instead of keeping their own copies.
+ * @module matchStore
+ */
+
+/**
+ * @typedef {Object} MatchFormat
+ * @property {number} sets - Best of this many sets
+ * @property {number} points - Points to win a set
+ * @property {number} winBy - Lead needed to win a set
+ * @property {number|null} cap - Score that wins a set regardless of the lead
+ * @property {number} decidingPoints - Points to win the deciding set
+ * @property {boolean} switchSides - Teams swap sides between sets
+ */
+
+/**
+ * @typedef {Object} MatchState
+ * @property {Array<number>} score - Points in the current set [team1, team2]
+ * @property {Array<number>} sets - Sets won [team1, team2]
+ * @property {Array<Array<number>>} setScores - Final scores of the finished sets
+ * @property {number} setNumber - Current set, starting at 1
+ * @property {boolean} sidesSwitched - True while team 1 plays on the right
+ * @property {number} servingTeam - Team serving the current round (1 or 2)
+ * @property {number|null} server - Player index of the slime serving the current round
+ * @property {Array<number>} serveTurns - Times each team won the serve [team1, team2], which picks its next server
+ * @property {number|null} serveTurnTeam - Team whose serve turn is running; a side-out hands
+ * servingTeam over before the next round starts, this only changes when that round starts
+ * @property {boolean} isServePending - True while the server has yet to put the ball in play
+ * @property {number} round - Round number, 1 for the first serve (0 before it)
+ * @property {number} rallyCount - Ball contacts in the current rally
+ * @property {string|null} lastHitSlimeId - Slime that touched the ball last in the current rally
+ * @property {number|null} lastHitTick - Simulation tick of that slime's latest contact
+ * @property {number|null} winner - Team that won the match, or null
+ * @property {number} winningScore - Points needed to win the current set
+ * @property {MatchFormat} format - Match format
+ * @property {string} scoringSystem - Scoring system, one of SCORING_SYSTEMS in game/scoringRules.js
+ */
+
+/**
+ * Reads a format from the config
+ *
+ * @param {string} [name=rules.MATCH_FORMAT] - Key of rules.MATCH_FORMATS
+ * @returns {MatchFormat} The format
+ */
+export function getMatchFormat(name = rules.MATCH_FORMAT) {
+  const config = rules.MATCH_FORMATS[name] || rules.MATCH_FORMATS.SINGLE;
+  const points = config.POINTS ?? rules.WINNING_SCORE;
+  return {
+    sets: config.SETS,
+    points,
+    winBy: config.WIN_BY,
+    cap: config.CAP,
+    decidingPoints: config.DECIDING_POINTS ?? points,
+    switchSides: config.SWITCH_SIDES
+  };
+}
+
+/**
+ * Decides whether a set score wins the set
+ *
+ * @param {Array<number>} score - Points [team1, team2]
+ * @param {number} target - Points to win the set
+ * @param {number} winBy - Lead needed
+ * @param {number|null} cap - Score that wins regardless of the lead
+ * @returns {number|null} Team that won the set, or null
+ */
+export function getSetWinner(score, target, winBy, cap) {
+  const leader = score[0] > score[1] ? 1 : 2;
+  const leaderScore = score[leader - 1];
+  const lead = Math.abs(score[0] - score[1]);
+  if (lead === 0) return null;
+
+  const reachedTarget = leaderScore >= target && lead >= winBy;
+  const reachedCap = cap !== null && leaderScore >= cap;
+  return reachedTarget || reachedCap ? leader : null;
+}
+
+/**
+ * The match state. Module-private: read it with getMatchState.
+ * @type {MatchState}
+ */
+const matchState = {
+  score: [0, 0],
+  sets: [0, 0],
+  setScores: [],
+  setNumber: 1,
+  sidesSwitched: false,
+  servingTeam: 1,
+  server: null,
+  serveTurns: [0, 0],
+  serveTurnTeam: null,
+  isServePending: false,
+  round: 0,
+  rallyCount: 0,
+  lastHitSlimeId: null,
+  lastHitTick: null,
+  winner: null,
+  winningScore: rules.WINNING_SCORE,
+  format: getMatchFormat(),
+  scoringSystem: rules.SCORING_SYSTEM
+};
+
+/**
+ * Get a copy of the match state
+ *
+ * @returns {MatchState} Copy of the match state
+ */
+export function getMatchState() {
+  return {
+    ...matchState,
+    score: [...matchState.score],
+    sets: [...matchState.sets],
+    serveTurns: [...matchState.serveTurns],
+    setScores: matchState.setScores.map(setScore => [...setScore]),
+    format: { ...matchState.format }
+  };
+}
+
+/**
+ * Points needed to win the current set; the deciding set may use its own target
+ *
+ * @returns {number} Target score
+ */
+const getSetTarget = () => {
+  const { sets, decidingPoints, points } = matchState.format;
+  return matchState.setNumber === sets && sets > 1 ? decidingPoints : points;
+};
+
+/**
+ * Emits scoreChangeEvent after an action
+ *
+ * @param {string} action - Name of the action that ran
+ * @param {Object} [details={}] - Extra data for listeners (e.g. the scoring team)
+ */
+const emitChange = (action, details = {}) => {
+  scoreChangeEvent.emit({ action, ...details, ...getMatchState() });
+};
+
+/**
+ * Action: starts a fresh match
+ *
+ * @param {Object} [options={}] - Match options
+ * @param {MatchFormat} [options.format=getMatchFormat()] - Match format
+ * @param {string} [options.scoringSystem=rules.SCORING_SYSTEM] - Scoring system (see game/scoringRules.js)
+ */
+export function resetMatch({ format = getMatchFormat(), scoringSystem = rules.SCORING_SYSTEM } = {}) {
+  matchState.format = { ...format };
+  matchState.scoringSystem = scoringSystem;
+  matchState.score = [0, 0];
+  matchState.sets = [0, 0];
+  matchState.setScores = [];
+  matchState.setNumber = 1;
+  matchState.sidesSwitched = false;
+  matchState.servingTeam = 1;
+  matchState.server = null;
+  matchState.serveTurns = [0, 0];
+  matchState.serveTurnTeam = null;
+  matchState.isServePending = false;
+  matchState.round = 0;
+  matchState.rallyCount = 0;
+  matchState.lastHitSlimeId = null;
+  matchState.lastHitTick = null;
+  matchState.winner = null;
+  matchState.winningScore = getSetTarget();
+  emitChange('resetMatch');
+}
+
+/**
+ * Action: starts the next set after one was won. Clears the set score and
+ * swaps sides if the format says so.
+ */
+export function startNextSet() {
+  if (matchState.winner !== null) return;
+
+  matchState.setNumber++;
+  matchState.score = [0, 0];
+  matchState.rallyCount = 0;
+  matchState.lastHitSlimeId = null;
+  matchState.lastHitTick = null;
+  matchState.serveTurnTeam = null; // The new set starts a new serve turn
+  if (matchState.format.switchSides) {
+    matchState.sidesSwitched = !matchState.sidesSwitched;
+  }
+  matchState.winningScore = getSetTarget();
+  emitChange('startNextSet');
+}
+
+/**
+ * Action: starts the next round. A team that wins the serve back passes it on
+ * to the next teammate in its rotation; a team that keeps it keeps its server.
+ *
+ * @param {number} servingTeam - Team that serves (1 or 2)
+ * @param {Array<number>} [rotation=[]] - Player indices of the serving team, in serve order
+ */
+export function startRound(servingTeam, rotation = []) {
+  if (servingTeam !== matchState.serveTurnTeam) {
+    matchState.serveTurnTeam = servingTeam;
+    matchState.serveTurns[servingTeam - 1]++;
+  }
+  const turn = matchState.serveTurns[servingTeam - 1];
+
+  matchState.servingTeam = servingTeam;
+  matchState.server = rotation.length > 0 ? rotation[(turn - 1) % rotation.length] : null;
+  matchState.isServePending = false;
+  matchState.round++;
+  matchState.rallyCount = 0;
+  matchState.lastHitSlimeId = null;
+  matchState.lastHitTick = null;
+  emitChange('startRound');
+}
+
+/**
+ * Action: opens or closes the serve phase, in which the server has to put the ball in play
+ *
+ * @param {boolean} isServePending - True when the serve phase starts, false when it ends
+ */
+export function setServePending(isServePending) {
+  if (matchState.isServePending === isServePending) return;
+
+  matchState.isServePending = isServePending;
+  emitChange('setServePending');
+}
+
+/**
+ * Action: hands the serve to the other team without a point (side-out scoring)
+ *
+ * @param {number} servingTeam - Team that serves next (1 or 2)
+ */
+export function sideOut(servingTeam) {
+  if (matchState.winner !== null) return;
+
+  matchState.servingTeam = servingTeam;
+  emitChange('sideOut');
+}
+
+/**
+ * Action: counts a ball contact in the current rally. The ball stays on a slime for
+ * a few ticks, so the same slime touching it again within the double hit grace
+ * window is still the same contact.
+ *
+ * @param {string} slimeId - Slime that touched the ball
+ * @param {number} tick - Simulation tick of the contact
+ */
+export function recordRallyHit(slimeId, tick) {
+  if (matchState.winner !== null) return;
+
+  const isSameContact = slimeId === matchState.lastHitSlimeId &&
+    tick - matchState.lastHitTick <= msToTicks(rules.DOUBLE_HIT_GRACE);
+  matchState.lastHitSlimeId = slimeId;
+  matchState.lastHitTick = tick;
+  if (isSameContact) return;
+
+  matchState.rallyCount++;
+  emitChange('recordRallyHit');
+}
+
+/**
+ * Action: gives a point to a team, and decides the set and the match when the
+ * point wins them
+ *
+ * @param {number} team - Team that scored (1 or 2)
+ * @returns {{isSetOver: boolean, isMatchOver: boolean}} What the point decided
+ */
+export function awardPoint(team) {
+  if ((team !== 1 && team !== 2) || matchState.winner !== null) {
+    return { isSetOver: false, isMatchOver: false };
+  }
+
+  matchState.score[team - 1]++;
+  const { winBy, cap, sets } = matchState.format;
+  const setWinner = getSetWinner(matchState.score, matchState.winningScore, winBy, cap);
+  if (setWinner !== null) {
+    matchState.sets[setWinner - 1]++;
+    matchState.setScores.push([...matchState.score]);
+    if (matchState.sets[setWinner - 1] > sets / 2) {
+      matchState.winner = setWinner;
+    }
+  }
+  const result = { isSetOver: setWinner !== null, isMatchOver: matchState.winner !== null };
+  emitChange('awardPoint', { team, ...result });
+  return result;
+}
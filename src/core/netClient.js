@@ -0,0 +1,89 @@
+import { Event } from './events.js';
+
+/**
+ * WebSocket client for the relay server (server/relay.mjs).
+ * Messages are JSON objects with a `type`; the relay answers joins itself and
+ * forwards everything else to the other peer in the room.
+ * @module netClient
+ */
+
+/**
+ * Counter used to give each client its own event names
+ * @type {number}
+ */
+let clientCount = 0;
+
+/**
+ * Connects to a relay server
+ *
+ * @param {string} url - WebSocket URL, e.g. ws://localhost:8787
+ * @returns {Object} Client with join, send and close methods and connection events
+ */
+export function NetClient(url) {
+  const clientId = `net_client_${clientCount++}`;
+
+  const openEvent = Event(`${clientId}_open`);
+  const messageEvent = Event(`${clientId}_message`);
+  const closeEvent = Event(`${clientId}_close`);
+
+  let socket = null;
+  try {
+    socket = new WebSocket(url);
+  } catch (error) {
+    console.error(`NetClient: cannot connect to ${url}.`, error);
+  }
+
+  if (socket) {
+    socket.addEventListener('open', () => openEvent.emit());
+    socket.addEventListener('close', () => closeEvent.emit());
+    socket.addEventListener('error', () => console.error(`NetClient: connection to ${url} failed.`));
+    socket.addEventListener('message', ({ data }) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        console.warn("NetClient: ignoring malformed message.", data);
+        return;
+      }
+      messageEvent.emit(message);
+    });
+  }
+
+  /**
+   * Sends a message to the relay
+   *
+   * @param {Object} message - Message with a `type`
+   * @returns {boolean} False if the connection is not open
+   */
+  const send = (message) => {
+    if (socket?.readyState !== WebSocket.OPEN) return false;
+    socket.send(JSON.stringify(message));
+    return true;
+  };
+
+  /**
+   * Joins (or opens) a room on the relay
+   *
+   * @param {string} room - Room code shared by both players
+   */
+  const join = (room) => {
+    send({ type: 'join', room });
+  };
+
+  /**
+   * Closes the connection
+   */
+  const close = () => {
+    socket?.close();
+  };
+
+  return {
+    join,
+    send,
+    close,
+    openEvent,
+    messageEvent,
+    closeEvent,
+    get isOpen() { return socket?.readyState === WebSocket.OPEN; }
+  };
+}
@@ -10,10 +10,45 @@
 export const gameObjects = {
   net: null,
   ground: null,
+  sidesSwitched: false, // True while team 1 plays on the right (e.g. after switching sides between sets)
 };
 
 /**
- * Registers a net object in the registry
+ * @typedef {Object} NetShape
+ * @property {{left: number, right: number, top: number, bottom: number}} rect - Post from the ground up to the cap center
+ * @property {{x: number, y: number, radius: number}} cap - Half-circle cap on top of the post
+ */
+
+/**
+ * Builds the net's compound collision shape: a rectangle standing on the ground,
+ * topped by a half circle as wide as the net, like the net createWall draws.
+ * The shape keeps the net's full height.
+ * 
+ * @param {Object} net - Net properties { position, width, height }
+ * @param {number} groundY - Y coordinate of the ground surface
+ * @returns {NetShape} Collision shape in field coordinates
+ */
+function buildNetShape(net, groundY) {
+  const halfWidth = net.width / 2;
+  const capRadius = Math.min(halfWidth, net.height);
+  const capY = groundY - net.height + capRadius;
+  return {
+    rect: { left: net.position - halfWidth, right: net.position + halfWidth, top: capY, bottom: groundY },
+    cap: { x: net.position, y: capY, radius: capRadius }
+  };
+}
+
+/**
+ * Rebuilds the net's collision shape once both the net and the ground are known
+ */
+function updateNetShape() {
+  if (!gameObjects.net) return;
+  gameObjects.net.shape = gameObjects.ground ? buildNetShape(gameObjects.net, gameObjects.ground.height) : null;
+}
+
+/**
+ * Registers a net object in the registry. Its collision shape (`shape`, a NetShape)
+ * is built from the registered ground.
  * 
  * @param {Object} netData - Net properties
  * @param {number} netData.position - X position of the net
@@ -23,6 +58,7 @@ export const gameObjects = {
  */
 export function registerNet(netData) {
   gameObjects.net = netData;
+  updateNetShape();
 }
 
 /**
@@ -41,6 +77,38 @@ export function unregisterNet() {
  */
 export function registerGround(groundData) {
   gameObjects.ground = groundData;
+  updateNetShape();
+}
+
+/**
+ * Sets which side each team plays on
+ * 
+ * @param {boolean} sidesSwitched - True to put team 1 on the right and team 2 on the left
+ */
+export function setSidesSwitched(sidesSwitched) {
+  gameObjects.sidesSwitched = sidesSwitched;
+}
+
+/**
+ * Gets the side of the net a team plays on
+ * 
+ * @param {number} team - Team number (1 or 2)
+ * @returns {number} -1 for the left side, 1 for the right side, 0 for no team
+ */
+export function getTeamSide(team) {
+  if (team !== 1 && team !== 2) return 0;
+  const side = team === 1 ? -1 : 1;
+  return gameObjects.sidesSwitched ? -side : side;
+}
+
+/**
+ * Gets the team playing on a side of the net
+ * 
+ * @param {number} side - -1 for the left side, 1 for the right side
+ * @returns {number} Team number (1 or 2)
+ */
+export function getSideTeam(side) {
+  return getTeamSide(1) === side ? 1 : 2;
 }
 
 /**
@@ -49,5 +117,6 @@ export function registerGround(groundData) {
 export function clearRegistry() {
   gameObjects.net = null;
   gameObjects.ground = null;
+  gameObjects.sidesSwitched = false;
   // clear any other objects that may be added in the future
 }
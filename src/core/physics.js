@@ -235,6 +235,177 @@ export const rectCircleCollide = (rectPos, rectWidth, rectHeight, circlePos, cir
   return distanceSquared < (circleRadius * circleRadius);
 };
 
+// --- Continuous Collision Detection (Swept Tests) ---
+
+/**
+ * @typedef {Object} SweepHit
+ * @property {number} t - Time of impact as a fraction of the motion (0 = start, 1 = end).
+ * @property {Position} position - Circle center at the time of impact.
+ * @property {{x: number, y: number}} normal - Surface normal at the contact, pointing toward the moving circle.
+ */
+
+/**
+ * Sweeps a moving circle against a static circle and finds the first contact.
+ * Circles that already overlap at the start are left to the discrete tests.
+ * @param {Position} start - Circle center at the start of the motion.
+ * @param {Position} end - Circle center at the end of the motion.
+ * @param {number} radius - Radius of the moving circle.
+ * @param {Position} center - Center of the static circle.
+ * @param {number} otherRadius - Radius of the static circle (0 for a point).
+ * @returns {SweepHit|null} Earliest contact, or null if the circles don't touch during the motion.
+ */
+export function sweepCircleCircle(start, end, radius, center, otherRadius) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const fx = start.x - center.x;
+  const fy = start.y - center.y;
+  const sumRadii = radius + otherRadius;
+
+  // Solve |f + d*t| = sumRadii for the smaller root
+  const a = dx * dx + dy * dy;
+  const b = 2 * (fx * dx + fy * dy);
+  const c = fx * fx + fy * fy - sumRadii * sumRadii;
+  if (c < 0 || a < EPSILON) return null; // Already overlapping, or not moving
+  const discriminant = b * b - 4 * a * c;
+  if (discriminant < 0) return null;
+
+  const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+  if (t < 0 || t > 1) return null;
+
+  const position = { x: start.x + dx * t, y: start.y + dy * t };
+  return {
+    t,
+    position,
+    normal: { x: (position.x - center.x) / sumRadii, y: (position.y - center.y) / sumRadii }
+  };
+}
+
+/**
+ * Finds when a point moving along one axis is inside a slab [min, max].
+ * @param {number} origin - Start coordinate on the axis.
+ * @param {number} delta - Motion along the axis.
+ * @param {number} min - Lower edge of the slab.
+ * @param {number} max - Upper edge of the slab.
+ * @returns {{tNear: number, tFar: number}|null} Entry and exit times, or null if it never enters.
+ */
+const sweepSlab = (origin, delta, min, max) => {
+  if (Math.abs(delta) < EPSILON) {
+    // Parallel to the slab: always inside or never
+    return origin < min || origin > max ? null : { tNear: -Infinity, tFar: Infinity };
+  }
+  const tMin = (min - origin) / delta;
+  const tMax = (max - origin) / delta;
+  return { tNear: Math.min(tMin, tMax), tFar: Math.max(tMin, tMax) };
+};
+
+/**
+ * Refines a slab hit that landed beside a corner of the rectangle, where the grown
+ * rectangle is rounded, by sweeping against the corner point instead.
+ * @param {Position} start - Circle center at the start of the motion.
+ * @param {Position} end - Circle center at the end of the motion.
+ * @param {number} radius - Radius of the moving circle.
+ * @param {{left: number, right: number, top: number, bottom: number}} rect - Rectangle edges.
+ * @param {SweepHit} hit - Hit found by the slab test.
+ * @returns {SweepHit|null} The hit, the corner hit, or null if the circle passes the corner.
+ */
+const refineCornerHit = (start, end, radius, rect, hit) => {
+  const { x, y } = hit.position;
+  const isBesideX = x < rect.left || x > rect.right;
+  const isBesideY = y < rect.top || y > rect.bottom;
+  if (!isBesideX || !isBesideY) return hit;
+
+  const corner = {
+    x: x < rect.left ? rect.left : rect.right,
+    y: y < rect.top ? rect.top : rect.bottom
+  };
+  return sweepCircleCircle(start, end, radius, corner, 0);
+};
+
+/**
+ * Sweeps a moving circle against a static axis-aligned rectangle and finds the first contact.
+ * The rectangle grown by the radius is tested with slabs; hits near a corner are
+ * refined against the rounded corner.
+ * Circles that already overlap at the start are left to the discrete tests.
+ * @param {Position} start - Circle center at the start of the motion.
+ * @param {Position} end - Circle center at the end of the motion.
+ * @param {number} radius - Radius of the moving circle.
+ * @param {{left: number, right: number, top: number, bottom: number}} rect - Rectangle edges (y increases downwards).
+ * @returns {SweepHit|null} Earliest contact, or null if the circle doesn't touch the rectangle during the motion.
+ */
+export function sweepCircleRect(start, end, radius, rect) {
+  const closestX = clamp(start.x, rect.left, rect.right);
+  const closestY = clamp(start.y, rect.top, rect.bottom);
+  if ((start.x - closestX) ** 2 + (start.y - closestY) ** 2 < radius * radius) return null;
+
+  // Slab test against the rectangle grown by the radius
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const xSlab = sweepSlab(start.x, dx, rect.left - radius, rect.right + radius);
+  const ySlab = sweepSlab(start.y, dy, rect.top - radius, rect.bottom + radius);
+  if (!xSlab || !ySlab) return null;
+
+  const tEnter = Math.max(xSlab.tNear, ySlab.tNear);
+  const tExit = Math.min(xSlab.tFar, ySlab.tFar);
+  if (tEnter > tExit || tExit < 0 || tEnter > 1) return null;
+
+  // The later slab entry is the face it came through; entering through the min edge faces -1
+  const normal = xSlab.tNear >= ySlab.tNear
+    ? { x: dx > 0 ? -1 : 1, y: 0 }
+    : { x: 0, y: dy > 0 ? -1 : 1 };
+
+  // Starts in the grown rectangle without overlapping: it is in a corner region
+  const t = Math.max(tEnter, 0);
+  const position = { x: start.x + dx * t, y: start.y + dy * t };
+  return refineCornerHit(start, end, radius, rect, { t, position, normal });
+}
+
+/**
+ * Sweeps a moving circle against the net's compound shape (post rectangle plus cap circle).
+ * @param {Position} start - Circle center at the start of the motion.
+ * @param {Position} end - Circle center at the end of the motion.
+ * @param {number} radius - Radius of the moving circle.
+ * @param {{rect: Object, cap: Object}} netShape - Net shape from the object registry.
+ * @returns {SweepHit|null} Earliest contact with either part, or null if the net isn't touched.
+ */
+export function sweepCircleNet(start, end, radius, netShape) {
+  const rectHit = sweepCircleRect(start, end, radius, netShape.rect);
+  const capHit = sweepCircleCircle(start, end, radius, netShape.cap, netShape.cap.radius);
+  if (!rectHit || !capHit) return rectHit || capHit;
+  return capHit.t < rectHit.t ? capHit : rectHit;
+}
+
+/**
+ * Broad phase for many circles: sweep and prune along the x axis.
+ * Sorts the circles by their left edge and only pairs circles whose bounding
+ * boxes overlap, so circles far apart never reach the exact test.
+ * @param {Array<{x: number, y: number, radius: number}>} circles - Circle geometries.
+ * @returns {Array<Array<number>>} Index pairs [i, j] (i < j) of circles whose bounding boxes overlap.
+ */
+export function findCandidatePairs(circles) {
+  const order = circles
+    .map((circle, index) => ({
+      index, left: circle.x - circle.radius, right: circle.x + circle.radius
+    }))
+    // Index breaks ties, so the order is deterministic
+    .sort((a, b) => a.left - b.left || a.index - b.index);
+
+  const pairs = [];
+  let active = [];
+  order.forEach(entry => {
+    // Circles ending left of this one can't touch it or anything after it
+    active = active.filter(other => other.right >= entry.left);
+    active.forEach(other => {
+      const a = circles[other.index];
+      const b = circles[entry.index];
+      if (Math.abs(a.y - b.y) <= a.radius + b.radius) {
+        pairs.push([Math.min(other.index, entry.index), Math.max(other.index, entry.index)]);
+      }
+    });
+    active.push(entry);
+  });
+  return pairs;
+}
+
 
 // --- Collision Response Helpers ---
 
@@ -330,6 +501,25 @@ export const reflectVelocity = (velocity, normal, restitution) => {
   };
 };
 
+/**
+ * Bounces a velocity off a surface, except for slow hits: below restSpeed the part
+ * moving into the surface is removed and the rest slides along it. A ball settling
+ * on a curved surface then rolls off under gravity instead of jittering in place.
+ * @param {Velocity} velocity - Incoming velocity.
+ * @param {{x: number, y: number}} normal - Surface normal vector (should be normalized).
+ * @param {number} restitution - Bounce energy preservation factor (0-1).
+ * @param {number} restSpeed - Speed into the surface below which there is no bounce.
+ * @returns {Velocity} Velocity after the contact.
+ */
+export const bounceOffSurface = (velocity, normal, restitution, restSpeed) => {
+  const dot = velocity.x * normal.x + velocity.y * normal.y;
+  if (dot >= 0) return { x: velocity.x, y: velocity.y }; // Already moving away
+  if (-dot < restSpeed) {
+    return { x: velocity.x - dot * normal.x, y: velocity.y - dot * normal.y };
+  }
+  return reflectVelocity(velocity, normal, restitution);
+};
+
 /**
  * Applies separation force to prevent objects from sticking after collision.
  * Modifies positions IN-PLACE.
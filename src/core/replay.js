@@ -0,0 +1,329 @@
+import { Event } from './events.js';
+import * as config from '../../config.js';
+
+/**
+ * Input recording and frame-exact replay.
+ * A replay stores the match seed, field size, config and every player input
+ * stamped with the simulation tick it was applied before. Feeding those inputs
+ * back through the same player events on the same ticks reproduces the match.
+ * @module replay
+ */
+
+/**
+ * Current replay file format version
+ * @type {number}
+ */
+export const REPLAY_VERSION = 2;
+
+/**
+ * Format identifier written into every replay file
+ * @type {string}
+ */
+export const REPLAY_FORMAT = 'slajmboll-replay';
+
+/**
+ * Player events that are recorded, as named in inputManager's PlayerEvents
+ * @type {Array<string>}
+ */
+export const RECORDED_PLAYER_EVENTS = [
+  'movementPress',
+  'movementRelease',
+  'jumpPress',
+  'jumpRelease',
+  'duckPress',
+  'duckRelease',
+  'servePress',
+  'serveRelease'
+];
+
+/**
+ * @typedef {Object} ReplayInput
+ * @property {number} tick - Simulation tick the input is applied before
+ * @property {number|null} player - Player index, or null for match-wide inputs
+ * @property {string} event - Player event name or match-wide action ('addBall', 'playAgain')
+ * @property {*} [value] - Event payload (e.g. movement direction)
+ */
+
+/**
+ * @typedef {Object} ReplayData
+ * @property {string} format - Always REPLAY_FORMAT
+ * @property {number} version - File format version
+ * @property {string} createdAt - ISO timestamp
+ * @property {number} seed - Match seed
+ * @property {{width: number, height: number}} field - Field size the match was played at
+ * @property {Object} config - Gameplay config snapshot
+ * @property {Object} options - Match options (e.g. teammateCollisions)
+ * @property {Array<{playerIndex: number, team: number}>} players - Match roster
+ * @property {number} duration - Length in ticks
+ * @property {Array<ReplayInput>} inputs - Inputs ordered by tick
+ */
+
+/**
+ * Takes a plain copy of the config values that influence the simulation
+ *
+ * @returns {Object} Config snapshot
+ */
+function snapshotConfig() {
+  return JSON.parse(JSON.stringify({
+    physics: config.physics,
+    timing: config.timing,
+    dimensions: config.dimensions,
+    rules: config.rules,
+    movement: config.movement,
+    dash: config.dash
+  }));
+}
+
+/**
+ * Records player inputs tick by tick
+ *
+ * @param {Object} options - Recorder options
+ * @param {Array<Object>} options.players - Players with { playerIndex, team, keys } (keys are PlayerEvents)
+ * @param {Function} options.getTick - Returns the current simulation tick
+ * @param {Object} [options.matchEvents={}] - Match-wide events to record, keyed by action name
+ * @returns {Object} Recorder with start, stop and getReplay methods
+ */
+export function ReplayRecorder({ players, getTick, matchEvents = {} }) {
+  /**
+   * Recorded inputs
+   * @type {Array<ReplayInput>}
+   */
+  let inputs = [];
+  let subscriptions = [];
+  let startTick = 0;
+
+  /**
+   * Appends an input stamped with the current tick (relative to recording start)
+   *
+   * @param {number|null} player - Player index or null
+   * @param {string} event - Event name
+   * @param {*} value - Payload
+   */
+  const record = (player, event, value) => {
+    const input = { tick: getTick() - startTick, player, event };
+    if (value !== undefined) input.value = value;
+    inputs.push(input);
+  };
+
+  /**
+   * Starts recording from the current tick
+   */
+  const start = () => {
+    stop();
+    inputs = [];
+    startTick = getTick();
+
+    players.forEach(({ playerIndex, keys }) => {
+      RECORDED_PLAYER_EVENTS.forEach(eventName => {
+        if (!keys?.[eventName]) return;
+        subscriptions.push(keys[eventName].subscribe(value => record(playerIndex, eventName, value)));
+      });
+    });
+
+    Object.entries(matchEvents).forEach(([action, event]) => {
+      subscriptions.push(event.subscribe(() => record(null, action)));
+    });
+  };
+
+  /**
+   * Stops recording. Recorded inputs are kept.
+   */
+  const stop = () => {
+    subscriptions.forEach(subscription => subscription.unsubscribe());
+    subscriptions = [];
+  };
+
+  /**
+   * Builds the replay file contents
+   *
+   * @param {Object} meta - Match information
+   * @param {number} meta.seed - Match seed
+   * @param {{width: number, height: number}} meta.field - Field size
+   * @param {Object} [meta.options={}] - Options picked on the setup screen
+   * @returns {ReplayData} Replay data, ready for JSON.stringify
+   */
+  const getReplay = ({ seed, field, options = {} }) => ({
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    createdAt: new Date().toISOString(),
+    seed,
+    field: { width: field.width, height: field.height },
+    config: snapshotConfig(),
+    options: { ...options },
+    players: players.map(({ playerIndex, team }) => ({ playerIndex, team })),
+    duration: getTick() - startTick,
+    inputs: inputs.map(input => ({ ...input }))
+  });
+
+  return {
+    start,
+    stop,
+    getReplay,
+    get inputCount() { return inputs.length; }
+  };
+}
+
+/**
+ * Parses and validates replay file contents
+ *
+ * @param {string} text - JSON text of a replay file
+ * @returns {ReplayData|null} Replay data, or null if the file is not a usable replay
+ */
+export function parseReplay(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    console.error("Replay: file is not valid JSON.", error);
+    return null;
+  }
+
+  if (data?.format !== REPLAY_FORMAT) {
+    console.error("Replay: not a replay file.");
+    return null;
+  }
+  if (data.version !== REPLAY_VERSION) {
+    console.error(`Replay: unsupported version ${data.version} (expected ${REPLAY_VERSION}).`);
+    return null;
+  }
+  if (!Array.isArray(data.inputs) || !Array.isArray(data.players) ||
+    typeof data.duration !== 'number' || !data.field) {
+    console.error("Replay: file is missing required fields.");
+    return null;
+  }
+
+  if (JSON.stringify(data.config) !== JSON.stringify(snapshotConfig())) {
+    console.warn("Replay: recorded with a different config, playback may diverge.");
+  }
+
+  // Stable sort keeps same-tick inputs in recorded order
+  data.inputs = [...data.inputs].sort((a, b) => a.tick - b.tick);
+  return data;
+}
+
+/**
+ * Plays a replay back by feeding recorded inputs into the match on their ticks
+ *
+ * @param {ReplayData} replay - Parsed replay
+ * @param {Object} hooks - Match integration
+ * @param {Function} hooks.emitInput - Applies a single ReplayInput to the match
+ * @param {Function} hooks.step - Advances the match by one tick
+ * @param {Function} hooks.rebuild - Restarts the match from the replay seed (used to scrub backwards)
+ * @returns {Object} Player with play, pause, seek, setSpeed and advance methods
+ */
+export function ReplayPlayer(replay, { emitInput, step, rebuild }) {
+  const progressEvent = Event('replay_progress');
+
+  let currentTick = 0;
+  let inputIndex = 0;
+  let isPlaying = false;
+  let speed = 1;
+  let tickBudget = 0; // Fractional ticks owed at the current speed
+
+  /**
+   * Emits progress for controls
+   */
+  const emitProgress = () => {
+    progressEvent.emit({
+      tick: currentTick,
+      duration: replay.duration,
+      isPlaying,
+      speed
+    });
+  };
+
+  /**
+   * Applies the inputs due at the current tick, then advances the match one tick
+   */
+  const runTick = () => {
+    while (inputIndex < replay.inputs.length && replay.inputs[inputIndex].tick <= currentTick) {
+      emitInput(replay.inputs[inputIndex]);
+      inputIndex++;
+    }
+    step();
+    currentTick++;
+  };
+
+  /**
+   * Called once per game loop tick. Runs as many replay ticks as the speed asks for.
+   */
+  const advance = () => {
+    if (!isPlaying) return;
+
+    tickBudget += speed;
+    while (tickBudget >= 1 && currentTick < replay.duration) {
+      runTick();
+      tickBudget--;
+    }
+
+    if (currentTick >= replay.duration) {
+      isPlaying = false;
+      tickBudget = 0;
+    }
+    emitProgress();
+  };
+
+  /**
+   * Jumps to a tick. Going backwards rebuilds the match and fast-forwards.
+   *
+   * @param {number} tick - Target tick
+   */
+  const seek = (tick) => {
+    const target = Math.max(0, Math.min(Math.floor(tick), replay.duration));
+
+    if (target < currentTick) {
+      rebuild();
+      currentTick = 0;
+      inputIndex = 0;
+    }
+    while (currentTick < target) {
+      runTick();
+    }
+    tickBudget = 0;
+    emitProgress();
+  };
+
+  /**
+   * Starts or continues playback (restarts if at the end)
+   */
+  const play = () => {
+    if (currentTick >= replay.duration) {
+      seek(0);
+    }
+    isPlaying = true;
+    emitProgress();
+  };
+
+  /**
+   * Pauses playback
+   */
+  const pause = () => {
+    isPlaying = false;
+    tickBudget = 0;
+    emitProgress();
+  };
+
+  /**
+   * Sets the playback speed multiplier
+   *
+   * @param {number} newSpeed - Ticks replayed per game loop tick (e.g. 0.5, 1, 2)
+   */
+  const setSpeed = (newSpeed) => {
+    if (!(newSpeed > 0)) return;
+    speed = newSpeed;
+    emitProgress();
+  };
+
+  return {
+    play,
+    pause,
+    seek,
+    setSpeed,
+    advance,
+    progressEvent,
+    get tick() { return currentTick; },
+    get duration() { return replay.duration; },
+    get isPlaying() { return isPlaying; },
+    get speed() { return speed; }
+  };
+}
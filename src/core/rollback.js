@@ -0,0 +1,336 @@
+import { Event } from './events.js';
+import { netplay as configNetplay } from '../../config.js';
+
+/**
+ * Rollback netcode.
+ * Every peer runs the full simulation. Each tick's inputs are exchanged as small
+ * bit masks; while a remote input has not arrived it is predicted (last known input
+ * repeated) and the tick is simulated anyway. When the real input arrives the world
+ * is rolled back to the last confirmed snapshot and re-simulated.
+ *
+ * Match flow (round timers, scoring) only runs on confirmed ticks, so anything that
+ * is not part of the simulation snapshot never has to be rolled back.
+ * @module rollback
+ */
+
+/**
+ * Input bits, one per held control
+ * @type {number}
+ */
+export const INPUT_LEFT = 1;
+export const INPUT_RIGHT = 2;
+export const INPUT_JUMP = 4;
+export const INPUT_DUCK = 8;
+export const INPUT_SERVE = 16;
+
+/**
+ * Tracks which controls of a player are held, from its PlayerEvents
+ *
+ * @param {Object} keys - PlayerEvents (see inputManager.setupPlayerKeys)
+ * @returns {Object} Tracker with the current `bits` and a destroy method
+ */
+export function InputTracker(keys) {
+  let bits = 0;
+
+  const set = (bit, isHeld) => {
+    bits = isHeld ? bits | bit : bits & ~bit;
+  };
+
+  const subscriptions = [
+    keys.movementPress.subscribe(direction => set(direction === -1 ? INPUT_LEFT : INPUT_RIGHT, true)),
+    keys.movementRelease.subscribe(direction => set(direction === -1 ? INPUT_LEFT : INPUT_RIGHT, false)),
+    keys.jumpPress.subscribe(() => set(INPUT_JUMP, true)),
+    keys.jumpRelease.subscribe(() => set(INPUT_JUMP, false)),
+    keys.duckPress.subscribe(() => set(INPUT_DUCK, true)),
+    keys.duckRelease.subscribe(() => set(INPUT_DUCK, false)),
+    keys.servePress.subscribe(() => set(INPUT_SERVE, true)),
+    keys.serveRelease.subscribe(() => set(INPUT_SERVE, false))
+  ];
+
+  /**
+   * Stops tracking
+   */
+  const destroy = () => {
+    subscriptions.forEach(subscription => subscription.unsubscribe());
+  };
+
+  return {
+    get bits() { return bits; },
+    destroy
+  };
+}
+
+/**
+ * Emits the press/release events that turn one input state into the next
+ *
+ * @param {Object} keys - PlayerEvents driving a slime
+ * @param {number} previousBits - Input bits applied on the previous tick
+ * @param {number} bits - Input bits for this tick
+ */
+export function emitInputChanges(keys, previousBits, bits) {
+  const changed = previousBits ^ bits;
+  if (!changed) return;
+
+  const released = changed & previousBits;
+  const pressed = changed & bits;
+
+  if (released & INPUT_LEFT) keys.movementRelease.emit(-1);
+  if (released & INPUT_RIGHT) keys.movementRelease.emit(1);
+  if (released & INPUT_JUMP) keys.jumpRelease.emit();
+  if (released & INPUT_DUCK) keys.duckRelease.emit();
+  if (released & INPUT_SERVE) keys.serveRelease.emit();
+
+  if (pressed & INPUT_LEFT) keys.movementPress.emit(-1);
+  if (pressed & INPUT_RIGHT) keys.movementPress.emit(1);
+  if (pressed & INPUT_JUMP) keys.jumpPress.emit();
+  if (pressed & INPUT_DUCK) keys.duckPress.emit();
+  if (pressed & INPUT_SERVE) keys.servePress.emit();
+}
+
+/**
+ * @typedef {Object} RollbackHooks
+ * @property {Function} saveState - Returns a snapshot of the simulation
+ * @property {Function} loadState - Restores a snapshot from saveState
+ * @property {Function} applyInput - (player, previousBits, bits) feeds a player's input for the tick
+ * @property {Function} step - (tick, isConfirmed) advances the match one tick
+ * @property {Function} sendInput - ({ tick, bits }) sends the local input to the peer
+ * @property {Function} [hasPendingFlow] - True while match flow needs every confirmed tick (e.g. timers running)
+ */
+
+/**
+ * Creates a rollback session for a fixed set of players
+ *
+ * @param {Object} options - Session options
+ * @param {number} options.playerCount - Number of players (one per peer)
+ * @param {number} options.localPlayer - Index of the player controlled on this peer
+ * @param {RollbackHooks} options.hooks - Simulation and network integration
+ * @param {number} [options.inputDelay=configNetplay.INPUT_DELAY] - Ticks local input is delayed by
+ * @param {number} [options.maxPrediction=configNetplay.MAX_PREDICTION] - Ticks allowed ahead of the last confirmed tick
+ * @returns {Object} Session with advance, receiveInput and requestFlow methods
+ */
+export function RollbackSession({
+  playerCount,
+  localPlayer,
+  hooks,
+  inputDelay = configNetplay.INPUT_DELAY,
+  maxPrediction = configNetplay.MAX_PREDICTION
+}) {
+  const rollbackEvent = Event(`rollback_${localPlayer}_${Date.now()}`);
+
+  /**
+   * Confirmed input bits per player, by tick
+   * @type {Array<Map<number, number>>}
+   */
+  const inputs = [];
+
+  /**
+   * First tick per player whose input has not arrived yet
+   * @type {Array<number>}
+   */
+  const receivedUpTo = [];
+
+  for (let player = 0; player < playerCount; player++) {
+    inputs.push(new Map());
+    // Nobody can have input for the first inputDelay ticks
+    for (let tick = 0; tick < inputDelay; tick++) {
+      inputs[player].set(tick, 0);
+    }
+    receivedUpTo.push(inputDelay);
+  }
+
+  /**
+   * Input bits each tick was simulated with, to detect mispredictions
+   * @type {Map<number, Array<number>>}
+   */
+  const usedInputs = new Map();
+
+  /**
+   * Snapshots of the state *before* each tick, from the confirmed tick onwards
+   * @type {Map<number, Object>}
+   */
+  const snapshots = new Map();
+
+  let currentTick = 0; // Next tick to simulate
+  let confirmedTick = 0; // Ticks before this one are final
+  let lastApplied = new Array(playerCount).fill(0); // Input bits the simulation currently holds
+  let isPredicting = false;
+  let isFlowRequested = false;
+  let rollbackCount = 0;
+
+  /**
+   * Stores the state before a tick together with the held inputs
+   *
+   * @param {number} tick - Tick about to be simulated
+   */
+  const saveSnapshot = (tick) => {
+    snapshots.set(tick, { state: hooks.saveState(), applied: [...lastApplied] });
+  };
+
+  /**
+   * Predicts a player's input for a tick: the last known input is held
+   *
+   * @param {number} player - Player index
+   * @param {number} tick - Tick to predict
+   * @returns {number} Input bits
+   */
+  const inputFor = (player, tick) => {
+    if (inputs[player].has(tick)) return inputs[player].get(tick);
+    return inputs[player].get(receivedUpTo[player] - 1) || 0;
+  };
+
+  /**
+   * Drops inputs no prediction can need anymore (the one before the confirmed tick is kept)
+   */
+  const pruneInputs = () => {
+    inputs.forEach(playerInputs => {
+      playerInputs.forEach((bits, tick) => {
+        if (tick < confirmedTick - 1) playerInputs.delete(tick);
+      });
+    });
+  };
+
+  /**
+   * Simulates one tick with confirmed or predicted inputs
+   *
+   * @param {number} tick - Tick to simulate
+   * @param {boolean} isConfirmed - True if every input for the tick is known
+   */
+  const runTick = (tick, isConfirmed) => {
+    const bits = [];
+    for (let player = 0; player < playerCount; player++) {
+      bits.push(inputFor(player, tick));
+    }
+    usedInputs.set(tick, bits);
+
+    isPredicting = !isConfirmed;
+    bits.forEach((playerBits, player) => {
+      hooks.applyInput(player, lastApplied[player], playerBits);
+    });
+    lastApplied = bits;
+    hooks.step(tick, isConfirmed);
+    isPredicting = false;
+  };
+
+  /**
+   * Moves the confirmed tick forward as far as every player's input allows.
+   * Re-simulates from the last confirmed snapshot if a prediction was wrong or
+   * match flow has to run on the newly confirmed ticks.
+   */
+  const confirm = () => {
+    const target = Math.min(currentTick, ...receivedUpTo);
+    if (target <= confirmedTick) return;
+
+    let isMispredicted = false;
+    for (let tick = confirmedTick; tick < target && !isMispredicted; tick++) {
+      const used = usedInputs.get(tick);
+      isMispredicted = used.some((bits, player) => bits !== inputs[player].get(tick));
+    }
+
+    const needsFlow = isFlowRequested || Boolean(hooks.hasPendingFlow?.());
+    if (!isMispredicted && !needsFlow) {
+      // Predictions held: the snapshots already on record are final
+      for (let tick = confirmedTick; tick < target; tick++) {
+        snapshots.delete(tick);
+        usedInputs.delete(tick);
+      }
+      confirmedTick = target;
+      pruneInputs();
+      return;
+    }
+
+    // Roll back to the confirmed state and simulate forward again
+    const { state, applied } = snapshots.get(confirmedTick);
+    hooks.loadState(state);
+    lastApplied = [...applied];
+    snapshots.clear();
+    isFlowRequested = false;
+    rollbackCount++;
+
+    for (let tick = confirmedTick; tick < target; tick++) {
+      runTick(tick, true);
+      usedInputs.delete(tick);
+    }
+    confirmedTick = target;
+    pruneInputs();
+
+    for (let tick = confirmedTick; tick < currentTick; tick++) {
+      saveSnapshot(tick);
+      runTick(tick, false);
+    }
+
+    rollbackEvent.emit({ confirmedTick, currentTick, isMispredicted });
+  };
+
+  /**
+   * Called once per game loop tick with the local player's held input.
+   * Sends it, folds in remote inputs and simulates the next tick.
+   *
+   * @param {number} localBits - Input bits of the local player
+   * @returns {boolean} False if the session is waiting for the peer
+   */
+  const advance = (localBits) => {
+    if (currentTick - confirmedTick >= maxPrediction) {
+      confirm();
+      if (currentTick - confirmedTick >= maxPrediction) {
+        return false; // Too far ahead of the peer, wait
+      }
+    }
+
+    const inputTick = currentTick + inputDelay;
+    if (!inputs[localPlayer].has(inputTick)) {
+      inputs[localPlayer].set(inputTick, localBits);
+      receivedUpTo[localPlayer] = inputTick + 1;
+      hooks.sendInput({ tick: inputTick, bits: localBits });
+    }
+
+    confirm();
+
+    // With every input already in, the tick is final straight away
+    const isConfirmed = confirmedTick === currentTick && receivedUpTo.every(next => next > currentTick);
+    saveSnapshot(currentTick);
+    runTick(currentTick, isConfirmed);
+    currentTick++;
+
+    if (isConfirmed) {
+      snapshots.delete(confirmedTick);
+      usedInputs.delete(confirmedTick);
+      confirmedTick = currentTick;
+    }
+    return true;
+  };
+
+  /**
+   * Records an input received from a peer
+   *
+   * @param {number} player - Remote player index
+   * @param {Object} input - Input message { tick, bits }
+   */
+  const receiveInput = (player, { tick, bits }) => {
+    if (player === localPlayer || player < 0 || player >= playerCount) return;
+    if (tick < receivedUpTo[player]) return; // Duplicate
+
+    inputs[player].set(tick, bits);
+    while (inputs[player].has(receivedUpTo[player])) {
+      receivedUpTo[player]++;
+    }
+  };
+
+  /**
+   * Asks for the next confirmation to re-run match flow. Called when a flow
+   * event (e.g. a score) was skipped because the tick was only predicted.
+   */
+  const requestFlow = () => {
+    isFlowRequested = true;
+  };
+
+  return {
+    advance,
+    receiveInput,
+    requestFlow,
+    rollbackEvent,
+    get tick() { return currentTick; },
+    get confirmedTick() { return confirmedTick; },
+    get isPredicting() { return isPredicting; },
+    get rollbackCount() { return rollbackCount; }
+  };
+}
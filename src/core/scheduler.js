@@ -0,0 +1,114 @@
+import { DelayedAction, processDelayedActions } from '../utils/delayedActions.js';
+
+/**
+ * Tick-based scheduler.
+ * Runs callbacks after a number of simulation ticks. It only advances when its owner
+ * ticks it, so anything scheduled here waits while the game is paused and replays
+ * frame-exactly. Every scheduled action is a handle that can be cancelled, and actions
+ * can be tagged with an owner entity to drop them all at once when it goes away.
+ * @module scheduler
+ */
+
+/**
+ * Creates a scheduler
+ *
+ * @returns {Object} Scheduler with schedule, add, tick and clearing methods
+ */
+export function Scheduler() {
+  /**
+   * Pending actions in scheduling order
+   * @type {Array<import('../utils/delayedActions.js').DelayedAction>}
+   */
+  let actions = [];
+
+  /**
+   * Adds an existing action handle
+   *
+   * @param {Object} action - DelayedAction handle
+   * @returns {Object} The same handle
+   */
+  const add = (action) => {
+    if (!action.isCancelled && !actions.includes(action)) {
+      actions.push(action);
+    }
+    return action;
+  };
+
+  /**
+   * Runs a callback after a number of ticks
+   *
+   * @param {number} ticks - Ticks to wait
+   * @param {Function} callback - Function to run
+   * @param {Object} [owner=null] - Entity the action belongs to
+   * @returns {Object} DelayedAction handle, call cancel() on it to drop the action
+   */
+  const schedule = (ticks, callback, owner = null) => add(DelayedAction(ticks, callback, owner));
+
+  /**
+   * Advances every pending action by one tick and runs the ones that are due.
+   * Actions scheduled from a callback start counting on the next tick.
+   */
+  const tick = () => {
+    const current = actions;
+    actions = [];
+    const remaining = processDelayedActions(current);
+    actions = [...remaining, ...actions];
+  };
+
+  /**
+   * Cancels every pending action of an owner
+   *
+   * @param {Object} owner - Owner passed when scheduling
+   * @returns {number} Number of actions cancelled
+   */
+  const clearOwner = (owner) => {
+    const owned = actions.filter(action => action.owner === owner);
+    owned.forEach(action => action.cancel());
+    actions = actions.filter(action => action.owner !== owner);
+    return owned.length;
+  };
+
+  /**
+   * Cancels every pending action
+   */
+  const clear = () => {
+    actions.forEach(action => action.cancel());
+    actions = [];
+  };
+
+  /**
+   * Captures the pending actions for rollback. Callbacks are kept by reference,
+   * only the remaining delays are copied.
+   *
+   * @returns {Array<Object>} Opaque in-memory snapshot
+   */
+  const getSnapshot = () => actions
+    .filter(action => !action.isCancelled)
+    .map(action => ({ action, delay: action.delay }));
+
+  /**
+   * Restores a snapshot taken with getSnapshot. Actions cancelled since then are
+   * pending again, as they were at the snapshot tick.
+   *
+   * @param {Array<Object>} snapshot - Snapshot from getSnapshot
+   */
+  const restoreSnapshot = (snapshot) => {
+    actions = snapshot.map(({ action, delay }) => {
+      action.delay = delay;
+      action.isCancelled = false;
+      return action;
+    });
+  };
+
+  return {
+    get size() { return actions.filter(action => !action.isCancelled).length; },
+
+    add,
+    schedule,
+    tick,
+    clearOwner,
+    clear,
+    getSnapshot,
+    restoreSnapshot
+  };
+}
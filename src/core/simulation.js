@@ -0,0 +1,337 @@
+import { Event } from './events.js';
+import {
+  gameObjects,
+  registerGround,
+  registerNet,
+  clearRegistry
+} from './objectRegistry.js';
+import { Scheduler } from './scheduler.js';
+import { delayedActionsEvent } from '../utils/delayedActions.js';
+import { findCandidatePairs } from './physics.js';
+
+/**
+ * Headless simulation core.
+ * Owns the slimes, balls, net and ground of a match and steps them one tick at a time.
+ * Nothing here touches the DOM: renderers subscribe to the entity events and attach
+ * their own elements, so a whole match can also run in Node.
+ * Each simulation owns a Scheduler that advances with step(), so delayed actions of
+ * its entities pause, replay and roll back together with the world.
+ * @module simulation
+ */
+
+/**
+ * @typedef {Object} NetData
+ * @property {number} position - X position of the net center
+ * @property {number} width - Width of the net
+ * @property {number} height - Height of the net above the ground
+ */
+
+/**
+ * @typedef {Object} EntityEvent
+ * @property {string} type - Entity type ('slime' or 'ball')
+ * @property {Object} entity - The Slime or Ball instance
+ */
+
+/**
+ * Counter used to give each simulation its own event names
+ * @type {number}
+ */
+let simulationCount = 0;
+
+/**
+ * Creates a simulation world
+ *
+ * @param {Object} field - Field dimensions { width, height }. Kept by reference.
+ * @returns {Object} Simulation with entity management and stepping methods
+ */
+export function Simulation(field) {
+  const simulationId = `simulation_${simulationCount++}`;
+
+  /**
+   * Slime entities in update order
+   * @type {Array<Object>}
+   */
+  const slimes = [];
+
+  /**
+   * Ball entities in update order
+   * @type {Array<Object>}
+   */
+  const balls = [];
+
+  let tick = 0;
+  let hasTeammateCollisions = false; // Teammates collide with each other (a match option)
+
+  /**
+   * Delayed actions of this world, advanced once per step
+   * @type {Object}
+   */
+  const scheduler = Scheduler();
+
+  // Entities schedule through createDelayedAction; keep the actions owned by this world
+  // (by one of its entities, or by the simulation itself for world-level actions)
+  const delayedActionsSubscription = delayedActionsEvent.subscribe(action => {
+    if (action.owner === simulation || slimes.includes(action.owner) || balls.includes(action.owner)) {
+      scheduler.add(action);
+    }
+  });
+
+  // --- Events ---
+  const entityAddedEvent = Event(`${simulationId}_entity_added`);
+  const entityRemovedEvent = Event(`${simulationId}_entity_removed`);
+  const stepEvent = Event(`${simulationId}_step`);
+
+  // --- World Geometry ---
+
+  /**
+   * Sets the ground level. Actors read it from the object registry.
+   *
+   * @param {number} height - Y coordinate of the ground surface
+   */
+  const setGround = (height) => {
+    registerGround({ height });
+  };
+
+  /**
+   * Sets the net geometry. Actors read it from the object registry.
+   *
+   * @param {NetData} netData - Net position and size
+   */
+  const setNet = ({ position, width, height }) => {
+    registerNet({ position, width, height });
+  };
+
+  // --- Entity Management ---
+
+  /**
+   * Adds a slime to the simulation
+   *
+   * @param {Object} slime - Slime instance
+   * @returns {Object} The added slime
+   */
+  const addSlime = (slime) => {
+    if (slimes.includes(slime)) return slime;
+
+    slimes.push(slime);
+    entityAddedEvent.emit({ type: 'slime', entity: slime });
+    return slime;
+  };
+
+  /**
+   * Removes a slime from the simulation
+   *
+   * @param {Object} slime - Slime instance
+   * @returns {boolean} True if the slime was removed
+   */
+  const removeSlime = (slime) => {
+    const index = slimes.indexOf(slime);
+    if (index === -1) return false;
+
+    slimes.splice(index, 1);
+    scheduler.clearOwner(slime);
+    entityRemovedEvent.emit({ type: 'slime', entity: slime });
+    return true;
+  };
+
+  /**
+   * Adds a ball to the simulation
+   *
+   * @param {Object} ball - Ball instance
+   * @returns {Object} The added ball
+   */
+  const addBall = (ball) => {
+    if (balls.includes(ball)) return ball;
+
+    balls.push(ball);
+    entityAddedEvent.emit({ type: 'ball', entity: ball });
+    return ball;
+  };
+
+  /**
+   * Removes a ball from the simulation
+   *
+   * @param {Object} ball - Ball instance
+   * @returns {boolean} True if the ball was removed
+   */
+  const removeBall = (ball) => {
+    const index = balls.indexOf(ball);
+    if (index === -1) return false;
+
+    balls.splice(index, 1);
+    scheduler.clearOwner(ball);
+    entityRemovedEvent.emit({ type: 'ball', entity: ball });
+    return true;
+  };
+
+  /**
+   * Removes every entity, pending action and the world geometry, and resets the tick counter
+   */
+  const clear = () => {
+    [...balls].forEach(removeBall);
+    [...slimes].forEach(removeSlime);
+    scheduler.clear();
+    clearRegistry();
+    hasTeammateCollisions = false;
+    tick = 0;
+  };
+
+  /**
+   * Turns collisions between teammates on or off
+   *
+   * @param {boolean} enabled - True if slimes of the same team collide
+   */
+  const setTeammateCollisions = (enabled) => {
+    hasTeammateCollisions = Boolean(enabled);
+  };
+
+  // --- Stepping ---
+
+  /**
+   * Resolves collisions between slimes of the same team. Slimes without a team
+   * and opponents (kept apart by the net) are skipped.
+   */
+  const resolveTeammateCollisions = () => {
+    if (!hasTeammateCollisions) return;
+
+    for (let i = 0; i < slimes.length; i++) {
+      for (let j = i + 1; j < slimes.length; j++) {
+        if (slimes[i].team !== 0 && slimes[i].team === slimes[j].team) {
+          slimes[i].checkSlimeCollision(slimes[j]);
+        }
+      }
+    }
+  };
+
+  /**
+   * Resolves collisions between balls. The broad phase only hands over pairs
+   * whose bounding boxes overlap, so extra balls stay cheap.
+   */
+  const resolveBallCollisions = () => {
+    if (balls.length < 2) return;
+
+    const circles = balls.map(ball => ({
+      x: ball.actorObject.pos.x,
+      y: ball.actorObject.pos.y,
+      radius: ball.actorObject.realRadius
+    }));
+    findCandidatePairs(circles).forEach(([i, j]) => balls[i].checkBallCollision(balls[j]));
+  };
+
+  /**
+   * Advances the world by one tick: due delayed actions run first, then slimes
+   * move and teammates are kept apart, then balls move, then ball-slime and
+   * ball-ball collisions are resolved against the updated positions.
+   */
+  const step = () => {
+    scheduler.tick();
+    slimes.forEach(slime => slime.update());
+    resolveTeammateCollisions();
+    balls.forEach(ball => ball.update());
+
+    balls.forEach(ball => {
+      slimes.forEach(slime => ball.checkSlimeCollision(slime));
+    });
+    resolveBallCollisions();
+
+    tick++;
+    stepEvent.emit({ tick });
+  };
+
+  /**
+   * Returns a plain-data description of the world
+   *
+   * @returns {Object} Snapshot with tick, geometry, slimes and balls
+   */
+  const getState = () => ({
+    tick,
+    field: { width: field.width, height: field.height },
+    ground: gameObjects.ground ? gameObjects.ground.height : null,
+    net: gameObjects.net
+      ? { position: gameObjects.net.position, width: gameObjects.net.width, height: gameObjects.net.height }
+      : null,
+    slimes: slimes.map(slime => ({
+      slimeId: slime.slimeId,
+      playerIndex: slime.playerIndex,
+      team: slime.team,
+      position: { ...slime.actorObject.pos },
+      velocity: { ...slime.actorObject.velocity },
+      radius: slime.actorObject.realRadius,
+      isGrounded: slime.actorObject.isGrounded
+    })),
+    balls: balls.map(ball => ({
+      position: { ...ball.actorObject.pos },
+      velocity: { ...ball.actorObject.velocity },
+      radius: ball.actorObject.realRadius
+    }))
+  });
+
+  /**
+   * Captures the world state for rollback. Entities are matched by order,
+   * so the same slimes and balls must be present when the snapshot is loaded.
+   *
+   * @returns {Object} Opaque in-memory snapshot
+   */
+  const saveState = () => ({
+    tick,
+    slimes: slimes.map(slime => slime.getSnapshot()),
+    balls: balls.map(ball => ball.getSnapshot()),
+    scheduler: scheduler.getSnapshot()
+  });
+
+  /**
+   * Restores a snapshot taken with saveState
+   *
+   * @param {Object} state - Snapshot from saveState
+   * @returns {boolean} False if the entities no longer match the snapshot
+   */
+  const loadState = (state) => {
+    if (state.slimes.length !== slimes.length || state.balls.length !== balls.length) {
+      console.error("Simulation: cannot load state, entities changed since it was saved.");
+      return false;
+    }
+
+    slimes.forEach((slime, i) => slime.restoreSnapshot(state.slimes[i]));
+    balls.forEach((ball, i) => ball.restoreSnapshot(state.balls[i]));
+    scheduler.restoreSnapshot(state.scheduler);
+    tick = state.tick;
+    return true;
+  };
+
+  /**
+   * Clears the world and stops picking up delayed actions. The simulation
+   * can't be used afterwards.
+   */
+  const destroy = () => {
+    clear();
+    delayedActionsSubscription.unsubscribe();
+  };
+
+  const simulation = {
+    field,
+    slimes,
+    balls,
+    scheduler,
+    get tick() { return tick; },
+
+    setGround,
+    setNet,
+    setTeammateCollisions,
+    addSlime,
+    removeSlime,
+    addBall,
+    removeBall,
+    clear,
+    destroy,
+    step,
+    getState,
+    saveState,
+    loadState,
+
+    // Events
+    entityAddedEvent,
+    entityRemovedEvent,
+    stepEvent
+  };
+
+  return simulation;
+}
@@ -3,8 +3,11 @@
 // --- Ensure configPhysics is imported ---
 import { movement as configMovement, physics as configPhysics, dimensions as configDimensions } from '../../config.js';
 import { Event } from '../core/events.js';
-import { gameObjects } from '../core/objectRegistry.js';
-import { applyGravity, capVelocity, applyDeceleration } from '../core/physics.js';
+import { gameObjects, getTeamSide } from '../core/objectRegistry.js';
+import { fastForward } from './movements.js';
+import {
+  applyGravity, capVelocity, applyDeceleration, clamp, sweepCircleNet, bounceOffSurface
+} from '../core/physics.js';
 
 export default function Actor(
   initialPos,
@@ -20,11 +23,13 @@ export default function Actor(
 ) {
   // --- State ---
   const position = { ...(initialPos || { x: 0, y: 0 }) };
+  const previousPosition = { ...position }; // Start-of-tick position, for render interpolation
   const velocity = { ...(initialVelocity || { x: 0, y: 0 }) };
   let currentTeamId = teamId;
   let hasFriction = !isFrictionless;
   let downwardAcceleration = configPhysics.GRAVITY;
   let movements = [];
+  const movementSteps = new Map(); // Movement generator -> next() calls so far (snapshots)
   let areaWidth = rightBoundary - leftBoundary;
   let actualRadius = (areaWidth / configPhysics.K) * relativeRadius;
   const baseSizeUnit = areaWidth / configPhysics.K;
@@ -63,10 +68,11 @@ export default function Actor(
     // ... (keep existing implementation)
     if (gameObjects.net && currentTeamId > 0) {
       const netPosition = gameObjects.net.position;
-      if (currentTeamId === 1) { // Team 1 (left)
+      const side = getTeamSide(currentTeamId);
+      if (side === -1) { // Left side
         effectiveLeftBoundary = currentLeftLimit;
         effectiveRightBoundary = netPosition;
-      } else if (currentTeamId === 2) { // Team 2 (right)
+      } else if (side === 1) { // Right side
         effectiveLeftBoundary = netPosition;
         effectiveRightBoundary = currentRightLimit;
       }
@@ -88,7 +94,11 @@ export default function Actor(
     movements = movements.filter(movementGenerator => {
       if (!movementGenerator?.next) return false;
       const result = movementGenerator.next();
-      if (result.done) return false;
+      if (result.done) {
+        movementSteps.delete(movementGenerator);
+        return false;
+      }
+      movementSteps.set(movementGenerator, (movementSteps.get(movementGenerator) || 0) + 1);
       const updateValue = result.value;
       if (updateValue && typeof updateValue === 'object') {
         if (typeof updateValue.x === 'number') velocity.x += updateValue.x;
@@ -134,99 +144,199 @@ export default function Actor(
     velocity.y = capped.y;
   };
 
-  const updatePosition = () => {
-    // ... (calculate nextPos) ...
-    let nextPos = {
-      x: position.x + velocity.x,
-      y: position.y + velocity.y
-    };
+  /**
+   * Keeps a move from ending below the ground: a ball bounces, a slime lands.
+   * @param {{x: number, y: number}} nextPos - Position the substep ends at, corrected in place.
+   */
+  const resolveGroundContact = (nextPos) => {
+    const groundY = isFrictionless ? currentGroundLevel - actualRadius : currentGroundLevel;
+    if (nextPos.y < groundY - groundedTolerance) return;
 
-    let collidedNet = false; // Local flag for this frame's net collision status
-    let frameCollidedWall = false; // Reset wall touch status for this frame
+    nextPos.y = groundY;
+    if (velocity.y > 0.1 && isFrictionless) {
+      velocity.y = -velocity.y * configPhysics.BOUNCE_FACTOR;
+    } else {
+      velocity.y = 0;
+    }
+    // Note: groundHitEvent emission moved to main update function
+    hasCollidedThisFrame = true; // Still mark collision occurred
+  };
 
-    // --- Ground Collision (Correction only, state update moved to 'update') ---
-    const checkIsCurrentlyGrounded = isFrictionless
-      ? (nextPos.y + actualRadius >= currentGroundLevel - groundedTolerance)
-      : (nextPos.y >= currentGroundLevel - groundedTolerance);
+  /**
+   * Finds whether a move ends touching the net. A ball whose end position is clear is
+   * also swept along its path, so a fast one can't pass through the net.
+   * @param {{x: number, y: number}} nextPos - Substep end position, moved to a swept contact.
+   * @returns {{isAboveCap: boolean, capDistance: number}|null} The contact, or null.
+   */
+  const findNetContact = (nextPos) => {
+    const { rect, cap } = gameObjects.net.shape;
+    const netHalfWidth = (rect.right - rect.left) / 2;
+    const isAboveCap = nextPos.y < cap.y;
+    const capDistance = Math.sqrt((nextPos.x - cap.x) ** 2 + (nextPos.y - cap.y) ** 2);
+    const touchesNet = isAboveCap
+      ? capDistance < actualRadius + cap.radius
+      : Math.abs(nextPos.x - cap.x) < actualRadius + netHalfWidth;
+    if (touchesNet) return { isAboveCap, capDistance };
+    if (!isFrictionless) return null;
+
+    const impact = sweepCircleNet(position, nextPos, actualRadius, gameObjects.net.shape);
+    if (!impact) return null;
+    nextPos.x = impact.position.x; // Stop at the first contact
+    nextPos.y = impact.position.y;
+    return { isAboveCap: nextPos.y < cap.y, capDistance: actualRadius + cap.radius };
+  };
 
-    if (checkIsCurrentlyGrounded) {
-      // Correct position
-      if (isFrictionless) {
-        nextPos.y = currentGroundLevel - actualRadius;
-      } else {
-        nextPos.y = currentGroundLevel;
-      }
-      // Adjust velocity (stop or bounce)
-      if (velocity.y > 0.1) {
-        if (isFrictionless) {
-          velocity.y = -velocity.y * configPhysics.BOUNCE_FACTOR;
-        } else {
-          velocity.y = 0;
-        }
-      } else {
-        velocity.y = 0;
-      }
-      // Note: groundHitEvent emission moved to main update function
-      hasCollidedThisFrame = true; // Still mark collision occurred
+  /**
+   * Resolves contact with the side of the net post: a ball bounces back with a small
+   * upward boost, a slime stops at the post on its own side.
+   * @param {{x: number, y: number}} nextPos - Position the substep ends at, corrected in place.
+   */
+  const resolveNetPostContact = (nextPos) => {
+    const { rect, cap } = gameObjects.net.shape;
+    const netHalfWidth = (rect.right - rect.left) / 2;
+    const direction = position.x < cap.x ? -1 : 1; // Side the actor came from
+    hasCollidedThisFrame = true;
+
+    if (isFrictionless) { /* Ball bounce */
+      nextPos.x = cap.x + direction * (netHalfWidth + actualRadius);
+      velocity.x = direction * Math.abs(velocity.x) * configPhysics.BOUNCE_FACTOR;
+      velocity.y -= Math.abs(velocity.x) * configPhysics.NET_BOUNCE_BOOST;
+      netHitEvent.emit(direction);
+    } else if (currentTeamId > 0 && getTeamSide(currentTeamId) === direction) { /* Slime stop */
+      nextPos.x = cap.x + direction * (netHalfWidth + actualRadius);
+      velocity.x = 0;
+      netHitEvent.emit(direction);
     }
+  };
 
-    // --- Net Collision ---
-    if (gameObjects.net) {
-      // ... net collision detection ...
-      const net = gameObjects.net;
-      const netX = net.position;
-      const netHalfWidth = net.width / 2;
-      const netTopY = currentGroundLevel - net.height;
-
-      if (Math.abs(nextPos.x - netX) < actualRadius + netHalfWidth && nextPos.y + actualRadius > netTopY) {
-        collidedNet = true; // Net was hit this frame
-        frameCollidedWall = true; // Treat net contact as wall contact
-        hasCollidedThisFrame = true;
-        const comingFromLeft = position.x < netX;
-        // ... (Rest of net collision response logic: slime stop, ball bounce) ...
-        if (!isFrictionless && currentTeamId > 0) { /* Slime stop */
-          if (currentTeamId === 1 && nextPos.x + actualRadius > netX - netHalfWidth && comingFromLeft) { nextPos.x = netX - netHalfWidth - actualRadius; velocity.x = 0; netHitEvent.emit(-1); }
-          else if (currentTeamId === 2 && nextPos.x - actualRadius < netX + netHalfWidth && !comingFromLeft) { nextPos.x = netX + netHalfWidth + actualRadius; velocity.x = 0; netHitEvent.emit(1); }
-        } else if (isFrictionless) { /* Ball bounce */
-          if (comingFromLeft) { nextPos.x = netX - netHalfWidth - actualRadius; velocity.x = -Math.abs(velocity.x) * configPhysics.BOUNCE_FACTOR; velocity.y -= Math.abs(velocity.x) * configPhysics.NET_BOUNCE_BOOST; netHitEvent.emit(-1); }
-          else { nextPos.x = netX + netHalfWidth + actualRadius; velocity.x = Math.abs(velocity.x) * configPhysics.BOUNCE_FACTOR; velocity.y -= Math.abs(velocity.x) * configPhysics.NET_BOUNCE_BOOST; netHitEvent.emit(1); }
-        } else if (isFrictionless && Math.abs(nextPos.y - netTopY) < actualRadius) { /* Ball top of net */
-          nextPos.y = netTopY - actualRadius; velocity.y = -Math.abs(velocity.y) * configPhysics.BOUNCE_FACTOR; velocity.x *= 0.8; netHitEvent.emit(comingFromLeft ? -1 : 1);
-        }
-      }
+  /**
+   * Resolves a ball's contact with the net cap: pushes it out along the cap normal,
+   * then bounces it, or lets it roll off when it only rests on the cap.
+   * @param {{x: number, y: number}} nextPos - Position the substep ends at, corrected in place.
+   * @param {number} capDistance - Distance from the cap center to nextPos.
+   */
+  const resolveNetCapBounce = (nextPos, capDistance) => {
+    const { cap } = gameObjects.net.shape;
+    hasCollidedThisFrame = true;
+    const normal = capDistance > 1e-6
+      ? { x: (nextPos.x - cap.x) / capDistance, y: (nextPos.y - cap.y) / capDistance }
+      : { x: 0, y: -1 };
+    nextPos.x = cap.x + normal.x * (actualRadius + cap.radius);
+    nextPos.y = cap.y + normal.y * (actualRadius + cap.radius);
+
+    const speedIntoCap = -(velocity.x * normal.x + velocity.y * normal.y);
+    const bounced = bounceOffSurface(
+      velocity, normal, configPhysics.BOUNCE_FACTOR, configPhysics.NET_CAP_ROLL_SPEED
+    );
+    velocity.x = bounced.x;
+    velocity.y = bounced.y;
+    if (speedIntoCap >= configPhysics.NET_CAP_ROLL_SPEED) {
+      netHitEvent.emit(nextPos.x < cap.x ? -1 : 1); // Bounces only, not every tick of a roll
     }
-    // --- Wall Collisions ---
-    if (!collidedNet) {
-      if (nextPos.x - actualRadius < effectiveLeftBoundary) {
-        nextPos.x = effectiveLeftBoundary + actualRadius;
-        // --- Allow Ball to bounce, Slime to stop ---
-        if (isFrictionless) { // Ball bounces
-          if (Math.abs(velocity.x) > 0.1) velocity.x = -velocity.x * configPhysics.BOUNCE_FACTOR; else velocity.x = 0;
-        } else { // Slime stops
-          velocity.x = 0;
-        }
-        // --- End Bounce/Stop Logic ---
-        frameCollidedWall = true;
-        hasCollidedThisFrame = true;
-      } else if (nextPos.x + actualRadius > effectiveRightBoundary) {
-        nextPos.x = effectiveRightBoundary - actualRadius;
-        // --- Allow Ball to bounce, Slime to stop ---
-        if (isFrictionless) { // Ball bounces
-          if (Math.abs(velocity.x) > 0.1) velocity.x = -velocity.x * configPhysics.BOUNCE_FACTOR; else velocity.x = 0;
-        } else { // Slime stops
-          velocity.x = 0;
-        }
-        // --- End Bounce/Stop Logic ---
-        frameCollidedWall = true;
-        hasCollidedThisFrame = true;
-      }
+  };
+
+  /**
+   * A slime can't stand on the net cap: it is eased off toward its own side (a slime
+   * without a team toward the side it is on) and keeps falling.
+   * @param {{x: number, y: number}} nextPos - Position the substep ends at, corrected in place.
+   */
+  const easeOffNetCap = (nextPos) => {
+    const { cap } = gameObjects.net.shape;
+    const side = getTeamSide(currentTeamId) || (position.x < cap.x ? -1 : 1);
+    const reach = actualRadius + cap.radius;
+    const capOffsetY = nextPos.y - cap.y;
+    nextPos.x = cap.x + side * Math.sqrt(Math.max(reach * reach - capOffsetY * capOffsetY, 0));
+    if (Math.sign(velocity.x) === -side) velocity.x = 0;
+    hasCollidedThisFrame = true;
+  };
+
+  /**
+   * Resolves contact with the net (post rectangle topped by a rounded cap, see objectRegistry).
+   * @param {{x: number, y: number}} nextPos - Position the substep ends at, corrected in place.
+   * @returns {{collidedNet: boolean, collidedWall: boolean}} Whether the net was hit, and
+   *   whether that counts as wall contact (the post does, the cap doesn't).
+   */
+  const resolveNetContact = (nextPos) => {
+    const contact = gameObjects.net?.shape ? findNetContact(nextPos) : null;
+    if (!contact) return { collidedNet: false, collidedWall: false };
+
+    if (!contact.isAboveCap) {
+      resolveNetPostContact(nextPos);
+      return { collidedNet: true, collidedWall: true }; // Contact with the post counts as a wall
+    }
+    if (isFrictionless) {
+      resolveNetCapBounce(nextPos, contact.capDistance);
+      return { collidedNet: true, collidedWall: false };
+    }
+    easeOffNetCap(nextPos);
+    return { collidedNet: false, collidedWall: false };
+  };
+
+  /**
+   * Keeps a move inside the side walls (or the team's half): a ball bounces, a slime stops.
+   * @param {{x: number, y: number}} nextPos - Position the substep ends at, corrected in place.
+   * @returns {boolean} True if a wall was touched.
+   */
+  const resolveWallContact = (nextPos) => {
+    if (nextPos.x - actualRadius < effectiveLeftBoundary) {
+      nextPos.x = effectiveLeftBoundary + actualRadius;
+    } else if (nextPos.x + actualRadius > effectiveRightBoundary) {
+      nextPos.x = effectiveRightBoundary - actualRadius;
+    } else {
+      return false;
+    }
+
+    if (isFrictionless && Math.abs(velocity.x) > 0.1) { // Ball bounces
+      velocity.x = -velocity.x * configPhysics.BOUNCE_FACTOR;
+    } else { // Slime stops
+      velocity.x = 0;
+    }
+    hasCollidedThisFrame = true;
+    return true;
+  };
+
+  /**
+   * Moves the actor by a fraction of its velocity and resolves ground, net and wall contacts.
+   * @param {number} fraction - Part of the tick this substep covers (0-1).
+   * @returns {boolean} True if the actor touched a wall or the net.
+   */
+  const moveSubstep = (fraction) => {
+    const nextPos = {
+      x: position.x + velocity.x * fraction,
+      y: position.y + velocity.y * fraction
+    };
+
+    resolveGroundContact(nextPos);
+    const { collidedNet, collidedWall } = resolveNetContact(nextPos);
+    const frameCollidedWall = collidedWall || (!collidedNet && resolveWallContact(nextPos));
+
+    // --- Final Position Update ---
+    position.x = nextPos.x;
+    position.y = nextPos.y;
+
+    return frameCollidedWall;
+  };
+
+  /**
+   * Moves the actor by one tick of velocity. Movement longer than SUBSTEP_DISTANCE
+   * radii is split into substeps, so a fast ball can't skip over the net or a
+   * wall and a bounce early in the tick bends the rest of its path.
+   */
+  const updatePosition = () => {
+    const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+    const substepLength = actualRadius * configPhysics.SUBSTEP_DISTANCE;
+    const substeps = clamp(Math.ceil(speed / substepLength), 1, configPhysics.MAX_SUBSTEPS);
+
+    let frameCollidedWall = false; // Wall or net touched during any substep
+    for (let i = 0; i < substeps; i++) {
+      if (moveSubstep(1 / substeps)) frameCollidedWall = true;
     }
 
     // --- Update persistent isTouchingWall state ---
     if (frameCollidedWall) {
       // Emit event only when state *changes* to touching
       if (!isTouchingWall) {
-        const wallDirection = (nextPos.x < areaWidth / 2) ? -1 : 1; // Determine which side
+        const wallDirection = (position.x < areaWidth / 2) ? -1 : 1; // Determine which side
         wallHitEvent.emit(wallDirection);
       }
       isTouchingWall = true;
@@ -237,10 +347,6 @@ export default function Actor(
       }
       isTouchingWall = false;
     }
-
-    // --- Final Position Update ---
-    position.x = nextPos.x;
-    position.y = nextPos.y;
   };
 
   // --- NEW: Ground Check Function ---
@@ -257,6 +363,10 @@ export default function Actor(
   // --- REFACTORED: Main Update Function ---
   /** Updates physics state for one frame */
   const update = () => {
+    // Remember where this tick started so rendering can interpolate
+    previousPosition.x = position.x;
+    previousPosition.y = position.y;
+
     // Store previous grounded state to detect transitions
     wasGroundedLastFrame = actorIsGrounded;
 
@@ -266,7 +376,7 @@ export default function Actor(
 
     // Run physics updates (order can matter)
     updateVelocity(); // Calculates velocity changes based on forces and previous state
-    updatePosition(); // Calculates new position, handles collisions/corrections, updates isTouchingWall
+    updatePosition(); // Moves, resolves collisions and updates isTouchingWall
 
     // --- Single Ground Check using Helper Function ---
     actorIsGrounded = checkIsGrounded(); // Update state based on final position
@@ -300,6 +410,7 @@ export default function Actor(
   const removeMovement = (movement) => {
     // console.log(`Actor ${instanceId}: Attempting to remove movement generator`); // Optional Log
     movements = movements.filter(m => m !== movement);
+    movementSteps.delete(movement);
   };
 
   const setMaxVelocity = (newMax) => { currentMaxVelocity = newMax; };
@@ -314,17 +425,108 @@ export default function Actor(
   };
   const getSpeed = () => velocity.x;
 
+  /**
+   * Blends the previous and current tick positions for rendering.
+   * @param {number} [alpha=1] - Interpolation factor (0 = previous tick, 1 = current tick).
+   * @returns {{x: number, y: number}} Interpolated position.
+   */
+  const getInterpolatedPosition = (alpha = 1) => ({
+    x: previousPosition.x + (position.x - previousPosition.x) * alpha,
+    y: previousPosition.y + (position.y - previousPosition.y) * alpha
+  });
+
+  /** Discards the previous tick position so a teleport is not interpolated */
+  const syncPreviousPosition = () => {
+    previousPosition.x = position.x;
+    previousPosition.y = position.y;
+  };
+
+  /**
+   * Captures the full physics state, including running movements, for rollback.
+   * @returns {Object} Opaque in-memory snapshot (holds generator references, not serializable).
+   */
+  const getSnapshot = () => ({
+    position: { ...position },
+    previousPosition: { ...previousPosition },
+    velocity: { ...velocity },
+    teamId: currentTeamId,
+    hasFriction,
+    downwardAcceleration,
+    groundLevel: currentGroundLevel,
+    maxVelocity: currentMaxVelocity,
+    hasCollided: hasCollidedThisFrame,
+    collisionGracePeriodFrames,
+    isTouchingWall,
+    isGrounded: actorIsGrounded,
+    wasGrounded: wasGroundedLastFrame,
+    movements: movements.map(movement => ({ movement, steps: movementSteps.get(movement) || 0 }))
+  });
+
+  /**
+   * Restores a snapshot taken with getSnapshot. Movements that advanced since the
+   * snapshot are recreated through their `restart` method and fast-forwarded
+   * (see movements.fastForward: no termination checks, no onEnd).
+   * @param {Object} snapshot - Snapshot from getSnapshot.
+   * @returns {Map<Object, Object>} Snapshot movement -> restored movement, for owners to re-link.
+   */
+  const restoreSnapshot = (snapshot) => {
+    const restored = new Map();
+
+    movements = snapshot.movements.map(({ movement, steps }) => {
+      let current = movement;
+      if (movementSteps.get(movement) !== steps || !movements.includes(movement)) {
+        if (typeof movement.restart !== 'function') {
+          console.warn("Actor: Cannot restore a movement without restart(), dropping it.");
+          return null;
+        }
+        current = fastForward(movement, steps);
+      }
+      restored.set(movement, current);
+      return current;
+    }).filter(Boolean);
+
+    movementSteps.clear();
+    snapshot.movements.forEach(({ movement, steps }) => {
+      if (restored.has(movement)) movementSteps.set(restored.get(movement), steps);
+    });
+
+    // Physics state last: fast-forwarding may have touched velocity
+    position.x = snapshot.position.x;
+    position.y = snapshot.position.y;
+    previousPosition.x = snapshot.previousPosition.x;
+    previousPosition.y = snapshot.previousPosition.y;
+    velocity.x = snapshot.velocity.x;
+    velocity.y = snapshot.velocity.y;
+    currentTeamId = snapshot.teamId;
+    updateTeamBoundaries();
+    hasFriction = snapshot.hasFriction;
+    isFrictionless = !snapshot.hasFriction;
+    downwardAcceleration = snapshot.downwardAcceleration;
+    currentGroundLevel = snapshot.groundLevel;
+    currentMaxVelocity = snapshot.maxVelocity;
+    hasCollidedThisFrame = snapshot.hasCollided;
+    collisionGracePeriodFrames = snapshot.collisionGracePeriodFrames;
+    isTouchingWall = snapshot.isTouchingWall;
+    actorIsGrounded = snapshot.isGrounded;
+    wasGroundedLastFrame = snapshot.wasGrounded;
+
+    return restored;
+  };
+
   // Return the public interface
   return {
     pos: position,
+    get previousPos() { return { ...previousPosition }; }, // Position at the start of the last tick
     velocity: velocity,
-    downwardAcceleration: downwardAcceleration,
+    get downwardAcceleration() { return downwardAcceleration; },
+    set downwardAcceleration(value) { downwardAcceleration = value; },
     realRadius: actualRadius,
     team: currentTeamId, // Changed from get team()
     frictionless: isFrictionless, // Changed from get frictionless()
     get hasCollided() { return hasCollidedThisFrame || collisionGracePeriodFrames > 0; },
     get isGrounded() { return actorIsGrounded; }, // Expose new state
     get isTouchingWall() { return isTouchingWall; }, // Expose wall touch state if needed
+    get maxVelocity() { return currentMaxVelocity; }, // Current cap, moves may raise it for a while
     updateTeam,
     setMaxVelocity,
     resetMaxVelocity,
@@ -333,6 +535,10 @@ export default function Actor(
     addMovement,
     removeMovement,
     getSpeed,
+    getInterpolatedPosition,
+    syncPreviousPosition,
+    getSnapshot,
+    restoreSnapshot,
     update,
 
     // Events
@@ -341,7 +547,8 @@ export default function Actor(
     netHitEvent,
 
     // Expose ground level if needed externally
-    ground: currentGroundLevel,
+    get ground() { return currentGroundLevel; },
+    set ground(value) { currentGroundLevel = value; },
     // Expose jump acceleration if needed externally
     get jumpAcceleration() { return configMovement.JUMP_ACCELERATION; },
   };
@@ -0,0 +1,366 @@
+import { ai as configAI, physics as configPhysics } from '../../config.js';
+import { gameObjects, getTeamSide } from '../core/objectRegistry.js';
+import { gameState, GAME_STATES } from '../core/gameState.js';
+import { getMatchState } from '../core/matchStore.js';
+import { createRandom } from '../utils/random.js';
+import { sweepCircleNet, bounceOffSurface } from '../core/physics.js';
+
+/**
+ * Computer-controlled players.
+ * A controller watches the ball, predicts where it comes down and drives its slime
+ * through the same player events a keyboard player's setupPlayerKeys handlers emit.
+ * @module aiController
+ */
+
+/**
+ * Difficulty names in increasing order
+ * @type {Array<string>}
+ */
+export const AI_DIFFICULTIES = Object.keys(configAI.PROFILES);
+
+/**
+ * @typedef {Object} LandingPrediction
+ * @property {number} x - Ball X when it reaches the target height
+ * @property {number} ticks - Ticks until then
+ */
+
+/**
+ * Bounces a predicted ball off the net post or cap, the way the Actor does
+ *
+ * @param {{x: number, y: number, vx: number, vy: number}} ball - Predicted ball, changed in place
+ * @param {{x: number, y: number}} previous - Ball center on the previous tick
+ * @param {number} radius - Ball radius
+ * @param {{rect: Object, cap: Object}} shape - Net shape (see objectRegistry)
+ */
+const bounceOffNet = (ball, previous, radius, shape) => {
+  const { rect, cap } = shape;
+  let capDistance = Math.sqrt((ball.x - cap.x) ** 2 + (ball.y - cap.y) ** 2);
+  const touchesNet = ball.y < cap.y
+    ? capDistance < radius + cap.radius
+    : ball.x + radius > rect.left && ball.x - radius < rect.right;
+  if (!touchesNet) {
+    // A fast ball may have crossed the net within the tick
+    const impact = sweepCircleNet(previous, ball, radius, shape);
+    if (!impact) return;
+    ({ x: ball.x, y: ball.y } = impact.position);
+    capDistance = radius + cap.radius;
+  }
+
+  if (ball.y >= cap.y) {
+    const isLeft = previous.x < cap.x;
+    ball.x = isLeft ? rect.left - radius : rect.right + radius;
+    ball.vx = (isLeft ? -1 : 1) * Math.abs(ball.vx) * configPhysics.BOUNCE_FACTOR;
+    return;
+  }
+
+  const normal = capDistance > 1e-6
+    ? { x: (ball.x - cap.x) / capDistance, y: (ball.y - cap.y) / capDistance }
+    : { x: 0, y: -1 };
+  ball.x = cap.x + normal.x * (radius + cap.radius);
+  ball.y = cap.y + normal.y * (radius + cap.radius);
+  ({ x: ball.vx, y: ball.vy } = bounceOffSurface(
+    { x: ball.vx, y: ball.vy }, normal, configPhysics.BOUNCE_FACTOR, configPhysics.NET_CAP_ROLL_SPEED
+  ));
+};
+
+/**
+ * Predicts where a ball falls through a given height, stepping the same
+ * integration the Actor uses under physics.GRAVITY. Bounces off the side walls
+ * and the net (post and rounded cap) are included; slimes are ignored.
+ *
+ * @param {{x: number, y: number}} position - Ball center
+ * @param {{x: number, y: number}} velocity - Ball velocity per tick
+ * @param {Object} world - World description
+ * @param {number} world.radius - Ball radius
+ * @param {number} world.width - Field width
+ * @param {number} world.targetY - Height (Y of the ball center) to predict the crossing of
+ * @param {Object} [world.net=null] - Registered net, collided through its `shape` (see objectRegistry)
+ * @param {number} [world.maxTicks=configAI.PREDICTION_TICKS] - Simulation horizon
+ * @returns {LandingPrediction} Predicted crossing (or the last simulated point)
+ */
+export function predictLanding(position, velocity, {
+  radius,
+  width,
+  targetY,
+  net = null,
+  maxTicks = configAI.PREDICTION_TICKS
+}) {
+  const ball = { x: position.x, y: position.y, vx: velocity.x, vy: velocity.y };
+
+  for (let tick = 1; tick <= maxTicks; tick++) {
+    const previous = { x: ball.x, y: ball.y };
+    ball.vy += configPhysics.GRAVITY;
+    ball.x += ball.vx;
+    ball.y += ball.vy;
+
+    // Side walls
+    if (ball.x - radius < 0) {
+      ball.x = radius;
+      ball.vx = Math.abs(ball.vx) * configPhysics.BOUNCE_FACTOR;
+    } else if (ball.x + radius > width) {
+      ball.x = width - radius;
+      ball.vx = -Math.abs(ball.vx) * configPhysics.BOUNCE_FACTOR;
+    }
+
+    // Net post and cap
+    if (net?.shape) bounceOffNet(ball, previous, radius, net.shape);
+
+    if (ball.vy > 0 && ball.y >= targetY) {
+      return { x: ball.x, ticks: tick };
+    }
+  }
+
+  return { x: ball.x, ticks: maxTicks };
+}
+
+/**
+ * Creates a controller for one computer player
+ *
+ * @param {Object} options - Controller options
+ * @param {Object} options.slime - Slime instance to drive
+ * @param {Object} options.keys - PlayerEvents the slime listens to (see inputManager.createPlayerEvents)
+ * @param {Function} options.getBall - Returns the ball to play (Ball instance)
+ * @param {Object} options.field - Field dimensions { width, height }, kept by reference
+ * @param {string} [options.difficulty=configAI.DEFAULT_DIFFICULTY] - One of AI_DIFFICULTIES
+ * @param {number|string} [options.seed=0] - Seed for this controller's own randomness
+ * @returns {Object} Controller with update and destroy methods
+ */
+export function AIController({
+  slime,
+  keys,
+  getBall,
+  field,
+  difficulty = configAI.DEFAULT_DIFFICULTY,
+  seed = 0
+}) {
+  const profile = configAI.PROFILES[difficulty] || configAI.PROFILES[configAI.DEFAULT_DIFFICULTY];
+  const random = createRandom(seed); // Own stream: the match's shared sequence stays untouched
+
+  /**
+   * Recent ball observations, oldest first. The oldest one is what the
+   * controller "sees", which gives it its reaction delay.
+   * @type {Array<{position: Object, velocity: Object}>}
+   */
+  const observations = [];
+
+  let heldDirection = 0; // -1 left, 0 none, 1 right
+  let isJumpHeld = false;
+  let jumpHoldTicks = 0;
+  let isServeHeld = false;
+  let serveWaitTicks = 0; // Ticks to stand under the ball before tossing it
+  let hasJumpDecision = false; // One jump decision per approach of the ball
+  let aimError = 0;
+  let errorTicks = 0;
+  let lastSeenVelocity = null;
+
+  // --- Input Helpers ---
+
+  /**
+   * Holds a movement direction, emitting press/release like a keyboard would
+   *
+   * @param {number} direction - -1 left, 0 none, 1 right
+   */
+  const setDirection = (direction) => {
+    if (direction === heldDirection) return;
+
+    const previous = heldDirection;
+    heldDirection = direction;
+    // Press the new direction before releasing the old one, as fingers on a keyboard do
+    if (direction !== 0) keys.movementPress.emit(direction);
+    if (previous !== 0) keys.movementRelease.emit(previous);
+  };
+
+  /**
+   * Presses jump and keeps it held for a number of ticks
+   *
+   * @param {number} ticks - Ticks to hold jump
+   */
+  const pressJump = (ticks) => {
+    if (isJumpHeld) return;
+    isJumpHeld = true;
+    jumpHoldTicks = ticks;
+    keys.jumpPress.emit();
+  };
+
+  /**
+   * Releases jump if held
+   */
+  const releaseJump = () => {
+    if (!isJumpHeld) return;
+    isJumpHeld = false;
+    jumpHoldTicks = 0;
+    keys.jumpRelease.emit();
+  };
+
+  /**
+   * Presses the serve key
+   */
+  const pressServe = () => {
+    if (isServeHeld) return;
+    isServeHeld = true;
+    keys.servePress.emit();
+  };
+
+  /**
+   * Releases the serve key if held
+   */
+  const releaseServe = () => {
+    if (!isServeHeld) return;
+    isServeHeld = false;
+    keys.serveRelease.emit();
+  };
+
+  /**
+   * Releases every held control
+   */
+  const releaseAll = () => {
+    setDirection(0);
+    releaseJump();
+    releaseServe();
+  };
+
+  // --- Decision Making ---
+
+  /**
+   * Re-rolls the aim error when the seen ball changed course or the timer ran out
+   *
+   * @param {Object} seen - Observed ball state
+   * @param {number} radius - Slime radius
+   */
+  const updateAimError = (seen, radius) => {
+    const wasHit = lastSeenVelocity &&
+      Math.abs(seen.velocity.x - lastSeenVelocity.x) + Math.abs(seen.velocity.y - lastSeenVelocity.y) > 3;
+    lastSeenVelocity = seen.velocity;
+
+    errorTicks--;
+    if (wasHit || errorTicks <= 0) {
+      aimError = (random() * 2 - 1) * profile.PREDICTION_ERROR * radius;
+      errorTicks = configAI.ERROR_REROLL_TICKS;
+    }
+  };
+
+  /**
+   * Walks under the hovering ball and tosses it with the serve key
+   *
+   * @param {Object} ball - Ball to serve
+   * @param {Object} actor - The slime's actor
+   */
+  const serveBall = (ball, actor) => {
+    releaseJump();
+
+    const dx = ball.actorObject.pos.x - actor.pos.x;
+    if (Math.abs(dx) > profile.POSITION_TOLERANCE * actor.realRadius) {
+      setDirection(Math.sign(dx));
+      serveWaitTicks = profile.REACTION_TICKS;
+      return;
+    }
+
+    setDirection(0);
+    if (isServeHeld) {
+      releaseServe();
+    } else if (serveWaitTicks-- <= 0) {
+      pressServe();
+    }
+  };
+
+  /**
+   * Decides the controls for this tick. Call once per simulation tick, before stepping.
+   */
+  const update = () => {
+    const ball = getBall();
+    const actor = slime.actorObject;
+    if (!ball?.actorObject || !actor || gameState.currentState !== GAME_STATES.PLAYING) {
+      releaseAll();
+      observations.length = 0;
+      return;
+    }
+
+    // Our serve: toss the ball before the serve clock runs out
+    const { server, isServePending } = getMatchState();
+    if (isServePending && server === slime.playerIndex) {
+      serveBall(ball, actor);
+      return;
+    }
+    releaseServe();
+
+    observations.push({ position: { ...ball.actorObject.pos }, velocity: { ...ball.actorObject.velocity } });
+    while (observations.length > profile.REACTION_TICKS + 1) {
+      observations.shift();
+    }
+    const seen = observations[0];
+
+    const radius = actor.realRadius;
+    const net = gameObjects.net;
+    const netX = net ? net.position : field.width / 2;
+    const netHalfWidth = net ? net.width / 2 : 0;
+    const isLeft = getTeamSide(slime.team) === -1;
+    const towardNet = isLeft ? 1 : -1;
+    const isOnOwnSide = (x) => (isLeft ? x < netX : x > netX);
+
+    updateAimError(seen, radius);
+
+    // Where will the ball be low enough to play?
+    const landing = predictLanding(seen.position, seen.velocity, {
+      radius: ball.actorObject.realRadius,
+      width: field.width,
+      targetY: actor.ground - radius * 0.5,
+      net
+    });
+
+    // Stand a little behind the ball so the hit sends it toward the net
+    let targetX = isOnOwnSide(landing.x)
+      ? landing.x + aimError - towardNet * radius * 0.35
+      : (isLeft ? netX / 2 : (netX + field.width) / 2); // Wait in the middle of our half
+
+    const minX = isLeft ? radius : netX + netHalfWidth + radius;
+    const maxX = isLeft ? netX - netHalfWidth - radius : field.width - radius;
+    targetX = Math.max(minX, Math.min(maxX, targetX));
+
+    const dx = targetX - actor.pos.x;
+    setDirection(Math.abs(dx) <= profile.POSITION_TOLERANCE * radius ? 0 : Math.sign(dx));
+
+    // --- Jumping ---
+    if (isJumpHeld) {
+      jumpHoldTicks--;
+      if (jumpHoldTicks <= 0) releaseJump();
+      return;
+    }
+
+    // The seen ball is REACTION_TICKS old, so contact comes that much sooner than predicted
+    const ticksToContact = landing.ticks - (observations.length - 1);
+    const isBallIncoming = isOnOwnSide(landing.x) && seen.velocity.y > 0 &&
+      Math.abs(landing.x - actor.pos.x) < radius * 1.5 &&
+      ticksToContact <= configAI.JUMP_LEAD_TICKS && ticksToContact > -configAI.JUMP_LEAD_TICKS / 2;
+
+    if (actor.isGrounded && isBallIncoming && !hasJumpDecision) {
+      hasJumpDecision = true;
+      if (random() < profile.JUMP_CHANCE) {
+        pressJump(8 + Math.floor(random() * 12));
+      }
+    } else if (!isBallIncoming && actor.isGrounded) {
+      hasJumpDecision = false;
+    }
+
+    // Kick off the side wall toward a ball that is above and in front
+    if (profile.USE_WALL_JUMPS && !actor.isGrounded && actor.isTouchingWall && isOnOwnSide(seen.position.x)) {
+      const wallSide = actor.pos.x < field.width / 2 ? -1 : 1;
+      const isBallAway = (seen.position.x - actor.pos.x) * wallSide < 0;
+      if (isBallAway && seen.position.y < actor.pos.y) {
+        pressJump(10);
+      }
+    }
+  };
+
+  /**
+   * Releases all controls. The slime is left to its owner.
+   */
+  const destroy = () => {
+    releaseAll();
+  };
+
+  return {
+    update,
+    destroy,
+    get difficulty() { return difficulty; }
+  };
+}
@@ -1,10 +1,13 @@
 import { Event } from '../core/events.js';
 import Actor from './actor.js'; // Uses refactored Actor
+import { slimeEffectEvent } from './slime.js';
+import { getSideTeam, getTeamSide } from '../core/objectRegistry.js';
 import {
   configPhysics, // Renamed import from physics.js
   resolveCircleCollision,
   checkCollisionCircleSegment,
   applySeparation,
+  sweepCircleCircle,
   // Note: clamp is used internally by physics helpers now, no direct import needed here
 } from '../core/physics.js'; // Uses refactored Physics
 import {
@@ -13,7 +16,7 @@ import {
   renderBall,
   setBallColor
 } from '../ui/ballGraphics.js'; // Uses new Graphics module
-import { dimensions as configDimensions } from '../../config.js'; // Import dimensions config
+import { dimensions as configDimensions, movement as configMovement } from '../../config.js'; // Import dimensions config
 
 /**
  * Creates a ball entity for the game.
@@ -26,6 +29,8 @@ import { dimensions as configDimensions } from '../../config.js'; // Import dime
  * @param {Object} [options={}] - Additional ball options
  * @param {number} [options.bounceFactor] - Custom bounce factor (0-1). Defaults to configPhysics.BOUNCE_FACTOR.
  * @param {boolean} [options.canBounceOnGround=true] - Whether ball can bounce on ground (affects scoring).
+ * @param {string|null} [options.color=null] - CSS color applied when an element is attached.
+ * @param {number} [options.mass] - Mass used in ball-ball collisions. Defaults to configPhysics.BALL_MASS.
  * @returns {Object} Ball object instance.
  */
 export function Ball(position, ballConfigDims, constraints, field, options = {}) {
@@ -33,13 +38,16 @@ export function Ball(position, ballConfigDims, constraints, field, options = {})
   const ballOptions = {
     bounceFactor: configPhysics.BOUNCE_FACTOR, // Default bounce factor from config
     canBounceOnGround: true,
+    color: null,
+    mass: configPhysics.BALL_MASS,
     ...options // Merge provided options
   };
 
   let currentField = { ...field }; // Local copy of field dimensions
   // Calculate initial size using the graphics helper
   let currentBallSize = calculateBallSize(currentField, ballConfigDims); // Initial diameter
-  let graphicsElement = null; // Reference to the DOM element
+  let graphicsElement = null; // Reference to the DOM element, attached by a renderer
+  let currentColor = ballOptions.color;
 
   // --- Events ---
   const hitGroundEvent = Event('ball_hit_ground');
@@ -47,6 +55,9 @@ export function Ball(position, ballConfigDims, constraints, field, options = {})
   const hitSlimeEvent = Event('ball_hit_slime');
   const hitWallEvent = Event('ball_hit_wall');
   const scoredEvent = Event('ball_scored'); // Event emitted when scoring occurs
+  const crossedNetEvent = Event('ball_crossed_net'); // Event emitted when the ball changes court side
+  const spikeEvent = Event('spike'); // Event emitted when a slime spikes the ball
+  const hitBallEvent = Event('ball_hit_ball'); // Event emitted when two balls collide
 
   // --- Physics Actor ---
   // Creates Actor instance using refactored Actor.js
@@ -65,6 +76,14 @@ export function Ball(position, ballConfigDims, constraints, field, options = {})
 
   // --- Private Helper Functions ---
 
+  /**
+   * Gets the court side a horizontal position is on.
+   * @param {number} x - Horizontal position.
+   * @returns {number} Team whose side it is.
+   * @private
+   */
+  const _courtSide = (x) => getSideTeam(x < currentField.width / 2 ? -1 : 1);
+
   /**
    * Determines scoring side and emits the scored event.
    * Called ONLY when a non-bouncing ball hits the ground.
@@ -72,8 +91,8 @@ export function Ball(position, ballConfigDims, constraints, field, options = {})
    */
   const _triggerScore = () => {
     // Determine which side scored based on net position (center)
-    // Team 2 scores if ball on left, Team 1 if on right
-    const scoringSide = actorObject.pos.x < currentField.width / 2 ? 2 : 1;
+    // The team on the other side of the net scores
+    const scoringSide = _courtSide(actorObject.pos.x) === 1 ? 2 : 1;
     console.log(`Ball: Ground hit score triggered for team ${scoringSide}`); // Added log
     scoredEvent.emit({
       scoringSide,
@@ -113,7 +132,7 @@ export function Ball(position, ballConfigDims, constraints, field, options = {})
    * Checks for collision with the upper arc segment of a slime.
    * @param {Object} slimeActor - The slime's actor object.
    * @param {Object} ballGeom - Ball geometry { x, y, radius }.
-   * @param {number} distSq - Pre-calculated squared distance between ball center and slime base center.
+   * @param {number} distSq - Pre-calculated squared distance between ball center and the dome center.
    * @returns {boolean} True if collision detected.
    * @private
    */
@@ -127,15 +146,47 @@ export function Ball(position, ballConfigDims, constraints, field, options = {})
     return distSq < sumRadiiSq && ballGeom.y <= slimeActor.pos.y;
   };
 
+  /**
+   * Sweeps the ball's last tick of motion, relative to the slime, against the slime's dome.
+   * Catches a fast ball that passed through the dome between two ticks; slower balls
+   * are left to the discrete tests.
+   * @param {Object} slime - Slime object, containing the actor object `slime.actorObject`.
+   * @param {Object} ballGeom - Ball geometry { x, y, radius } at the end of the tick.
+   * @param {Object} domeCenter - Current center of the slime's dome {x, y}.
+   * @returns {Object|null} Ball center {x, y} at the first contact, or null if the dome wasn't crossed.
+   * @private
+   */
+  const _sweepSlimeArc = (slime, ballGeom, domeCenter) => {
+    const slimeActor = slime.actorObject;
+    const ballStart = actorObject.previousPos;
+    const slimeStart = slimeActor.previousPos;
+    // Move the ball's start along with the slime, so the dome can be treated as static
+    const start = {
+      x: ballStart.x + slimeActor.pos.x - slimeStart.x,
+      y: ballStart.y + slimeActor.pos.y - slimeStart.y
+    };
+    const minMove = ballGeom.radius * configPhysics.SUBSTEP_DISTANCE;
+    if ((ballGeom.x - start.x) ** 2 + (ballGeom.y - start.y) ** 2 <= minMove * minMove) return null;
+
+    const hit = sweepCircleCircle(start, ballGeom, ballGeom.radius, domeCenter, slimeActor.realRadius);
+    // Same filter as the arc test: the contact has to be above the base
+    if (!hit || hit.position.y > slimeActor.pos.y) return null;
+    return hit.position;
+  };
+
   /**
    * Resolves the physics response after a ball-slime collision is detected.
-   * @param {Object} slimeActor - The slime's actor object.
+   * A slime holding duck in the air spikes: the ball gets an extra push down and
+   * toward the net.
+   * @param {Object} slime - Slime object, containing the actor object `slime.actorObject`.
    * @param {Object} ballGeom - Ball geometry { x, y, radius }.
-   * @param {number} distSq - Squared distance between centers.
+   * @param {number} distSq - Squared distance between the ball center and the dome center.
+   * @returns {boolean} True if the hit was a spike.
    * @private
    */
-  const _resolveSlimeHit = (slimeActor, ballGeom, distSq) => {
-    const slimePos = { x: slimeActor.pos.x, y: slimeActor.pos.y };
+  const _resolveSlimeHit = (slime, ballGeom, distSq) => {
+    const slimeActor = slime.actorObject;
+    const slimePos = slime.getDomeCenter();
     // Use current velocities from the actor objects
     const ballVelocity = { ...actorObject.velocity }; // Use renamed property
     const slimeVelocity = { ...(slimeActor.velocity || { x: 0, y: 0 }) }; // Use renamed property
@@ -163,10 +214,22 @@ export function Ball(position, ballConfigDims, constraints, field, options = {})
     }
 
     // Apply separation force to prevent sticking (using physics.js helper)
-    applySeparation(actorObject.pos, actorObject.realRadius, slimeActor.pos, slimeActor.realRadius);
+    const separatedPos = { ...slimePos };
+    applySeparation(actorObject.pos, actorObject.realRadius, separatedPos, slimeActor.realRadius);
+    slimeActor.pos.x += separatedPos.x - slimePos.x;
+    slimeActor.pos.y += separatedPos.y - slimePos.y;
 
     // Set ball's own collision flag
     actorObject.setCollisionFlag?.(true, 2);
+
+    // Spike: duck held while airborne
+    const isSpike = Boolean(slime.isDucking) && !slimeActor.isGrounded;
+    if (isSpike) {
+      const towardNet = -getTeamSide(slime.team); // 0 for a slime without a team
+      actorObject.velocity.x += towardNet * configMovement.SPIKE_FORWARD_IMPULSE;
+      actorObject.velocity.y += configMovement.SPIKE_DOWNWARD_IMPULSE;
+    }
+    return isSpike;
   };
 
   // --- Event Listeners ---
@@ -213,6 +276,7 @@ export function Ball(position, ballConfigDims, constraints, field, options = {})
     if (graphicsElement) {
       // Ensure size is correct initially using the graphics helper
       updateBallElementSize(graphicsElement, currentBallSize);
+      if (currentColor) setBallColor(graphicsElement, currentColor);
     } else {
       console.warn("Ball.setElement: Received null or invalid element.");
     }
@@ -232,18 +296,28 @@ export function Ball(position, ballConfigDims, constraints, field, options = {})
 
     const slimeActor = slime.actorObject;
     // Use current ball geometry for checks
-    const ballGeom = { x: actorObject.pos.x, y: actorObject.pos.y, radius: actorObject.realRadius };
+    let ballGeom = { x: actorObject.pos.x, y: actorObject.pos.y, radius: actorObject.realRadius };
 
-    // Calculate squared distance between ball center and slime *base* center
-    const dx = ballGeom.x - slimeActor.pos.x;
-    const dy = ballGeom.y - slimeActor.pos.y;
-    const distSq = dx * dx + dy * dy;
+    // Calculate squared distance between ball center and the center of the slime's dome
+    const domeCenter = slime.getDomeCenter();
+    const dx = ballGeom.x - domeCenter.x;
+    const dy = ballGeom.y - domeCenter.y;
+    let distSq = dx * dx + dy * dy;
 
     let collisionDetected = false;
     let collisionType = 'none';
 
     // Check collision types using private helpers
-    if (_checkCollisionWithSlimeBase(slimeActor, ballGeom)) {
+    const sweptContact = _sweepSlimeArc(slime, ballGeom, domeCenter);
+    if (sweptContact) {
+      // Move the ball back to where it first touched the dome
+      actorObject.pos.x = sweptContact.x;
+      actorObject.pos.y = sweptContact.y;
+      ballGeom = { ...sweptContact, radius: actorObject.realRadius };
+      distSq = (slimeActor.realRadius + ballGeom.radius) ** 2;
+      collisionDetected = true;
+      collisionType = 'arc';
+    } else if (_checkCollisionWithSlimeBase(slimeActor, ballGeom)) {
       collisionDetected = true;
       collisionType = 'bottom';
     } else if (_checkCollisionWithSlimeArc(slimeActor, ballGeom, distSq)) {
@@ -253,21 +327,89 @@ export function Ball(position, ballConfigDims, constraints, field, options = {})
 
     // Resolve if detected
     if (collisionDetected) {
-      _resolveSlimeHit(slimeActor, ballGeom, distSq); // Use private helper
+      const isSpike = _resolveSlimeHit(slime, ballGeom, distSq); // Use private helper
 
       // Emit collision event with relevant data
-      hitSlimeEvent.emit({
+      const hitData = {
+        ball,
         slimeId: slime.slimeId,
         teamNumber: slime.team,
         collisionType: collisionType,
+        isSpike,
         position: { ...ballGeom }, // Ball's position at collision
         velocity: { ...actorObject.velocity } // Ball's velocity *after* resolution
-      });
+      };
+      hitSlimeEvent.emit(hitData);
+
+      if (isSpike) {
+        slimeEffectEvent.emit({ slime, effectType: 'spike' });
+        spikeEvent.emit({ ...hitData, playerIndex: slime.playerIndex });
+      }
       return true;
     }
     return false;
   };
 
+  /**
+   * Mass of the ball in ball-ball collisions. A ball held in place (no gravity,
+   * e.g. waiting for the serve) doesn't give way.
+   * @returns {number} Mass, Infinity while held.
+   * @private
+   */
+  const _getCollisionMass = () => (actorObject.downwardAcceleration === 0 ? Infinity : ballOptions.mass);
+
+  /**
+   * Checks and resolves collision between this ball and another ball.
+   * The simulation calls it once per candidate pair from its broad phase.
+   * @param {Object} otherBall - Ball object, containing the actor object `otherBall.actorObject`.
+   * @returns {boolean} True if a collision occurred and was resolved.
+   */
+  const checkBallCollision = (otherBall) => {
+    const otherActor = otherBall?.actorObject;
+    if (!otherActor?.realRadius || otherBall === ball) return false;
+
+    const dx = otherActor.pos.x - actorObject.pos.x;
+    const dy = otherActor.pos.y - actorObject.pos.y;
+    const distSq = dx * dx + dy * dy;
+    const sumRadii = actorObject.realRadius + otherActor.realRadius;
+    if (distSq >= sumRadii * sumRadii) return false;
+
+    const mass = _getCollisionMass();
+    const otherMass = otherBall.getCollisionMass();
+    if (mass === Infinity && otherMass === Infinity) return false; // Two held balls stay put
+
+    // Normal from this ball to the other one
+    const distance = Math.max(Math.sqrt(distSq), 1e-6);
+    const nx = dx / distance;
+    const ny = dy / distance;
+
+    const newVelocities = resolveCircleCollision(
+      actorObject.pos, { ...actorObject.velocity }, mass,
+      otherActor.pos, { ...otherActor.velocity }, otherMass,
+      configPhysics.BALL_BALL_BOUNCE_FACTOR,
+      -nx, -ny // resolveCircleCollision pushes the first body along the normal
+    );
+    actorObject.velocity.x = newVelocities.v1.x;
+    actorObject.velocity.y = newVelocities.v1.y;
+    otherActor.velocity.x = newVelocities.v2.x;
+    otherActor.velocity.y = newVelocities.v2.y;
+
+    // The lighter ball gives way more; a held ball not at all
+    const share = mass === Infinity ? 0 : otherMass === Infinity ? 1 : otherMass / (mass + otherMass);
+    applySeparation(actorObject.pos, actorObject.realRadius, otherActor.pos, otherActor.realRadius, share);
+
+    actorObject.setCollisionFlag?.(true, 2);
+    otherActor.setCollisionFlag?.(true, 2);
+
+    hitBallEvent.emit({
+      ball,
+      otherBall,
+      position: { x: actorObject.pos.x + nx * actorObject.realRadius, y: actorObject.pos.y + ny * actorObject.realRadius }, // Contact point
+      velocity: { ...actorObject.velocity },
+      otherVelocity: { ...otherActor.velocity }
+    });
+    return true;
+  };
 
   /**
    * Resets the ball to a specified position and velocity. Also stops physics (gravity).
@@ -279,6 +421,7 @@ export function Ball(position, ballConfigDims, constraints, field, options = {})
     actorObject.pos.y = newPosition.y;
     actorObject.velocity.x = newVelocity.x; // Use renamed property
     actorObject.velocity.y = newVelocity.y; // Use renamed property
+    actorObject.syncPreviousPosition(); // Don't interpolate across the teleport
     stopPhysics(); // Ensure physics (like gravity) is stopped on reset
   };
 
@@ -297,18 +440,28 @@ export function Ball(position, ballConfigDims, constraints, field, options = {})
 
   /** Updates the ball's physics state for one frame by calling the Actor's update. */
   const update = () => {
+    const sideBefore = _courtSide(actorObject.pos.x);
     actorObject.update();
     // Ball-Slime collision checks are performed externally (e.g., in ballManager)
+
+    const side = _courtSide(actorObject.pos.x);
+    if (side !== sideBefore) {
+      crossedNetEvent.emit({ ball, side });
+    }
   };
 
-  /** Renders the ball's current position using the graphics module. */
-  const render = () => {
+  /**
+   * Renders the ball using the graphics module.
+   * @param {number} [alpha=1] - Interpolation factor between the previous and current tick.
+   */
+  const render = (alpha = 1) => {
     // Delegate rendering to the graphics module function
-    renderBall(graphicsElement, actorObject.pos, currentBallSize);
+    renderBall(graphicsElement, actorObject.getInterpolatedPosition(alpha), currentBallSize);
   };
 
   /** Sets the color of the ball via the graphics module. */
   const setColor = (color) => {
+    currentColor = color;
     // Delegate color setting to the graphics module function
     setBallColor(graphicsElement, color);
   };
@@ -327,16 +480,35 @@ export function Ball(position, ballConfigDims, constraints, field, options = {})
     console.warn("Ball.handleResize: Actor constraints may need updating!");
   };
 
-  // --- Return Public Interface ---
-  return {
+  /**
+   * Captures the ball's physics state for rollback.
+   * @returns {Object} Opaque in-memory snapshot.
+   */
+  const getSnapshot = () => actorObject.getSnapshot();
+
+  /**
+   * Restores a snapshot taken with getSnapshot.
+   * @param {Object} snapshot - Snapshot from getSnapshot.
+   */
+  const restoreSnapshot = (snapshot) => {
+    actorObject.restoreSnapshot(snapshot);
+  };
+
+  // --- Public Interface (also sent with hit events, which all balls share) ---
+  const ball = {
     actorObject, // Expose actor for advanced interactions or debug
+    dimensions: ballConfigDims, // Relative size from config, used when creating the element
     get element() { return graphicsElement; }, // Read-only access to DOM element
+    get color() { return currentColor; },
+    get mass() { return ballOptions.mass; },
 
     // Core Methods
     update,
     render,
     reset,
     setElement, // Link DOM element
+    getSnapshot,
+    restoreSnapshot,
 
     // Control & Config
     startGravity,
@@ -344,8 +516,10 @@ export function Ball(position, ballConfigDims, constraints, field, options = {})
     setColor,
     handleResize, // Handle screen resizing
 
-    // Collision Method (called externally)
+    // Collision Methods (called externally)
     checkSlimeCollision,
+    checkBallCollision,
+    getCollisionMass: _getCollisionMass,
 
     // Events
     hitGroundEvent,
@@ -353,5 +527,10 @@ export function Ball(position, ballConfigDims, constraints, field, options = {})
     hitSlimeEvent,
     hitWallEvent,
     scoredEvent, // Emitted on score
+    crossedNetEvent, // Emitted when the ball changes court side
+    spikeEvent, // Emitted when a slime spikes the ball
+    hitBallEvent, // Emitted when two balls collide
   };
+
+  return ball;
 }
@@ -1,89 +1,69 @@
 import { Ball } from './ball.js';
-// Import necessary functions from the new graphics module
-import { createBallElement } from '../ui/ballGraphics.js';
 // Import config details needed here
 import { physics as configPhysics, dimensions as configDimensions } from '../../config.js';
 import { gameObjects } from '../core/objectRegistry.js'; // Used for ground level detection
+import { random, randomRange } from '../utils/random.js'; // Seeded so extra balls are reproducible
 
 /**
  * Ball manager module for handling multiple balls in the game.
+ * Balls live in the simulation; this module creates them and remembers which one is the main ball.
+ * Their DOM elements are created by the renderer attached to the simulation.
  * @module ballManager
  */
 
 // Module-level variables to store state
-let balls = [];
+let simulation = null;
 let mainBall = null;
-let gameContainer = null;
-let fieldDimensions = null; // Store reference to field dimensions object
 
 /**
- * Initializes the ball manager with the game container and initial field dimensions.
+ * Initializes the ball manager with the simulation that owns the balls.
  * Should be called once when the game environment is set up.
- * @param {HTMLElement} container - The main DOM element for the game area.
- * @param {Object} field - An object containing initial field dimensions { width, height }.
+ * @param {Object} sim - Simulation instance (see core/simulation.js). Its `field` is used for sizing.
  */
-export const initBallManager = (container, field) => {
-  if (!container || !field) {
-    console.error("BallManager init failed: Invalid container or field dimensions provided.");
+export const initBallManager = (sim) => {
+  if (!sim?.field) {
+    console.error("BallManager init failed: Invalid simulation provided.");
     return;
   }
-  gameContainer = container;
-  fieldDimensions = field; // Keep the reference
-  balls = []; // Reset balls array
-  mainBall = null;
+  simulation = sim;
+  cleanupAllBalls(); // Reset balls
   console.log("Ball manager initialized.");
 };
 
 /**
  * Adds a new ball (either main game ball or extra ball) to the game.
- * Handles creation of both the graphics element and the physics logic object.
  * @param {boolean} [isBouncingBall=true] - Determines if the ball has physics enabling it to bounce indefinitely. Typically true for extra balls, false for the main scoring ball.
  * @param {Object} [initialPos=null] - Optional initial position {x, y}. If null, uses random position.
  * @param {Object} [initialVel=null] - Optional initial velocity {x, y}. Defaults to small random velocity.
  * @returns {Object|null} The created Ball instance (logic object) or null if creation failed.
  */
 export const addBall = (isBouncingBall = true, initialPos = null, initialVel = null) => {
-  if (!gameContainer || !fieldDimensions) {
+  if (!simulation) {
     console.error("Cannot add ball: Ball manager not initialized.");
     return null;
   }
-
-  // Refresh field dimensions from the container's current state
-  // This helps if the container was resized since init
-  const containerRect = gameContainer.getBoundingClientRect();
-  fieldDimensions.width = containerRect.width;
-  fieldDimensions.height = containerRect.height;
+  const fieldDimensions = simulation.field;
 
   // Determine starting position
   let startPos = initialPos;
   if (!startPos) {
     // Calculate a random position if none provided
     const padding = 80; // Padding from edges
-    const randomX = padding + Math.random() * (fieldDimensions.width - 2 * padding);
+    const randomX = randomRange(padding, fieldDimensions.width - padding);
     // Start in the upper half of the field for better visibility
-    const randomY = padding + Math.random() * (fieldDimensions.height / 2 - padding);
+    const randomY = randomRange(padding, fieldDimensions.height / 2);
     startPos = { x: randomX, y: randomY };
   }
   console.log(`BallManager: Creating ball at position (${startPos.x.toFixed(1)}, ${startPos.y.toFixed(1)})`);
 
   // Ball dimensions from config
   const ballConfigDims = { radius: configDimensions.BALL_RADIUS };
-
-  // --- Create Graphics Element ---
-  // Use the dedicated graphics function
-  const { element: ballElement, initialSize: ballSizePx } = createBallElement(fieldDimensions, ballConfigDims);
   // Apply a random color for visual distinction (optional)
-  const randomColor = `hsl(${Math.random() * 360}, 70%, 55%)`;
-  ballElement.style.backgroundColor = randomColor;
-  // Set initial DOM position (visual only, physics takes over)
-  ballElement.style.left = `${startPos.x - ballSizePx / 2}px`;
-  ballElement.style.top = `${startPos.y - ballSizePx / 2}px`;
-  gameContainer.appendChild(ballElement); // Add element to the game world
-  // --- End Graphics Element Creation ---
+  const randomColor = `hsl(${random() * 360}, 70%, 55%)`;
 
   // --- Create Physics/Logic Object ---
   // Determine ground level using registry or fallback calculation
-  let groundLevel = fieldDimensions.height - (document.getElementById('ground')?.offsetHeight || 40);
+  let groundLevel = fieldDimensions.height - 40;
   if (gameObjects.ground && typeof gameObjects.ground.height === 'number') {
     groundLevel = gameObjects.ground.height;
   } else {
@@ -104,12 +84,11 @@ export const addBall = (isBouncingBall = true, initialPos = null, initialVel = n
   try {
     newBall = Ball(
       startPos, ballConfigDims, ballConstraints, fieldDimensions,
-      { canBounceOnGround: isBouncingBall }
+      { canBounceOnGround: isBouncingBall, color: randomColor }
     );
     console.log("BallManager: Ball() constructor returned:", newBall); // Log the returned object
   } catch (error) {
     console.error("BallManager: Error during Ball() constructor!", error);
-    ballElement?.remove(); // Clean up graphics if constructor failed
     return null;
   }
 
@@ -117,23 +96,19 @@ export const addBall = (isBouncingBall = true, initialPos = null, initialVel = n
   // --- DIAGNOSTIC CHECKS ---
   if (!newBall) {
     console.error("BallManager FATAL: Ball() constructor returned undefined or null!");
-    ballElement?.remove(); // Clean up graphics
     return null;
   }
   if (!newBall.actorObject) {
     console.error("BallManager FATAL: newBall.actorObject is undefined! Check Ball() constructor return value.");
-    ballElement?.remove();
     return null;
   }
   // Check specifically for the velocity property after Actor refactor
   if (typeof newBall.actorObject.velocity === 'undefined') {
     console.error("BallManager FATAL: newBall.actorObject.velocity is undefined! Check Actor() constructor return value.");
-    ballElement?.remove();
     return null;
   }
   if (newBall.actorObject.velocity === null) {
     console.error("BallManager FATAL: newBall.actorObject.velocity is NULL! Check Actor() constructor initialization.");
-    ballElement?.remove();
     return null;
   }
   console.log("BallManager: Diagnostics passed. actorObject and actorObject.velocity seem defined.");
@@ -141,9 +116,6 @@ export const addBall = (isBouncingBall = true, initialPos = null, initialVel = n
   // --- END DIAGNOSTIC CHECKS ---
 
 
-  // --- Link Graphics Element ---
-  newBall.setElement(ballElement);
-
   // --- Set Initial Velocity (Where the error likely occurs) ---
   console.log("BallManager: Attempting to set initial velocity...");
   try {
@@ -153,8 +125,8 @@ export const addBall = (isBouncingBall = true, initialPos = null, initialVel = n
       console.log(`BallManager: Set initial velocity from parameter: {x: ${initialVel.x}, y: ${initialVel.y}}`);
     } else {
       // Default small random velocity
-      const randomVelX = (Math.random() * 4) - 2;
-      const randomVelY = (Math.random() * 3) - 2;
+      const randomVelX = randomRange(-2, 2);
+      const randomVelY = randomRange(-2, 1);
       // ** This is the area around the original error line **
       newBall.actorObject.velocity.x = randomVelX;
       newBall.actorObject.velocity.y = randomVelY;
@@ -167,8 +139,6 @@ export const addBall = (isBouncingBall = true, initialPos = null, initialVel = n
     console.error("BallManager: Error occurred while setting initial velocity!", error);
     console.error(">>> State at error: newBall:", newBall); // Log the ball object
     if (newBall) console.error(">>> State at error: newBall.actorObject:", newBall.actorObject); // Log the actor object
-    ballElement?.remove(); // Clean up graphics
-    balls = balls.filter(b => b !== newBall); // Remove potentially broken ball from list
     return null; // Prevent adding broken ball
   }
 
@@ -178,9 +148,9 @@ export const addBall = (isBouncingBall = true, initialPos = null, initialVel = n
     newBall.startGravity();
   }
 
-  // Add the new ball logic object to the manager's list
-  balls.push(newBall);
-  console.log(`BallManager: Ball added successfully. Total balls: ${balls.length}`);
+  // Hand the ball to the simulation, which steps it (and notifies renderers)
+  simulation.addBall(newBall);
+  console.log(`BallManager: Ball added successfully. Total balls: ${simulation.balls.length}`);
   return newBall; // Return the created Ball instance
 };
 
@@ -191,11 +161,8 @@ export const addBall = (isBouncingBall = true, initialPos = null, initialVel = n
 export const setMainBall = (ball) => {
   if (ball && typeof ball.actorObject === 'object') { // Basic validation
     mainBall = ball;
-    // Ensure the main ball is actually in the managed list
-    if (!balls.includes(ball)) {
-      balls.push(ball);
-      console.warn("setMainBall: Provided ball was not in the managed list, added it.");
-    }
+    // Ensure the main ball is actually simulated
+    simulation?.addBall(ball);
     console.log("Main game ball set.");
   } else {
     console.error("setMainBall failed: Invalid ball object provided.");
@@ -205,100 +172,29 @@ export const setMainBall = (ball) => {
 /** Gets the instance designated as the main game ball. */
 export const getMainBall = () => mainBall;
 
-/**
- * Updates the physics state for all managed balls.
- * It then iterates through balls and slimes to check for collisions between them.
- * @param {Array<Object>} [slimes=[]] - An array of active slime instances in the game.
- */
-export const updateBalls = (slimes = []) => {
-  if (!Array.isArray(slimes)) {
-    console.error("updateBalls: Invalid slimes array provided.");
-    slimes = [];
-  }
-
-  // 1. Update physics for each ball
-  balls.forEach((ballObj) => {
-    // Check if ballObj and its update method exist
-    if (ballObj?.update) {
-      ballObj.update(); // Updates position based on velocity, handles world collisions (walls, ground, net) via its Actor
-    } else {
-      // Avoid excessive logging, maybe only log once per invalid object?
-      // console.warn("updateBalls: Found invalid ball object in array during update.");
-    }
-  });
-
-  // 2. Check for Ball-Slime collisions *after* all positions are updated
-  balls.forEach((ballObj) => {
-    // Check ball is valid and has collision method + valid actor + valid velocity
-    // Ensure actorObject and velocity exist before attempting collision check
-    if (ballObj?.checkSlimeCollision && ballObj.actorObject?.velocity) {
-      slimes.forEach((slime) => {
-        // Check slime is valid and has valid actor + valid velocity
-        // Slime velocity check might be optional depending on collision physics needs
-        if (slime?.actorObject?.velocity) {
-          ballObj.checkSlimeCollision(slime); // Ball checks against the slime
-        } else {
-          // Slime might be invalid or missing properties, log sparingly
-          // console.warn("updateBalls: Found invalid slime object in array during collision check.");
-        }
-      });
-    } else if (ballObj && !ballObj.actorObject?.velocity) {
-      // Log if a ball is missing actor/velocity during collision phase
-      console.warn("updateBalls: Ball object missing valid actor/velocity during collision check.", ballObj);
-    }
-  });
-};
-
-
-/** Renders all managed balls by calling their individual render methods. */
-export const renderBalls = () => {
-  balls.forEach((ballObj) => {
-    // Check if ballObj, its render method, actorObject, and actorObject.pos exist
-    if (ballObj?.render && ballObj.actorObject?.pos) {
-      ballObj.render();
-    } else if (ballObj) {
-      // Log sparingly if ball object is invalid for rendering
-      // console.warn("renderBalls: Ball object missing required properties for rendering.", ballObj);
-    }
-  });
-};
-
 /**
  * Removes all ball instances EXCEPT the one designated as the main game ball.
- * Also removes their corresponding DOM elements.
  */
 export const cleanupExtraBalls = () => {
-  console.log(`Cleaning up extra balls. Current count: ${balls.length}, Main ball set: ${!!mainBall}`);
-  balls = balls.filter(ballObj => {
-    // Keep the main ball
-    if (ballObj === mainBall) {
-      return true;
-    }
-    // Remove others and their elements
-    if (ballObj?.element) {
-      ballObj.element.remove();
-    }
-    return false; // Remove from array
-  });
-  console.log(`Cleanup complete. Remaining balls: ${balls.length}`);
+  if (!simulation) return;
+  console.log(`Cleaning up extra balls. Current count: ${simulation.balls.length}, Main ball set: ${!!mainBall}`);
+  [...simulation.balls]
+    .filter(ballObj => ballObj !== mainBall)
+    .forEach(ballObj => simulation.removeBall(ballObj));
+  console.log(`Cleanup complete. Remaining balls: ${simulation.balls.length}`);
 };
 
 /**
- * Removes ALL ball instances, including the main game ball and their DOM elements.
+ * Removes ALL ball instances, including the main game ball.
  * Resets the manager state.
  */
 export const cleanupAllBalls = () => {
-  console.log(`Cleaning up ALL balls. Current count: ${balls.length}`);
-  balls.forEach(ballObj => {
-    if (ballObj?.element) {
-      ballObj.element.remove();
-    }
-  });
-  // Reset state
-  balls = [];
   mainBall = null;
+  if (!simulation) return;
+  console.log(`Cleaning up ALL balls. Current count: ${simulation.balls.length}`);
+  [...simulation.balls].forEach(ballObj => simulation.removeBall(ballObj));
   console.log("All balls cleaned up.");
 };
 
 /** Gets the current array of all managed ball instances. */
-export const getAllBalls = () => balls;
+export const getAllBalls = () => (simulation ? simulation.balls : []);
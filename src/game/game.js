@@ -11,8 +11,15 @@ import {
   setActiveCountdown,
   gameState
 } from '../core/gameState.js';
-import { createGround, waitingScreen } from '../ui/graphics.js';
-import { clearRegistry, registerGround } from '../core/objectRegistry.js';
+import { createGround, waitingScreen, formatSetScores } from '../ui/graphics.js';
+import { clearRegistry, registerGround, getTeamSide, getSideTeam, setSidesSwitched } from '../core/objectRegistry.js';
+import { random, shuffle } from '../utils/random.js';
+import { msToTicks } from '../core/gameLoop.js';
+import { Scheduler } from '../core/scheduler.js';
+import {
+  getMatchState, resetMatch, startRound, awardPoint, startNextSet, sideOut, setServePending
+} from '../core/matchStore.js';
+import { resolveRally } from './scoringRules.js';
 
 /**
  * Creates a global event for game additions
@@ -20,6 +27,31 @@ import { clearRegistry, registerGround } from '../core/objectRegistry.js';
  */
 const gameAddEvent = Event('game added');
 
+/**
+ * Emitted when a player asks for a rematch from the game over screen
+ * @type {Object}
+ */
+const playAgainEvent = Event('play_again');
+
+/**
+ * Emitted while a serve clock runs: { team, secondsLeft, isFault }.
+ * secondsLeft is null once the ball is in play.
+ * @type {Object}
+ */
+const serveClockEvent = Event('serve_clock');
+
+/**
+ * Delay between a point and the next round (ms)
+ * @type {number}
+ */
+const NEXT_ROUND_DELAY = 2000;
+
+/**
+ * Delay between the point that wins a set and the first round of the next set (ms)
+ * @type {number}
+ */
+const NEXT_SET_DELAY = 3000;
+
 /**
  * @typedef {Object} FieldDimensions
  * @property {number} width - Width of the playing field
@@ -57,18 +89,6 @@ function Game() {
    */
   let ball = null;
 
-  /**
-   * Current score [team1, team2]
-   * @type {Array<number>}
-   */
-  let points = [0, 0];
-
-  /**
-   * Score display elements
-   * @type {NodeList}
-   */
-  let scoreElements = document.querySelectorAll('.score');
-
   /**
    * Main game container
    * @type {HTMLElement}
@@ -81,6 +101,36 @@ function Game() {
    */
   let field = { width: 0, height: 0 };
 
+  /**
+   * Pending round timers, counted in simulation ticks so that round flow
+   * replays frame-exactly. Kept apart from the simulation's scheduler because
+   * match flow only runs on confirmed ticks and is never rolled back.
+   * @type {Object}
+   */
+  const timers = Scheduler();
+
+  /**
+   * Serve waiting for the server in PLAYER serve mode, null otherwise
+   * @type {{team: number, server: Object, isTossed: boolean, clockAction: Object|null}|null}
+   */
+  let serve = null;
+
+  /**
+   * Runs a callback after a number of simulation ticks
+   * 
+   * @param {number} ticks - Ticks to wait
+   * @param {Function} callback - Function to run
+   * @returns {Object} DelayedAction handle
+   */
+  const after = (ticks, callback) => timers.schedule(ticks, callback);
+
+  /**
+   * Advances round timers by one tick. Called once per simulation tick.
+   */
+  const update = () => {
+    timers.tick();
+  };
+
   /**
    * Initializes the game with players and game elements
    * 
@@ -96,30 +146,34 @@ function Game() {
     ball = gameBall;
     field = fieldDimensions;
 
-    // Get scores from DOM if they exist
-    scoreElements = document.querySelectorAll('.score');
+    // Fresh score for the match
+    resetMatch();
 
     console.log("Game initialized with ball:", ball);
   };
 
+  /**
+   * Puts each team on the side the match store says it plays on, and moves
+   * the slimes' boundaries along with it
+   */
+  const applyCourtSides = () => {
+    setSidesSwitched(getMatchState().sidesSwitched);
+    slimes.forEach(slime => slime.actorObject?.updateTeam(slime.team));
+  };
+
   /**
    * Positions slimes at evenly spaced intervals on their respective sides
+   * 
+   * @param {Object|null} [server=null] - Serving slime, placed at the back of its side
    */
-  const positionSlimesForRound = () => {
+  const positionSlimesForRound = (server = null) => {
     // Group slimes by team
-    const team1Slimes = slimes.filter(slime => {
-      const playerData = players.find(p => p.playerIndex === slime.teamNumber);
-      return playerData && playerData.team === 1;
-    });
-
-    const team2Slimes = slimes.filter(slime => {
-      const playerData = players.find(p => p.playerIndex === slime.teamNumber);
-      return playerData && playerData.team === 2;
-    });
+    const team1Slimes = slimes.filter(slime => slime.team === 1);
+    const team2Slimes = slimes.filter(slime => slime.team === 2);
 
     // Position each team's slimes
-    positionTeamSlimes(team1Slimes, 1);
-    positionTeamSlimes(team2Slimes, 2);
+    positionTeamSlimes(team1Slimes, 1, server);
+    positionTeamSlimes(team2Slimes, 2, server);
   };
 
   /**
@@ -127,14 +181,15 @@ function Game() {
    * 
    * @param {Array<Object>} teamSlimes - Slimes belonging to the team
    * @param {number} teamNumber - Team number (1 or 2)
+   * @param {Object|null} [server=null] - Serving slime; if it is on this team it goes to the back
    */
-  const positionTeamSlimes = (teamSlimes, teamNumber) => {
+  const positionTeamSlimes = (teamSlimes, teamNumber, server = null) => {
     if (!teamSlimes.length) return;
 
     // Determine side boundaries based on team
-    const isTeam1 = teamNumber === 1;
-    const sideStart = isTeam1 ? 0 : field.width / 2;
-    const sideEnd = isTeam1 ? field.width / 2 : field.width;
+    const isLeft = getTeamSide(teamNumber) === -1;
+    const sideStart = isLeft ? 0 : field.width / 2;
+    const sideEnd = isLeft ? field.width / 2 : field.width;
     const sideWidth = sideEnd - sideStart;
 
     // Calculate spacing between slimes
@@ -146,7 +201,7 @@ function Game() {
     if (count === 1) {
       // Single slime: place in the middle of the side
       const middlePos = sideStart + (sideWidth / 2);
-      positionSlime(teamSlimes[0], middlePos, field.height);
+      positionSlime(teamSlimes[0], middlePos);
     } else {
       // Multiple slimes: space them evenly with some randomization
       const spacing = availableWidth / (count + 1);
@@ -157,53 +212,69 @@ function Game() {
         positions.push(sideStart + padding + (spacing * i));
       }
 
-      // Simple shuffle for randomization
-      for (let i = positions.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [positions[i], positions[j]] = [positions[j], positions[i]];
+      if (teamSlimes.includes(server)) {
+        // Serving team: the server at the back, teammates toward the net
+        const netX = field.width / 2;
+        positions.sort((a, b) => Math.abs(b - netX) - Math.abs(a - netX));
+        positionSlime(server, positions[0]);
+        teamSlimes
+          .filter(slime => slime !== server)
+          .forEach((slime, index) => positionSlime(slime, positions[index + 1]));
+        return;
       }
 
+      // Seeded shuffle for randomization (reproducible from the match seed)
+      shuffle(positions);
+
       // Position each slime
       teamSlimes.forEach((slime, index) => {
-        positionSlime(slime, positions[index], field.height);
+        positionSlime(slime, positions[index]);
       });
     }
   };
 
   /**
-   * Positions a single slime
+   * Places a single slime on the ground, at rest.
+   * The renderer picks up the new position on the next frame.
    * 
    * @param {Object} slime - Slime to position
    * @param {number} xPosition - Horizontal position
-   * @param {number} groundPosition - Ground y-coordinate
    */
-  const positionSlime = (slime, xPosition, groundPosition) => {
-    // Get the DOM element
-    const slimeElement = document.querySelector(`[data-slime-id="${slime.slimeId}"]`);
-    if (!slimeElement) return;
-
-    // Update the DOM element position
-    const slimeWidth = parseInt(slimeElement.style.width);
-    const slimeHeight = parseInt(slimeElement.style.height);
-
-    slimeElement.style.left = `${xPosition - slimeWidth / 2}px`;
-    slimeElement.style.top = `${groundPosition - slimeHeight}px`;
-
-    // Update the actor position for physics
-    if (slime.ao && slime.ao.pos) {
-      slime.ao.pos.x = xPosition;
-      slime.ao.pos.y = groundPosition;
-    }
+  const positionSlime = (slime, xPosition) => {
+    const actor = slime.actorObject;
+    if (!actor) return;
+
+    actor.pos.x = xPosition;
+    actor.pos.y = actor.ground;
+    actor.velocity.x = 0;
+    actor.velocity.y = 0;
+    actor.syncPreviousPosition(); // Don't interpolate across the teleport
   };
 
   /**
-   * Calculates ball starting position based on serving team
+   * Lists a team's players in serve order
+   * 
+   * @param {number} team - Team number (1 or 2)
+   * @returns {Array<number>} Player indices, lowest first
+   */
+  const getServeRotation = (team) => slimes
+    .filter(slime => slime.team === team)
+    .map(slime => slime.playerIndex)
+    .sort((a, b) => a - b);
+
+  /**
+   * Calculates ball starting position: above the server, or over the
+   * middle of the serving team's side
    * 
    * @param {number} team - Serving team (1 or 2)
+   * @param {Object|null} [server=null] - Serving slime
    * @returns {Object} Starting position {x, y}
    */
-  const getBallStartPosition = (team) => {
-    return team === 1
+  const getBallStartPosition = (team, server = null) => {
+    if (server?.actorObject) {
+      return { x: server.actorObject.pos.x, y: field.height / 3 };
+    }
+    return getTeamSide(team) === -1
       ? { x: field.width / 4, y: field.height / 3 }
       : { x: (field.width * 3) / 4, y: field.height / 3 };
   };
@@ -213,36 +284,16 @@ function Game() {
    * 
    * @param {Object} ballEntity - Ball object
    * @param {number} team - Serving team (1 or 2)
+   * @param {Object|null} [server=null] - Serving slime
    */
-  const resetBall = (ballEntity, team) => {
+  const resetBall = (ballEntity, team, server = null) => {
     if (!ballEntity) return;
 
-    // Calculate position based on serving team
-    const position = getBallStartPosition(team);
-
-    // Reset ball position in the physics system
-    if (ballEntity.ao) {
-      ballEntity.ao.pos.x = position.x;
-      ballEntity.ao.pos.y = position.y;
-
-      // Reset velocity
-      ballEntity.ao._velocity.x = 0;
-      ballEntity.ao._velocity.y = 0;
-    }
-
-    // Reset position in DOM
-    if (ballEntity.element) {
-      const ballWidth = parseInt(ballEntity.element.style.width) || 40;
-      const ballHeight = parseInt(ballEntity.element.style.height) || 40;
-
-      ballEntity.element.style.left = `${position.x - ballWidth / 2}px`;
-      ballEntity.element.style.top = `${position.y - ballHeight / 2}px`;
-    }
+    // Calculate position based on serving team and player
+    const position = getBallStartPosition(team, server);
 
-    // Force a render update
-    if (typeof ballEntity.render === 'function') {
-      ballEntity.render();
-    }
+    // Move the ball there at rest; the renderer picks it up on the next frame
+    ballEntity.reset(position);
   };
 
   /**
@@ -251,15 +302,13 @@ function Game() {
    * @param {Object} ballEntity - Ball object
    */
   const stopBall = (ballEntity) => {
-    if (!ballEntity || !ballEntity.ao) {
+    if (!ballEntity || !ballEntity.actorObject) {
       console.error("Cannot stop ball - ball object is invalid");
       return;
     }
 
     console.log("Stopping ball physics");
-    ballEntity.ao._velocity.x = 0;
-    ballEntity.ao._velocity.y = 0;
-    ballEntity.ao._downwardAcceleration = 0;
+    ballEntity.stopPhysics();
   };
 
   /**
@@ -274,13 +323,13 @@ function Game() {
       return;
     }
 
-    if (!ballEntity || !ballEntity.ao) {
+    if (!ballEntity || !ballEntity.actorObject) {
       console.error("Cannot drop ball - ball object is invalid");
       return;
     }
 
     console.log("Applying gravity to ball:", physics.GRAVITY);
-    ballEntity.ao._downwardAcceleration = physics.GRAVITY;
+    ballEntity.startGravity();
   };
 
   /**
@@ -289,7 +338,7 @@ function Game() {
    * @param {number} x - Ball's x position
    * @returns {number} Team number (1 or 2)
    */
-  const getTeamHalf = (x) => (x > field.width / 2 ? 2 : 1);
+  const getTeamHalf = (x) => getSideTeam(x > field.width / 2 ? 1 : -1);
 
   /**
    * Starts a new round
@@ -297,30 +346,133 @@ function Game() {
    * @param {number} team - Serving team (1 or 2)
    */
   const newRound = (team) => {
-    // Only start a new round if not already scoring or in countdown
-    if (gameState.currentState === GAME_STATES.SCORING ||
-      gameState.currentState === GAME_STATES.COUNTDOWN) {
-      console.log(`Not starting new round - currently in ${gameState.currentState} state`);
+    // Rounds start from SETUP, SCORING or GAME_OVER; the state machine rejects the rest
+    const transition = setGameState(GAME_STATES.COUNTDOWN);
+    if (!transition.success) {
+      console.log(`Not starting new round - ${transition.reason}`);
       return;
     }
 
     console.log(`Starting new round with team ${team} serving`);
+    startRound(team, getServeRotation(team));
+    const { round, server: serverIndex } = getMatchState();
+    const server = slimes.find(slime => slime.playerIndex === serverIndex) || null;
+    roundStartEvent.emit({ servingTeam: team, round, server: serverIndex });
 
-    // Reset game state
-    setGameState(GAME_STATES.SETUP);
+    // Position all slimes at their starting positions, on the sides of the current set
+    applyCourtSides();
+    positionSlimesForRound(server);
 
-    // Position all slimes at their starting positions
-    positionSlimesForRound();
-
-    // Reset and position the ball
-    resetBall(ball, team);
+    // Reset the ball above the server
+    resetBall(ball, team, server);
     stopBall(ball);
 
-    // Show countdown and drop ball after countdown
-    showCountdown(() => {
-      console.log("Dropping ball after countdown");
-      dropBall(ball);
-    });
+    if (rules.SERVE_MODE === 'DROP' || !server) {
+      // Classic serve: drop the ball after the countdown
+      showCountdown(() => {
+        console.log("Dropping ball after countdown");
+        dropBall(ball);
+      });
+      return;
+    }
+
+    // The server starts under the hovering ball and puts it in play after the countdown
+    showCountdown(() => startServe(team, server));
+  };
+
+  /**
+   * Opens the serve phase: the ball hovers until the server tosses it or hits it,
+   * and the serve clock runs
+   * 
+   * @param {number} team - Serving team (1 or 2)
+   * @param {Object} server - Serving slime
+   */
+  const startServe = (team, server) => {
+    if (gameState.currentState !== GAME_STATES.PLAYING) return;
+
+    console.log(`Serve: waiting for player ${server.playerIndex}`);
+    serve = { team, server, isTossed: false, clockAction: null };
+    setServePending(true);
+
+    // Tick the serve clock down one second at a time
+    let secondsLeft = Math.ceil(rules.SERVE_CLOCK / 1000);
+    const clockStep = () => {
+      if (!serve) return;
+
+      secondsLeft--;
+      if (secondsLeft > 0) {
+        serveClockEvent.emit({ team, secondsLeft, isFault: false });
+        serve.clockAction = after(msToTicks(1000), clockStep);
+        return;
+      }
+
+      // Out of time: the serve is a fault
+      console.log(`Serve: clock expired, fault by team ${team}`);
+      faultServe();
+    };
+    serveClockEvent.emit({ team, secondsLeft, isFault: false });
+    serve.clockAction = after(msToTicks(1000), clockStep);
+  };
+
+  /**
+   * Closes the serve phase and stops the serve clock
+   */
+  const endServe = () => {
+    if (!serve) return;
+
+    serve.clockAction?.cancel();
+    serve = null;
+    setServePending(false);
+    serveClockEvent.emit({ team: null, secondsLeft: null, isFault: false });
+  };
+
+  /**
+   * Ends the serve phase with a fault: the receiving team wins the rally
+   */
+  const faultServe = () => {
+    const { team } = serve;
+    endServe();
+    serveClockEvent.emit({ team, secondsLeft: 0, isFault: true });
+    endRound(team === 1 ? 2 : 1);
+  };
+
+  /**
+   * Tosses the ball if a player pressed the serve key while serving
+   * 
+   * @param {number} playerIndex - Player that pressed the serve key
+   */
+  const tossServe = (playerIndex) => {
+    if (!serve || serve.isTossed || serve.server.playerIndex !== playerIndex) return;
+
+    console.log(`Serve: player ${playerIndex} tossed the ball`);
+    serve.isTossed = true;
+    serve.clockAction?.cancel(); // Once tossed, a miss lands on the server's side
+    serve.clockAction = null;
+    serveClockEvent.emit({ team: serve.team, secondsLeft: null, isFault: false });
+    ball.startGravity();
+    ball.actorObject.velocity.y = -rules.SERVE_TOSS_SPEED;
+  };
+
+  /**
+   * Puts the ball in play when the server touches it during the serve phase.
+   * Any other slime touching the ball first is a serve fault.
+   *
+   * @param {string} slimeId - Slime that touched the ball
+   * @returns {boolean} False if the contact was a serve fault and does not count
+   */
+  const touchServe = (slimeId) => {
+    if (!serve) return true;
+
+    if (serve.server.slimeId !== slimeId) {
+      console.log(`Serve: ${slimeId} touched the ball first, fault by team ${serve.team}`);
+      faultServe();
+      return false;
+    }
+
+    console.log('Serve: ball in play');
+    if (!serve.isTossed) ball.startGravity(); // Served straight off the hovering ball
+    endServe();
+    return true;
   };
 
   /**
@@ -387,11 +539,10 @@ function Game() {
     setActiveCountdown(Date.now());
     const currentCountdownId = gameState.activeCountdown;
 
-    // Use a more reliable interval for countdown
-    const countdownInterval = setInterval(() => {
+    // Count down one second at a time on simulation ticks
+    const countdownStep = () => {
       // Check if this countdown is still the active one
       if (gameState.activeCountdown !== currentCountdownId) {
-        clearInterval(countdownInterval);
         return;
       }
 
@@ -400,155 +551,95 @@ function Game() {
       if (count > 0) {
         countTextElement.textContent = count;
         console.log(`Countdown: ${count}`);
-      } else {
-        countTextElement.textContent = 'GO!';
-        console.log('Countdown: GO!');
+        after(msToTicks(1000), countdownStep);
+        return;
+      }
 
-        // Hide countdown and start play after a short delay
-        setTimeout(() => {
-          countdownElement.style.display = 'none';
-          console.log("Countdown complete, starting play");
+      countTextElement.textContent = 'GO!';
+      console.log('Countdown: GO!');
 
-          // Signal that no countdown is active
-          setActiveCountdown(null);
+      // Hide countdown and start play after a short delay
+      after(msToTicks(500), () => {
+        countdownElement.style.display = 'none';
+        console.log("Countdown complete, starting play");
 
-          // Transition to PLAYING state
-          setGameState(GAME_STATES.PLAYING);
+        // Signal that no countdown is active
+        setActiveCountdown(null);
 
-          // Emit countdown end event
-          countdownEndEvent.emit();
+        // Transition to PLAYING state
+        setGameState(GAME_STATES.PLAYING);
 
-          if (typeof callback === 'function') {
-            callback();
-          }
-        }, 500);
+        // Emit countdown end event
+        countdownEndEvent.emit();
 
-        clearInterval(countdownInterval);
-      }
-    }, 1000);
+        if (typeof callback === 'function') {
+          callback();
+        }
+      });
+    };
+    after(msToTicks(1000), countdownStep);
   };
 
   /**
-   * Ends a round and updates score
+   * Ends a round and updates score according to the match's scoring system
    * 
-   * @param {number} team - Team that scored (1 or 2)
+   * @param {number} rallyWinner - Team that won the rally (1 or 2)
    */
-  const endRound = (team) => {
-    // Only process scoring if in PLAYING or SCORING state
-    if (gameState.currentState !== GAME_STATES.PLAYING &&
-      gameState.currentState !== GAME_STATES.SCORING) {
-      console.log(`Not ending round - currently in ${gameState.currentState} state`);
+  const endRound = (rallyWinner) => {
+    // Only score from PLAYING; a second score in the same rally is rejected here
+    const transition = setGameState(GAME_STATES.SCORING);
+    if (!transition.success) {
+      console.log(`Not ending round - ${transition.reason}`);
       return;
     }
 
-    console.log(`Team ${team} scored! Updating score.`);
+    // Stop ball physics immediately to prevent further bounces
+    stopBall(ball);
+    endServe();
 
-    // Ensure we're in scoring state
-    setGameState(GAME_STATES.SCORING);
+    const { scoringSystem, servingTeam: rallyServer } = getMatchState();
+    const { pointTo, nextServingTeam } = resolveRally(scoringSystem, rallyServer, rallyWinner);
 
-    // Update score
-    points[team - 1]++;
-    updateScoreDisplay();
+    // Side-out: the receivers won the rally, they get the serve but no point
+    if (pointTo === null) {
+      console.log(`Side out! Team ${nextServingTeam} serves next.`);
+      sideOut(nextServingTeam);
+      roundEndEvent.emit({ scoringTeam: null, rallyWinner, isSideOut: true, isGameOver: false, isSetOver: false });
 
-    // Stop ball physics immediately to prevent further bounces
-    stopBall(ball);
+      after(msToTicks(NEXT_ROUND_DELAY), () => {
+        newRound(nextServingTeam);
+      });
+      return;
+    }
+
+    const team = pointTo;
+    console.log(`Team ${team} scored! Updating score.`);
+
+    // Update score
+    const { isSetOver, isMatchOver } = awardPoint(team);
+    roundEndEvent.emit({ scoringTeam: team, rallyWinner, isSideOut: false, isGameOver: isMatchOver, isSetOver });
 
     // Check for win
-    if (checkForWin()) {
+    if (isMatchOver) {
       setGameState(GAME_STATES.GAME_OVER);
-      endGame(team);
-    } else {
-      // Start new round with the losing team serving
+      endGame(getMatchState().winner);
+    } else if (isSetOver) {
+      // The team that lost the set serves first in the next one
       const servingTeam = team === 1 ? 2 : 1;
-      console.log(`New round will start with team ${servingTeam} serving after delay`);
+      console.log(`Team ${team} won set ${getMatchState().setNumber}, next set after delay`);
 
-      // Add a delay before starting new round to prevent rapid restarts
-      setTimeout(() => {
-        // Set state back to SETUP before starting new round
-        setGameState(GAME_STATES.SETUP);
+      after(msToTicks(NEXT_SET_DELAY), () => {
+        startNextSet();
         newRound(servingTeam);
-      }, 2000); // Increased delay for better visibility
-    }
-  };
+      });
+    } else {
+      console.log(`New round will start with team ${nextServingTeam} serving after delay`);
 
-  /**
-   * Updates the score display
-   */
-  const updateScoreDisplay = () => {
-    console.log(`Updating score display: ${points[0]}-${points[1]}`);
-
-    // Check if score board exists, create if not
-    let scoreBoard = document.querySelector('.scoreBoard');
-    let team1Score = document.querySelector('.teamOneScore');
-    let team2Score = document.querySelector('.teamTwoScore');
-
-    if (!scoreBoard) {
-      console.log("Creating scoreboard elements");
-
-      // Create score board
-      scoreBoard = document.createElement('div');
-      scoreBoard.classList.add('scoreBoard');
-
-      // Style the score board
-      scoreBoard.style.position = 'absolute';
-      scoreBoard.style.top = '20px';
-      scoreBoard.style.left = '50%';
-      scoreBoard.style.transform = 'translateX(-50%)';
-      scoreBoard.style.backgroundColor = 'rgba(0, 0, 0, 0.2)';
-      scoreBoard.style.borderRadius = '10px';
-      scoreBoard.style.padding = '10px 20px';
-      scoreBoard.style.display = 'flex';
-      scoreBoard.style.alignItems = 'center';
-      scoreBoard.style.justifyContent = 'center';
-      scoreBoard.style.zIndex = '100';
-
-      // Create team 1 score element
-      team1Score = document.createElement('div');
-      team1Score.classList.add('teamScore', 'teamOneScore');
-      team1Score.style.color = 'gold';
-      team1Score.style.fontSize = '36px';
-      team1Score.style.fontWeight = 'bold';
-      team1Score.style.margin = '0 10px';
-
-      // Create separator
-      const separator = document.createElement('div');
-      separator.classList.add('scoreSeparator');
-      separator.textContent = '-';
-      separator.style.color = '#333';
-      separator.style.fontSize = '36px';
-      separator.style.fontWeight = 'bold';
-      separator.style.margin = '0 10px';
-
-      // Create team 2 score element
-      team2Score = document.createElement('div');
-      team2Score.classList.add('teamScore', 'teamTwoScore');
-      team2Score.style.color = 'crimson';
-      team2Score.style.fontSize = '36px';
-      team2Score.style.fontWeight = 'bold';
-      team2Score.style.margin = '0 10px';
-
-      // Add elements to score board
-      scoreBoard.appendChild(team1Score);
-      scoreBoard.appendChild(separator);
-      scoreBoard.appendChild(team2Score);
-
-      // Add score board to game area
-      gameContainer.appendChild(scoreBoard);
+      // Add a delay before starting new round to prevent rapid restarts
+      after(msToTicks(NEXT_ROUND_DELAY), () => {
+        newRound(nextServingTeam);
+      });
     }
-
-    // Update the scores
-    team1Score.textContent = points[0];
-    team2Score.textContent = points[1];
-  };
-
-  /**
-   * Checks if a team has won
-   * 
-   * @returns {boolean} True if a team has reached the winning score
-   */
-  const checkForWin = () => {
-    const winningScore = rules.WINNING_SCORE;
-    return points[0] >= winningScore || points[1] >= winningScore;
   };
 
   /**
@@ -580,7 +671,10 @@ function Game() {
       const playAgainBtn = document.createElement('button');
       playAgainBtn.classList.add('playAgainButton');
       playAgainBtn.textContent = 'PLAY AGAIN';
-      playAgainBtn.addEventListener('click', resetGame);
+      playAgainBtn.addEventListener('click', () => {
+        playAgainEvent.emit(); // Lets replays record the rematch
+        resetGame();
+      });
 
       gameOverElement.appendChild(gameOverText);
       gameOverElement.appendChild(playAgainBtn);
@@ -591,6 +685,16 @@ function Game() {
     const gameOverText = gameOverElement.querySelector('.gameOverText');
     gameOverText.textContent = `TEAM ${winningTeam === 1 ? 'GOLD' : 'CRIMSON'} WINS!`;
 
+    // Set scores, for matches played over more than one set
+    let setScoresElement = gameOverElement.querySelector('.gameOverSets');
+    if (!setScoresElement) {
+      setScoresElement = document.createElement('div');
+      setScoresElement.classList.add('gameOverSets');
+      gameOverElement.insertBefore(setScoresElement, gameOverText.nextSibling);
+    }
+    const { format, setScores } = getMatchState();
+    setScoresElement.textContent = format.sets > 1 ? formatSetScores(setScores) : '';
+
     gameOverElement.style.display = 'flex';
   };
 
@@ -599,8 +703,7 @@ function Game() {
    */
   const resetGame = () => {
     // Reset scores
-    points = [0, 0];
-    updateScoreDisplay();
+    resetMatch();
 
     // Hide game over screen
     const gameOver = document.querySelector('.gameOverScreen');
@@ -609,7 +712,7 @@ function Game() {
     }
 
     // Start a new round with random team serving
-    const servingTeam = Math.random() < 0.5 ? 1 : 2;
+    const servingTeam = random() < 0.5 ? 1 : 2;
     newRound(servingTeam);
   };
 
@@ -627,8 +730,12 @@ function Game() {
 
   return {
     init,
+    update,
+    get hasPendingTimers() { return timers.size > 0; },
     newRound,
     endRound,
+    tossServe,
+    touchServe,
     getBallStartPosition,
     resetBall,
     stopBall,
@@ -646,11 +753,12 @@ function Game() {
  * 
  * @param {number} playerNumber - Player number (1, 2, etc)
  * @param {number} team - Team number (0=unassigned, 1, 2)
- * @param {Object} keys - Player key configuration
+ * @param {Object} keys - Player key configuration, or { gamepad } for gamepad players
  * @param {number} playerIndex - Player index in the global array
+ * @param {Object} [cpuOptions=null] - Difficulty selector options for computer players (see waitingScreen)
  * @returns {Object} Waiting game controller
  */
-function WaitingGame(playerNumber, team = 0, keys, playerIndex) {
+function WaitingGame(playerNumber, team = 0, keys, playerIndex, cpuOptions = null) {
   // Store reference to the main container
   const mainContainer = document.querySelector('#main');
   const playersArea = document.querySelector('.playersArea') || mainContainer;
@@ -667,7 +775,8 @@ function WaitingGame(playerNumber, team = 0, keys, playerIndex) {
     playerNumber,
     team,
     keys,
-    playerIndex
+    playerIndex,
+    cpuOptions
   );
 
   // Add to players area
@@ -726,4 +835,4 @@ function WaitingGame(playerNumber, team = 0, keys, playerIndex) {
 }
 
 
-export { Game, WaitingGame };
+export { Game, WaitingGame, playAgainEvent, serveClockEvent };
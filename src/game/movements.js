@@ -1,5 +1,5 @@
 // Import specific movement config values
-import { movement as configMovement } from '../../config.js';
+import { movement as configMovement, dash as configDash } from '../../config.js';
 
 /**
  * @fileoverview Defines movement generator functions for game actors.
@@ -16,6 +16,59 @@ import { movement as configMovement } from '../../config.js';
  * @property {number} y - Vertical movement contribution this frame.
  */
 
+/**
+ * True while fastForward replays the frames a restored movement already ran.
+ * Termination signals read the owner's current flags, not the flags of the
+ * replayed ticks, so they are skipped then, and so is onEnd: the movement was
+ * still running on those ticks.
+ * @type {boolean}
+ */
+let isFastForwarding = false;
+
+/**
+ * Checks a termination signal, except while fast-forwarding.
+ *
+ * @param {() => boolean} shouldTerminate - Termination signal of a movement
+ * @returns {boolean} True if the movement should stop
+ */
+const isTerminated = (shouldTerminate) => !isFastForwarding && shouldTerminate();
+
+/**
+ * Wraps a movement factory so every generator it creates can be recreated.
+ * Generator state cannot be copied, so rollback restores a movement by calling
+ * `restart()` for a fresh generator with the same arguments and fast-forwarding it.
+ *
+ * @param {Function} factory - Function returning a movement generator
+ * @returns {Function} Factory whose generators carry a `restart` method
+ */
+const restartable = (factory) => {
+  const create = (...args) => {
+    const movement = factory(...args);
+    movement.restart = () => create(...args);
+    return movement;
+  };
+  return create;
+};
+
+/**
+ * Recreates a movement made by a `restartable` factory and advances it by the
+ * frames it had already run, without termination checks or onEnd.
+ *
+ * @param {Generator} movement - Movement generator with a `restart` method
+ * @param {number} steps - Number of `next()` calls the movement had received
+ * @returns {Generator} Fresh generator in the same state
+ */
+export function fastForward(movement, steps) {
+  const current = movement.restart();
+  isFastForwarding = true;
+  try {
+    for (let i = 0; i < steps; i++) current.next();
+  } finally {
+    isFastForwarding = false;
+  }
+  return current;
+}
+
 /**
  * Base generator for frame-based movements.
  * Yields the result of the callback for a specified number of frames or until terminated.
@@ -44,7 +97,7 @@ function* frameMovement(totalFrames, callback, shouldTerminate, onEnd = () => {
         console.error("frameMovement FATAL: shouldTerminate is not a function!", shouldTerminate);
         break; // Stop if signal is invalid
       }
-      if (shouldTerminate()) {
+      if (isTerminated(shouldTerminate)) {
         // console.log("frameMovement: Terminated early by signal.");
         break;
       }
@@ -63,7 +116,7 @@ function* frameMovement(totalFrames, callback, shouldTerminate, onEnd = () => {
     // console.log("frameMovement: Finished/Ended.");
     // console.log(`frameMovement finally block: typeof onEnd = ${typeof onEnd}`, onEnd);
     // Safety check still useful here
-    if (typeof onEnd === 'function') {
+    if (typeof onEnd === 'function' && !isFastForwarding) {
       onEnd();
     } else {
       // console.warn("frameMovement finally block: onEnd was not a function!");
@@ -80,7 +133,7 @@ function* frameMovement(totalFrames, callback, shouldTerminate, onEnd = () => {
  * @param {() => void} [onEnd] - Callback when jump finishes.
  * @returns {Generator<MovementResult, void, unknown>} Jumping movement generator.
  */
-export const startJump = (baseAcceleration, keyReleaseSignal, onEnd) => {
+export const startJump = restartable((baseAcceleration, keyReleaseSignal, onEnd) => {
   // console.log("Creating startJump generator with min duration..."); // Optional logging
   const maxFrames = configMovement.JUMP_MAX_FRAMES;
   const minFrames = configMovement.JUMP_MIN_DURATION_FRAMES; // Get min duration from config
@@ -107,7 +160,7 @@ export const startJump = (baseAcceleration, keyReleaseSignal, onEnd) => {
     actualShouldTerminate, // Use the termination logic with min duration check
     onEnd // Pass the original onEnd callback
   );
-};
+});
 
 /**
  * Creates a wall jumping movement generator. Applies force up and away from wall.
@@ -118,7 +171,7 @@ export const startJump = (baseAcceleration, keyReleaseSignal, onEnd) => {
  * @param {() => void} [onEnd] - Callback when jump finishes.
  * @returns {Generator<MovementResult, void, unknown>} Wall jump movement generator.
  */
-export const startWallJump = (baseAcceleration, direction, shouldTerminate, onEnd = () => { }) => {
+export const startWallJump = restartable((baseAcceleration, direction, shouldTerminate, onEnd = () => { }) => {
   // console.log("Creating startWallJump generator...");
   const jumpPower = baseAcceleration; // Base force magnitude
   const horizontalFactor = configMovement.WALL_JUMP_H_FACTOR;
@@ -135,7 +188,7 @@ export const startWallJump = (baseAcceleration, direction, shouldTerminate, onEn
     shouldTerminate,
     onEnd
   );
-};
+});
 
 /**
  * Creates a direction change jump generator. Higher jump with initial horizontal damping.
@@ -146,7 +199,7 @@ export const startWallJump = (baseAcceleration, direction, shouldTerminate, onEn
  * @param {() => void} [onEnd] - Callback when jump finishes.
  * @returns {Generator<MovementResult, void, unknown>} Direction change jump generator.
  */
-export const startDirectionChangeJump = (actor, baseAcceleration, shouldTerminate, onEnd = () => { }) => {
+export const startDirectionChangeJump = restartable((actor, baseAcceleration, shouldTerminate, onEnd = () => { }) => {
   // console.log("Creating startDirectionChangeJump generator...");
   const jumpMultiplier = configMovement.DIR_CHANGE_JUMP_ACCEL_BONUS;
   const lockFrames = configMovement.DIR_CHANGE_JUMP_LOCK_FRAMES;
@@ -175,7 +228,44 @@ export const startDirectionChangeJump = (actor, baseAcceleration, shouldTerminat
     shouldTerminate,
     onEnd
   );
-};
+});
+
+/**
+ * Creates an air dash generator. Stops the fall on the first frame, then pushes
+ * sideways with a decaying force while holding most of gravity off.
+ *
+ * @param {Object} actor - Actor object (used to stop the fall and read gravity).
+ * @param {number} acceleration - Horizontal dash acceleration.
+ * @param {number} direction - Direction (-1 left, 1 right).
+ * @param {() => boolean} shouldTerminate - Function returning true when the dash should stop (e.g., landing).
+ * @param {() => void} [onEnd] - Callback when the dash finishes.
+ * @returns {Generator<MovementResult, void, unknown>} Dash movement generator.
+ */
+export const startDash = restartable((actor, acceleration, direction, shouldTerminate, onEnd = () => { }) => {
+  const duration = configDash.DURATION;
+  let frameCount = 0; // Counts up
+
+  const dashCallback = (frame) => { // frame counts down
+    frameCount++;
+    if (frameCount === 1 && actor.velocity) {
+      // Dashing out of a fall or a jump starts level
+      actor.velocity.y = 0;
+      if (Math.sign(actor.velocity.x) === -direction) actor.velocity.x = 0;
+    }
+    const framePercent = frame / duration; // 1.0 down to near 0.0
+    return {
+      x: direction * acceleration * framePercent,
+      y: -actor.downwardAcceleration * configDash.GRAVITY_CANCEL
+    };
+  };
+
+  return frameMovement(
+    duration,
+    dashCallback,
+    shouldTerminate,
+    onEnd
+  );
+});
 
 /**
  * Creates a standard run movement generator. Applies constant horizontal force.
@@ -186,13 +276,13 @@ export const startDirectionChangeJump = (actor, baseAcceleration, shouldTerminat
  * @param {() => boolean} shouldTerminate - Function returning true when run should stop (e.g., key release).
  * @returns {Generator<MovementResult, void, unknown>} Running movement generator.
  */
-export const startRun = (acceleration, direction, shouldTerminate) => {
+export const startRun = restartable((acceleration, direction, shouldTerminate) => {
   // console.log("Creating startRun generator...");
   // Immediately invoked generator function expression (IIFE returning generator)
   return (function*() {
     try {
       // console.log(`startRun executing loop (shouldTerminate=${shouldTerminate()})`);
-      while (!shouldTerminate()) {
+      while (!isTerminated(shouldTerminate)) {
         yield { x: direction * acceleration, y: 0 };
       }
       // console.log("startRun loop finished (shouldTerminate became true).");
@@ -200,7 +290,7 @@ export const startRun = (acceleration, direction, shouldTerminate) => {
       // console.log("startRun generator ended.");
     }
   })();
-};
+});
 
 /**
  * Creates a run movement generator with initial bonus acceleration when changing direction.
@@ -212,7 +302,7 @@ export const startRun = (acceleration, direction, shouldTerminate) => {
  * @param {number} normalAcceleration - Acceleration to use after bonus period ends.
  * @returns {Generator<MovementResult, void, unknown>} Bonus run movement generator.
  */
-export const startOppositeRun = (bonusAcceleration, direction, shouldTerminate, normalAcceleration) => {
+export const startOppositeRun = restartable((bonusAcceleration, direction, shouldTerminate, normalAcceleration) => {
   // console.log("Creating startOppositeRun generator...");
   const bonusFrames = configMovement.OPPOSITE_RUN_BONUS_FRAMES;
   let framesLeft = bonusFrames; // Internal state for bonus duration
@@ -221,7 +311,7 @@ export const startOppositeRun = (bonusAcceleration, direction, shouldTerminate,
   return (function*() {
     try {
       // console.log(`startOppositeRun executing loop (shouldTerminate=${shouldTerminate()})`);
-      while (!shouldTerminate()) {
+      while (!isTerminated(shouldTerminate)) {
         let currentAcceleration = (framesLeft > 0) ? bonusAcceleration : normalAcceleration;
         if (framesLeft > 0) framesLeft--; // Decrement bonus frame counter
         yield { x: direction * currentAcceleration, y: 0 };
@@ -231,4 +321,4 @@ export const startOppositeRun = (bonusAcceleration, direction, shouldTerminate,
       // console.log("startOppositeRun generator ended.");
     }
   })();
-};
+});
@@ -0,0 +1,50 @@
+/**
+ * Scoring systems.
+ * Decides what the end of a rally means: who gets a point, if anyone, and who
+ * serves next. Pure functions of the serving team and the rally winner, so the
+ * round flow in Game.endRound can be checked without running a match.
+ * @module scoringRules
+ */
+
+/**
+ * Scoring systems, selected with rules.SCORING_SYSTEM in config.js
+ * @enum {string}
+ */
+export const SCORING_SYSTEMS = {
+  /** Every rally scores a point; the team that lost the point serves */
+  RALLY: 'RALLY',
+  /** Only the serving team scores; when the receivers win the rally, the serve changes hands */
+  SIDE_OUT: 'SIDE_OUT',
+  /** Every rally scores a point; the team that won the point serves */
+  WINNER_SERVES: 'WINNER_SERVES'
+};
+
+/**
+ * @typedef {Object} RallyOutcome
+ * @property {number|null} pointTo - Team that gets a point, or null for a side-out
+ * @property {number} nextServingTeam - Team that serves the next round
+ */
+
+/**
+ * Resolves the end of a rally
+ *
+ * @param {string} system - One of SCORING_SYSTEMS
+ * @param {number} servingTeam - Team that served the rally (1 or 2)
+ * @param {number} rallyWinner - Team that won the rally (1 or 2)
+ * @returns {RallyOutcome} Point and next server
+ */
+export function resolveRally(system, servingTeam, rallyWinner) {
+  const rallyLoser = rallyWinner === 1 ? 2 : 1;
+
+  switch (system) {
+    case SCORING_SYSTEMS.SIDE_OUT:
+      return rallyWinner === servingTeam
+        ? { pointTo: rallyWinner, nextServingTeam: servingTeam }
+        : { pointTo: null, nextServingTeam: rallyWinner };
+    case SCORING_SYSTEMS.WINNER_SERVES:
+      return { pointTo: rallyWinner, nextServingTeam: rallyWinner };
+    case SCORING_SYSTEMS.RALLY:
+    default:
+      return { pointTo: rallyWinner, nextServingTeam: rallyLoser };
+  }
+}
@@ -1,17 +1,18 @@
 import { Event, events } from '../core/events.js';
 import Actor from './actor.js'; // Imports the refactored Actor
-import { createSlimeElement, renderSlime } from '../ui/slimeGraphics.js';
-import { Animation } from '../utils/animations.js';
-import { teams as configTeams, movement as configMovement, physics as configPhysics } from '../../config.js'; // Use aliased imports
+import { renderSlime, createSlimeEffect, createDashTrail } from '../ui/slimeGraphics.js';
+import { cancelAnimations } from '../utils/animations.js';
+import { teams as configTeams, movement as configMovement, physics as configPhysics, dash as configDash } from '../../config.js'; // Use aliased imports
+import { checkCollisionCircleSegment, resolveCircleCollision, clamp } from '../core/physics.js';
 import {
   startJump,
   startOppositeRun,
   startRun,
   startWallJump,
-  startDirectionChangeJump
+  startDirectionChangeJump,
+  startDash
 } from './movements.js';
-// Make sure createDelayedAction (and potentially cancelDelayedAction) are correctly imported and handled
-import { createDelayedAction /*, cancelDelayedAction */ } from '../utils/delayedActions.js';
+import { createDelayedAction, cancelDelayedAction } from '../utils/delayedActions.js';
 
 /**
  * @typedef {Object} SlimeAppearance
@@ -32,9 +33,17 @@ import { createDelayedAction /*, cancelDelayedAction */ } from '../utils/delayed
  * @property {number} maxVelocity - Maximum velocity limit for the actor
  */
 
+/**
+ * Emitted when a slime starts a special move: { slime, effectType }. The simulation
+ * only reports it; whoever owns the screen decides whether to flash the slime.
+ * @type {Object}
+ */
+export const slimeEffectEvent = Event('slime_effect');
+
 /**
  * Creates a slime character entity.
  * Manages slime-specific logic, movement initiation, and state, using an Actor for physics.
+ * The slime does not create any DOM itself; a renderer attaches an element through `setElement`.
  *
  * @param {number} initialTeam - Team number (1 or 2, or 0 if unassigned initially).
  * @param {number} playerIndex - Unique index identifying the player controlling this slime.
@@ -42,7 +51,7 @@ import { createDelayedAction /*, cancelDelayedAction */ } from '../utils/delayed
  * @param {SlimeAppearance} appearance - Visual appearance properties.
  * @param {SlimeDimensions} dimensions - Physical dimensions (relative radius).
  * @param {SlimeConstraints} constraints - Movement constraints.
- * @param {Object} gameController - Game controller object providing events and container access (e.g., WaitingGame instance).
+ * @param {Object} gameController - Game controller object providing resize and team events (e.g., WaitingGame instance).
  * @param {Object} keys - Input handlers mapped to player controls (e.g., from inputManager.setupPlayerKeys).
  * @returns {Object} Slime entity instance.
  */
@@ -72,6 +81,7 @@ export function Slime(
   // Active movement generators
   let activeRunMovement = null;
   let activeJumpMovement = null;
+  let activeDashMovement = null;
 
   // State flags
   let isRunning = false;
@@ -87,11 +97,15 @@ export function Slime(
   let canWallJump = true;   // Cooldown flag for wall jump
   let directionChangeFrames = 0; // Counter for direction change bonus window
   let jumpBufferActive = false; // Flag for buffered jump input
-  let jumpBufferTimeoutId = null; // To store the ID of the buffer timer
-
-  // Get global events (optional)
-  const delayedActionsEvent = events.get('delayed actions'); // Assuming this is handled elsewhere now
-  const animationsEvent = events.get('animations'); // Assuming this is handled elsewhere now
+  let canAirDash = true;    // One air dash per airtime, reset on landing
+  let dashTapDirection = 0; // Direction of a first tap that may become a double-tap
+  let teammateSupportFrames = 0; // Ticks left in which the slime counts as standing on a teammate
+  // Pending delayed actions (handles from createDelayedAction, run by the simulation's scheduler)
+  let bonusRunAction = null;      // Ends the direction change bonus
+  let wallJumpCooldownAction = null; // Re-enables wall jumps
+  let jumpBufferAction = null;    // Expires the buffered jump
+  let dashTapAction = null;       // Closes the double-tap window
+  let dashCooldownAction = null;  // Re-enables dashing
 
   /** Sets up slime physics constants based on current constraints */
   const setupConstants = (currentConstraints) => {
@@ -101,7 +115,7 @@ export function Slime(
     slimeHeight = slimeWidth / 2;
     runAcceleration = (areaWidth / configPhysics.K) * configMovement.RUN_ACCELERATION;
     bonusStartAcceleration = runAcceleration * 2;
-    dashAcceleration = (areaWidth / configPhysics.K) * 0.052; // Consider config
+    dashAcceleration = (areaWidth / configPhysics.K) * configDash.ACCELERATION;
     bonusThreshold = runAcceleration * 5;
   };
 
@@ -125,20 +139,28 @@ export function Slime(
   // Initialize Slime's isMidAir state based on the newly created Actor's state
   isMidAir = !actorObject.isGrounded;
 
-  // --- Create Graphics ---
-  const slimeElement = createSlimeElement(slimeAppearance);
-  slimeElement.setAttribute('data-slime-id', slimeId);
-  slimeElement.classList.add(`slime-player-${playerIndex}`);
-  slimeElement.style.width = `${slimeWidth}px`;
-  slimeElement.style.height = `${slimeHeight}px`;
-  if (gameController?.go?.appendChild) {
-    gameController.go.appendChild(slimeElement);
-  } else {
-    console.error(`Slime ${slimeId}: Invalid gameController container! Cannot add slime element.`);
-  }
+  // --- Graphics (attached later by a renderer, stays null when headless) ---
+  let slimeElement = null;
+  let lastTrailPosition = null; // Where the last dash trail ghost was left (render only)
 
   // --- Internal Helper Functions ---
 
+  /**
+   * Flashes the slime for a special move (skipped while headless)
+   * @param {string} effectType - Effect passed to createSlimeEffect
+   */
+  const playEffect = (effectType) => {
+    if (slimeElement) createSlimeEffect(slimeElement, effectType, slimeAppearance.color);
+  };
+
+  /**
+   * Reports a special move from inside the simulation step
+   * @param {string} effectType - Effect to play once the tick is shown
+   */
+  const emitEffect = (effectType) => {
+    slimeEffectEvent.emit({ slime, effectType });
+  };
+
   const initRun = (direction) => {
     if (activeRunMovement) actorObject.removeMovement(activeRunMovement);
     const killSignal = direction === -1 ? () => !isRunningLeft : () => !isRunningRight;
@@ -153,8 +175,12 @@ export function Slime(
     const killSignal = direction === -1 ? () => !isRunningLeft : () => !isRunningRight;
     activeRunMovement = startOppositeRun(bonusStartAcceleration, direction, killSignal, runAcceleration);
     actorObject.addMovement(activeRunMovement);
-    // Reset bonus flag after duration (consider central timer management)
-    createDelayedAction(configMovement.OPPOSITE_RUN_BONUS_FRAMES || 20, () => { hasDirectionChangeBonus = false; });
+    // Reset bonus flag after duration
+    cancelDelayedAction(bonusRunAction);
+    bonusRunAction = createDelayedAction(configMovement.OPPOSITE_RUN_BONUS_FRAMES || 20, () => {
+      hasDirectionChangeBonus = false;
+      bonusRunAction = null;
+    }, slime);
   };
 
   const initJump = (jumpForceMultiplier = 1, customEndCallback = null) => {
@@ -181,8 +207,7 @@ export function Slime(
     canWallJump = configMovement.MULTI_WALL_JUMPS_ALLOWED;
     // isMidAir = true; // Let update loop handle
     isJumping = true;
-    // Optional Animation event emit
-    animationsEvent?.emit(Animation(6, (frame) => { /* ... */ }, (frame) => frame < 1, () => { /* ... */ }));
+    emitEffect('wallJump');
     actorObject.setMaxVelocity(constraints.maxVelocity * 1.2);
     activeJumpMovement = startWallJump(
       baseJumpForce, jumpDirection, () => !isJumping,
@@ -193,8 +218,12 @@ export function Slime(
       }
     );
     actorObject.addMovement(activeJumpMovement);
-    // Delayed re-enable (consider central timer management)
-    createDelayedAction(configMovement.WALL_JUMP_COOLDOWN || 8, () => { canWallJump = true; });
+    // Delayed re-enable
+    cancelDelayedAction(wallJumpCooldownAction);
+    wallJumpCooldownAction = createDelayedAction(configMovement.WALL_JUMP_COOLDOWN || 8, () => {
+      canWallJump = true;
+      wallJumpCooldownAction = null;
+    }, slime);
   };
 
   const initDirectionChangeJump = () => {
@@ -204,6 +233,7 @@ export function Slime(
     // isMidAir = true; // Let update loop handle
     isJumping = true;
     directionChangeFrames = 0;
+    emitEffect('directionChange');
     activeJumpMovement = startDirectionChangeJump(
       actorObject, baseJumpForce, () => !isJumping, // Pass correct kill signal
       () => {
@@ -214,6 +244,56 @@ export function Slime(
     actorObject.addMovement(activeJumpMovement);
   };
 
+  const initTeammateJump = () => {
+    teammateSupportFrames = 0;
+    emitEffect('jump');
+    initJump(configMovement.TEAMMATE_JUMP_BOOST);
+  };
+
+  const initDash = (direction) => {
+    if (activeDashMovement) actorObject.removeMovement(activeDashMovement);
+    canAirDash = false;
+    emitEffect('dash');
+    const maxVelocityBeforeDash = actorObject.maxVelocity; // May be raised by a wall jump
+    actorObject.setMaxVelocity(constraints.maxVelocity * configDash.MAX_VELOCITY_FACTOR);
+    activeDashMovement = startDash(
+      actorObject, dashAcceleration, direction, () => !isMidAir, // Landing ends the dash
+      () => {
+        actorObject.setMaxVelocity(maxVelocityBeforeDash);
+        activeDashMovement = null;
+      }
+    );
+    actorObject.addMovement(activeDashMovement);
+    cancelDelayedAction(dashCooldownAction);
+    dashCooldownAction = createDelayedAction(configDash.COOLDOWN, () => {
+      dashCooldownAction = null;
+    }, slime);
+  };
+
+  /**
+   * Tracks direction taps and dashes on a double-tap in the air
+   * @param {number} direction - Direction just pressed (-1 left, 1 right)
+   */
+  const checkDashTap = (direction) => {
+    const isDoubleTap = dashTapDirection === direction;
+    cancelDelayedAction(dashTapAction);
+    dashTapAction = null;
+
+    if (isDoubleTap) {
+      dashTapDirection = 0;
+      if (isMidAir && canAirDash && !dashCooldownAction) {
+        initDash(direction);
+      }
+      return;
+    }
+
+    dashTapDirection = direction;
+    dashTapAction = createDelayedAction(configDash.DOUBLE_TAP_WINDOW, () => {
+      dashTapDirection = 0;
+      dashTapAction = null;
+    }, slime);
+  };
+
 
   // --- Input Event Handlers ---
 
@@ -231,10 +311,12 @@ export function Slime(
     console.log(`Grounded check: actorObject.isGrounded = ${actorObject.isGrounded}`); // Log the direct state
 
     // Modify the condition to check if actually grounded
-    if (actorObject.isGrounded) { // <<< CHANGE THIS CONDITION
+    if (actorObject.isGrounded || teammateSupportFrames > 0) { // Standing on a teammate counts as ground
       // --- Ground Jump Logic ---
       console.log("Condition met: Ground jump attempt.");
-      if (directionChangeFrames > 0) {
+      if (!actorObject.isGrounded) {
+        initTeammateJump(); // Boosted jump off a teammate's dome
+      } else if (directionChangeFrames > 0) {
         console.log("Executing Direction Change Jump.");
         initDirectionChangeJump();
       } else {
@@ -273,13 +355,13 @@ export function Slime(
         initWallJump(wallToCheck);
       } else {
         // Buffer Jump if no wall jump happened and airborne
-        if (jumpBufferTimeoutId) { /* Cancel if possible */ }
+        cancelDelayedAction(jumpBufferAction);
         jumpBufferActive = true;
         console.log("Executing: Buffering jump.");
-        jumpBufferTimeoutId = createDelayedAction(configMovement.JUMP_BUFFER_FRAMES || 6, () => {
+        jumpBufferAction = createDelayedAction(configMovement.JUMP_BUFFER_FRAMES || 6, () => {
           jumpBufferActive = false;
-          jumpBufferTimeoutId = null;
-        });
+          jumpBufferAction = null;
+        }, slime);
       }
     }
   };
@@ -292,16 +374,15 @@ export function Slime(
     if (jumpBufferActive) {
       // console.log(`Slime ${playerIndex}: Cancelling jump buffer due to key release.`); // Optional Log
       jumpBufferActive = false;
-      if (jumpBufferTimeoutId) {
-        // cancelDelayedAction(jumpBufferTimeoutId, activeDelayedActions); // Requires access/mechanism
-        jumpBufferTimeoutId = null;
-      }
+      cancelDelayedAction(jumpBufferAction);
+      jumpBufferAction = null;
     }
   };
 
   const onMovementPress = (direction) => {
     // ... (keep existing logic, including direction change bonus check using Slime's isMidAir) ...
     if ((direction === -1 && isRunningLeft) || (direction === 1 && isRunningRight)) return;
+    if (configDash.ENABLED) checkDashTap(direction);
     if (isRunning && runningDirection !== 0 && runningDirection !== direction) {
       directionChangeFrames = configMovement.DIRECTION_CHANGE_WINDOW || 15;
     }
@@ -338,20 +419,36 @@ export function Slime(
   const onGroundHit = () => {
     // console.log(`Slime ${playerIndex}: onGroundHit event received`); // Optional Log
     canWallJump = true; // Reset wall jump ability
+    cancelDelayedAction(wallJumpCooldownAction);
+    wallJumpCooldownAction = null;
+    canAirDash = true; // The cooldown keeps running
 
     // Handle buffered jump execution
     if (jumpBufferActive) {
       // console.log(`Slime ${playerIndex}: Executing buffered jump from onGroundHit!`); // Optional Log
       initJump(1.0);
       jumpBufferActive = false;
-      if (jumpBufferTimeoutId) {
-        // cancel action if possible
-        jumpBufferTimeoutId = null;
-      }
+      cancelDelayedAction(jumpBufferAction);
+      jumpBufferAction = null;
     }
     // NOTE: isMidAir state is handled in the main update loop now
   };
 
+  // Triggered when the slime comes to rest on a teammate's dome
+  const onTeammateLanding = () => {
+    canWallJump = true;
+    cancelDelayedAction(wallJumpCooldownAction);
+    wallJumpCooldownAction = null;
+    canAirDash = true;
+
+    if (jumpBufferActive) {
+      initTeammateJump();
+      jumpBufferActive = false;
+      cancelDelayedAction(jumpBufferAction);
+      jumpBufferAction = null;
+    }
+  };
+
   // Triggered when actor state transitions to touching or not touching wall/net
   const onWallHit = (direction) => { // Direction: -1 left, 1 right, 0 none
     // console.log(`Slime ${playerIndex}: Wall hit event: ${direction}`); // Optional Log
@@ -392,6 +489,7 @@ export function Slime(
     currentTeam = newTeam;
     slimeAppearance.color = newTeam === 1 ? configTeams.TEAM_1_COLOR : configTeams.TEAM_2_COLOR;
     if (slimeElement) { // Check element exists
+      cancelAnimations(slimeElement); // A running flash would restore the old color
       slimeElement.style.backgroundColor = slimeAppearance.color;
     }
     actorObject.updateTeam(currentTeam); // Call the Actor's method
@@ -433,11 +531,30 @@ export function Slime(
 
   // --- Public Methods ---
 
+  /**
+   * Sets the DOM element used for rendering this slime.
+   * @param {HTMLElement} el - The slime's DOM element.
+   */
+  const setElement = (el) => {
+    slimeElement = el;
+    if (!slimeElement) return;
+
+    slimeElement.setAttribute('data-slime-id', slimeId);
+    slimeElement.classList.add(`slime-player-${playerIndex}`);
+    slimeElement.style.width = `${slimeWidth}px`;
+    slimeElement.style.height = `${slimeHeight}px`;
+    slimeElement.style.backgroundColor = slimeAppearance.color;
+  };
+
   const update = () => {
     // Decrement direction change bonus window timer
     if (directionChangeFrames > 0) {
       directionChangeFrames--;
     }
+    // Support from a teammate lasts until the collision check stops renewing it
+    if (teammateSupportFrames > 0) {
+      teammateSupportFrames--;
+    }
 
     // Update the physics actor FIRST
     actorObject.update();
@@ -451,40 +568,230 @@ export function Slime(
     // Note: isHuggingWall is updated by onWallHit/onNetHit event handlers now
   };
 
-  const render = () => {
+  /**
+   * Renders the slime between its previous and current tick positions.
+   * @param {number} [alpha=1] - Interpolation factor (0-1).
+   */
+  const render = (alpha = 1) => {
+    if (!slimeElement) return; // Headless, nothing to draw
+
     if (actorObject && actorObject.pos && actorObject.velocity) {
+      // Ducking on the ground squashes the dome down to its lowered hitbox
+      const isDuckingOnGround = isDucking && actorObject.isGrounded;
       renderSlime(
         slimeElement,
-        actorObject.pos,
+        actorObject.getInterpolatedPosition(alpha),
         actorObject.velocity,
         slimeWidth,
-        slimeHeight,
+        isDuckingOnGround ? slimeHeight * configMovement.DUCK_HEIGHT_FACTOR : slimeHeight,
         isHuggingWall // Pass Slime's internal flag for visual effect trigger
       );
+      renderDashTrail(alpha);
     } else {
       console.error(`Slime ${slimeId}: Cannot render, invalid actor state.`);
     }
   };
 
+  /**
+   * Leaves a fading ghost behind a dashing slime every TRAIL_SPACING slime widths.
+   * @param {number} alpha - Interpolation factor (0-1).
+   */
+  const renderDashTrail = (alpha) => {
+    if (!activeDashMovement) {
+      lastTrailPosition = null;
+      return;
+    }
+    const position = actorObject.getInterpolatedPosition(alpha);
+    if (lastTrailPosition && Math.abs(position.x - lastTrailPosition.x) < slimeWidth * configDash.TRAIL_SPACING) return;
+    lastTrailPosition = position;
+    createDashTrail(slimeElement, slimeAppearance.color);
+  };
+
+  /**
+   * Gets the center of the circle the dome is part of. It is the base center,
+   * except while ducking on the ground: the circle sinks below the base, which
+   * leaves a lower, flatter dome above the ground.
+   * @returns {Object} Circle center {x, y}.
+   */
+  const getDomeCenter = () => {
+    const isDuckingOnGround = isDucking && actorObject.isGrounded;
+    const sink = isDuckingOnGround ? actorObject.realRadius * (1 - configMovement.DUCK_HEIGHT_FACTOR) : 0;
+    return { x: actorObject.pos.x, y: actorObject.pos.y + sink };
+  };
+
+  /**
+   * Marks the slime as standing on a teammate's dome, so it can jump off it.
+   */
+  const standOnTeammate = () => {
+    const wasSupported = teammateSupportFrames > 0;
+    teammateSupportFrames = 2; // Renewed every tick the contact lasts
+    if (!wasSupported) onTeammateLanding();
+  };
+
+  /**
+   * Checks and resolves a collision with another slime (the simulation only pairs teammates).
+   * Uses the dome model of the ball: the higher slime's flat base against the lower
+   * slime's dome circle. Side by side that pushes the slimes apart; from above, the
+   * higher slime lands on the dome and can jump off it.
+   * @param {Object} otherSlime - Slime object, containing the actor object `otherSlime.actorObject`.
+   * @returns {boolean} True if a collision occurred and was resolved.
+   */
+  const checkSlimeCollision = (otherSlime) => {
+    if (!otherSlime?.actorObject || otherSlime === slime) return false;
+
+    const [upper, lower] = actorObject.pos.y <= otherSlime.actorObject.pos.y ? [slime, otherSlime] : [otherSlime, slime];
+    const upperActor = upper.actorObject;
+    const lowerActor = lower.actorObject;
+    const domeCenter = lower.getDomeCenter();
+    const domeGeom = { x: domeCenter.x, y: domeCenter.y, radius: lowerActor.realRadius };
+    const baseLeft = upperActor.pos.x - upperActor.realRadius;
+    const baseRight = upperActor.pos.x + upperActor.realRadius;
+
+    if (!checkCollisionCircleSegment(baseLeft, upperActor.pos.y, baseRight, upperActor.pos.y, domeGeom)) {
+      return false;
+    }
+
+    // Normal from the dome center to the closest point of the base
+    const dx = clamp(domeGeom.x, baseLeft, baseRight) - domeGeom.x;
+    const dy = upperActor.pos.y - domeGeom.y;
+    let distance = Math.sqrt(dx * dx + dy * dy);
+    let nx, ny;
+    if (distance > 1e-6) {
+      nx = dx / distance;
+      ny = dy / distance;
+    } else {
+      // Bases on one line and overlapping: push apart sideways
+      nx = Math.sign(upperActor.pos.x - lowerActor.pos.x) || 1;
+      ny = 0;
+      distance = 0;
+    }
+
+    // A grounded slime carries a teammate landing on it without giving way
+    const isLanding = ny < -Math.abs(nx);
+    const lowerMass = isLanding && lowerActor.isGrounded ? Infinity : configPhysics.SLIME_MASS;
+    const newVelocities = resolveCircleCollision(
+      upperActor.pos, { ...upperActor.velocity }, configPhysics.SLIME_MASS,
+      lowerActor.pos, { ...lowerActor.velocity }, lowerMass,
+      configPhysics.SLIME_SLIME_BOUNCE_FACTOR,
+      nx, ny
+    );
+    upperActor.velocity.x = newVelocities.v1.x;
+    upperActor.velocity.y = newVelocities.v1.y;
+    lowerActor.velocity.x = newVelocities.v2.x;
+    lowerActor.velocity.y = newVelocities.v2.y;
+
+    // Separate along the normal
+    const overlap = domeGeom.radius - distance;
+    const upperShare = lowerMass === Infinity ? 1 : 0.5;
+    upperActor.pos.x += nx * overlap * upperShare;
+    upperActor.pos.y += ny * overlap * upperShare;
+    lowerActor.pos.x -= nx * overlap * (1 - upperShare);
+    lowerActor.pos.y -= ny * overlap * (1 - upperShare);
+
+    if (isLanding) upper.standOnTeammate();
+    return true;
+  };
+
+  /**
+   * Captures slime and actor state for rollback.
+   * @returns {Object} Opaque in-memory snapshot.
+   */
+  const getSnapshot = () => ({
+    team: currentTeam,
+    isRunning,
+    isRunningLeft,
+    isRunningRight,
+    runningDirection,
+    isJumping,
+    isMidAir,
+    isDucking,
+    hasDirectionChangeBonus,
+    isHuggingWall,
+    canWallJump,
+    directionChangeFrames,
+    jumpBufferActive,
+    canAirDash,
+    dashTapDirection,
+    teammateSupportFrames,
+    bonusRunAction,
+    wallJumpCooldownAction,
+    jumpBufferAction,
+    dashTapAction,
+    dashCooldownAction,
+    activeRunMovement,
+    activeJumpMovement,
+    activeDashMovement,
+    actor: actorObject.getSnapshot()
+  });
+
+  /**
+   * Restores a snapshot taken with getSnapshot.
+   * @param {Object} snapshot - Snapshot from getSnapshot.
+   */
+  const restoreSnapshot = (snapshot) => {
+    currentTeam = snapshot.team;
+    isRunning = snapshot.isRunning;
+    isRunningLeft = snapshot.isRunningLeft;
+    isRunningRight = snapshot.isRunningRight;
+    runningDirection = snapshot.runningDirection;
+    isJumping = snapshot.isJumping;
+    isMidAir = snapshot.isMidAir;
+    isDucking = snapshot.isDucking;
+    hasDirectionChangeBonus = snapshot.hasDirectionChangeBonus;
+    isHuggingWall = snapshot.isHuggingWall;
+    canWallJump = snapshot.canWallJump;
+    directionChangeFrames = snapshot.directionChangeFrames;
+    jumpBufferActive = snapshot.jumpBufferActive;
+    canAirDash = snapshot.canAirDash;
+    dashTapDirection = snapshot.dashTapDirection;
+    teammateSupportFrames = snapshot.teammateSupportFrames;
+    // Handles are shared with the scheduler snapshot, which restores their delays
+    bonusRunAction = snapshot.bonusRunAction;
+    wallJumpCooldownAction = snapshot.wallJumpCooldownAction;
+    jumpBufferAction = snapshot.jumpBufferAction;
+    dashTapAction = snapshot.dashTapAction;
+    dashCooldownAction = snapshot.dashCooldownAction;
+
+    // Flags first: restored movements are fast-forwarded against them
+    const movements = actorObject.restoreSnapshot(snapshot.actor);
+    activeRunMovement = movements.get(snapshot.activeRunMovement) || null;
+    activeJumpMovement = movements.get(snapshot.activeJumpMovement) || null;
+    activeDashMovement = movements.get(snapshot.activeDashMovement) || null;
+  };
+
   const destroy = () => {
     // console.log(`Destroying slime ${slimeId}`); // Optional Log
     slimeElement?.remove();
     allListeners.forEach(listener => listener?.unsubscribe?.());
     if (activeRunMovement) actorObject.removeMovement(activeRunMovement);
     if (activeJumpMovement) actorObject.removeMovement(activeJumpMovement);
-    // Cancel any pending delayed actions? Requires mechanism.
+    if (activeDashMovement) actorObject.removeMovement(activeDashMovement);
+    [bonusRunAction, wallJumpCooldownAction, jumpBufferAction, dashTapAction, dashCooldownAction].forEach(cancelDelayedAction);
+    bonusRunAction = wallJumpCooldownAction = jumpBufferAction = dashTapAction = dashCooldownAction = null;
   };
 
-  // --- Return Public Slime Object ---
-  return {
+  // --- Public Slime Object (also the owner of its delayed actions) ---
+  const slime = {
     slimeId,
     playerIndex,
     get team() { return currentTeam; },
+    get isDucking() { return isDucking; },
+    get appearance() { return slimeAppearance; },
+    get element() { return slimeElement; },
     actorObject, // Expose actor for collisions etc.
 
     // Core methods
     update,
     render,
+    playEffect,
+    getDomeCenter,
+    checkSlimeCollision,
+    standOnTeammate,
+    setElement,
+    getSnapshot,
+    restoreSnapshot,
     destroy,
   };
+
+  return slime;
 } 
@@ -0,0 +1,132 @@
+import { Event } from '../core/events.js';
+import { msToTicks } from '../core/gameLoop.js';
+import { rules as configRules } from '../../config.js';
+
+/**
+ * Volleyball touch rules.
+ * Counts consecutive touches per side and calls a fault when a team touches the
+ * ball more than the allowed number of times, or when the same slime touches it
+ * twice in a row. Contacts of one slime within a short grace window are one touch,
+ * since a ball resting on a slime collides on several consecutive ticks. The count
+ * starts over whenever the ball crosses the net.
+ * @module touchRules
+ */
+
+/**
+ * Fault reasons
+ * @enum {string}
+ */
+export const TOUCH_FAULTS = {
+  TOO_MANY_TOUCHES: 'too_many_touches',
+  DOUBLE_HIT: 'double_hit'
+};
+
+/**
+ * Emitted whenever the touch counts change: { counts: [team1, team2], maxTouches }
+ * @type {Object}
+ */
+export const touchCountEvent = Event('touch_count');
+
+/**
+ * Emitted on a fault: { team, scoringTeam, reason }
+ * @type {Object}
+ */
+export const touchFaultEvent = Event('touch_fault');
+
+/**
+ * Creates a touch rules tracker
+ *
+ * @param {Object} [options={}] - Rule options
+ * @param {number} [options.maxTouches=configRules.MAX_TOUCHES] - Touches allowed per side
+ * @param {number} [options.graceTicks] - Ticks in which repeated contacts of a slime are one touch
+ * @returns {Object} Tracker with recordTouch, crossNet and reset methods
+ */
+export function TouchRules({
+  maxTouches = configRules.MAX_TOUCHES,
+  graceTicks = msToTicks(configRules.DOUBLE_HIT_GRACE)
+} = {}) {
+  let counts = [0, 0];
+  let lastSlimeId = null; // Slime that touched last on the current side
+  let lastTeam = 0;
+  let lastContactTick = -Infinity;
+  let isFaulted = false; // The rally is decided, ignore touches until reset
+
+  /** Tells listeners about the current counts */
+  const emitCounts = () => {
+    touchCountEvent.emit({ counts: [...counts], maxTouches });
+  };
+
+  /**
+   * Counts a ball contact
+   *
+   * @param {Object} hitData - Data from the ball's hitSlimeEvent
+   * @param {string} hitData.slimeId - Slime that touched the ball
+   * @param {number} hitData.teamNumber - Team of that slime (1 or 2)
+   * @param {number} tick - Simulation tick of the contact
+   * @returns {Object|null} The fault ({ team, scoringTeam, reason }) or null
+   */
+  const recordTouch = ({ slimeId, teamNumber }, tick) => {
+    if (isFaulted || (teamNumber !== 1 && teamNumber !== 2)) return null;
+
+    // Still the same contact: the ball stays on the slime for a few ticks
+    if (slimeId === lastSlimeId && tick - lastContactTick <= graceTicks) {
+      lastContactTick = tick;
+      return null;
+    }
+
+    if (teamNumber !== lastTeam) {
+      counts = [0, 0]; // The other side has the ball now
+    }
+    const isDoubleHit = slimeId === lastSlimeId;
+
+    counts[teamNumber - 1]++;
+    lastSlimeId = slimeId;
+    lastTeam = teamNumber;
+    lastContactTick = tick;
+    emitCounts();
+
+    let reason = null;
+    if (isDoubleHit) {
+      reason = TOUCH_FAULTS.DOUBLE_HIT;
+    } else if (counts[teamNumber - 1] > maxTouches) {
+      reason = TOUCH_FAULTS.TOO_MANY_TOUCHES;
+    }
+    if (!reason) return null;
+
+    isFaulted = true;
+    const fault = { team: teamNumber, scoringTeam: teamNumber === 1 ? 2 : 1, reason };
+    console.log(`Touch rules: team ${teamNumber} fault (${reason})`);
+    touchFaultEvent.emit(fault);
+    return fault;
+  };
+
+  /**
+   * Starts the count over after the ball crossed the net
+   */
+  const crossNet = () => {
+    if (isFaulted) return;
+
+    counts = [0, 0];
+    lastSlimeId = null;
+    lastTeam = 0;
+    lastContactTick = -Infinity;
+    emitCounts();
+  };
+
+  /**
+   * Clears everything for a new rally
+   */
+  const reset = () => {
+    isFaulted = false;
+    crossNet();
+  };
+
+  return {
+    get counts() { return [...counts]; },
+    maxTouches,
+
+    recordTouch,
+    crossNet,
+    reset
+  };
+}
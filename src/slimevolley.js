@@ -1,31 +1,69 @@
-import { Slime } from './game/slime.js';
+import { Slime, slimeEffectEvent } from './game/slime.js';
 import { Ball } from './game/ball.js'; // Core Ball logic
 // Import config consistently
-import { dimensions as configDimensions, physics as configPhysics, rules as configRules, teams as configTeams } from '../config.js';
+import { dimensions as configDimensions, physics as configPhysics, rules as configRules, teams as configTeams, netplay as configNetplay, ai as configAI, gamepad as configGamepad } from '../config.js';
 import {
   handleKeyDown,
   handleKeyUp,
   initializeKeyConfigs,
   setupPlayerKeys,
+  createPlayerEvents,
+  isKeyBindingActive,
   addBallEvent // Listen for event to add extra balls
 } from './core/inputManager.js';
-import { Game, WaitingGame } from './game/game.js'; // Game state machine logic
+import { Game, WaitingGame, playAgainEvent, serveClockEvent } from './game/game.js'; // Game state machine logic
+import { AIController, AI_DIFFICULTIES } from './game/aiController.js';
 import { Event, events } from './core/events.js';
+import { GameLoop, msToTicks } from './core/gameLoop.js';
+import { Simulation } from './core/simulation.js';
+import { ReplayRecorder, ReplayPlayer, parseReplay } from './core/replay.js';
+import { RollbackSession, InputTracker, emitInputChanges } from './core/rollback.js';
+import { NetClient } from './core/netClient.js';
+import {
+  pollGamepads,
+  bindGamepad,
+  unbindAllGamepads,
+  gamepadJoinEvent,
+  gamepadButtonEvent
+} from './core/gamepadManager.js';
+import { Renderer } from './ui/renderer.js';
+import {
+  createSaveReplayButton,
+  createLoadReplayButton,
+  createReplayControls,
+  downloadReplay
+} from './ui/replayControls.js';
+import { createOnlineLobby, createOnlineMessage } from './ui/onlineLobby.js';
+import { createTouchControls } from './ui/touchControls.js';
+import { createPauseMenu } from './ui/pauseMenu.js';
+import { isCoarsePointer, addPointerTypeListener } from './utils/responsive.js';
+import { AnimationRunner } from './utils/animations.js';
 import {
   createAddPlayerButton,
+  createAddCpuButton,
   createTeamHeaders,
   createWall,
   createScoreBoard,
+  updateScoreBoard,
+  createTouchCounters,
+  updateTouchCounters,
+  showTouchFault,
+  createServeClock,
+  updateServeClock,
+  createSeedInput,
+  createMatchOptions,
+  createSeedDisplay,
   waitingScreen,
   createGround
 } from './ui/graphics.js'; // General UI elements
-import { createBallElement } from './ui/ballGraphics.js'; // Specific Ball graphics element creation
+import { setSlimeHighlight } from './ui/slimeGraphics.js';
 import {
   // Import gameState itself to check its properties
-  gameState, GAME_STATES, stateChangeEvent, teamChangeEvent,
+  gameState, GAME_STATES, stateChangeEvent, teamChangeEvent, scoreChangeEvent, roundStartEvent, countdownEndEvent,
   addPlayer as addPlayerToState, // Alias gameState function
   updatePlayerTeam, canStartGame, setGamePlaying, setGameSetup,
-  resetGameState, setGameState
+  resetGameState, setGameState, setActiveCountdown,
+  pauseGame, resumeGame
 } from './core/gameState.js'; // Central game state management
 import {
   createAndAddStartButton,
@@ -36,17 +74,12 @@ import {
   addBall as addExtraBall, // Alias ballManager function
   setMainBall,
   getMainBall,
-  updateBalls, // Use ballManager update
-  renderBalls, // Use ballManager render
   cleanupExtraBalls,
   cleanupAllBalls
 } from './game/ballManager.js'; // Ball collection management
-import {
-  registerNet,
-  registerGround as registerGroundInRegistry, // Alias registry function
-  unregisterNet,
-  clearRegistry
-} from './core/objectRegistry.js'; // Track ground/net objects
+import { setSeed, getSeed, generateSeed, random } from './utils/random.js'; // Seeded gameplay randomness
+import { recordRallyHit } from './core/matchStore.js';
+import { TouchRules, touchCountEvent, touchFaultEvent } from './game/touchRules.js';
 
 /**
  * Main game controller and initialization.
@@ -62,25 +95,59 @@ if (!gameContainer) {
   throw new Error("Fatal Error: #main game container not found in DOM.");
 }
 
-// Game loop and timing
-let animationFrameId = null;
+// Fixed-timestep game loop (update/render are hoisted function declarations)
+const gameLoop = GameLoop({ update, render });
 
 // Game entities and state
 const field = { width: 0, height: 0 };
-let slimes = []; // Holds Slime instances
+const simulation = Simulation(field); // Owns slimes, balls, net and ground
+const renderer = Renderer(simulation, gameContainer); // Creates DOM for simulated entities
+const animationRunner = AnimationRunner(); // Advances visual effects once per tick
+const slimes = simulation.slimes; // Live view of the simulated Slime instances
 let mainBall = null; // Holds main Ball instance
 let gameInstance = null; // Holds Game instance
 let scoreBoardElements = null;
+let scoreSubscription = null; // mainBall.scoredEvent handle, dropped on teardown
+let hitSubscription = null; // mainBall.hitSlimeEvent handle, dropped on teardown
+let crossSubscription = null; // mainBall.crossedNetEvent handle, dropped on teardown
+let serveKeySubscriptions = []; // Players' servePress handles, dropped on teardown
+let serveClockElement = null;
+let touchRules = null; // Touch limit / double hit tracker (null when the rules are off)
+let touchCounterElements = null;
+let aiControllers = []; // Drive the computer players of a live match
+
+// Replay state
+let replayRecorder = null; // Records the live match
+let replayPlayer = null; // Set while a loaded replay is playing
+
+// Online state
+let netClient = null; // Connection to the relay server
+let netSession = null; // RollbackSession while an online match runs
+let localInput = null; // Samples the local keyboard player each tick
+let localSlot = -1; // Our player index in the online match (0 hosts)
+let onlineLobby = null;
+
+// Pause menu element while a local match is paused
+let pauseMenu = null;
+
+// Touch controls for the local players, shown when the pointer is coarse
+let touchControls = null;
+let touchPlayers = []; // { keys, playerIndex } of players the overlay drives
 
 // Player setup state
 const playersData = [];
 let playersArea = null;
+let seedInput = null;
+// Options picked on the setup screen; replays carry their own
+const matchOptions = {
+  teammateCollisions: configRules.TEAMMATE_COLLISIONS
+};
 let initializedKeyConfigs = [];
 let startButton = null;
 
-// Scoring cooldown
-let lastScoreTime = 0;
-const SCORING_COOLDOWN = configRules.SCORING_COOLDOWN; // Use imported configRules
+// Scoring cooldown, counted in simulation ticks so replays score identically
+let lastScoreTick = -Infinity;
+const SCORING_COOLDOWN_TICKS = msToTicks(configRules.SCORING_COOLDOWN); // Use imported configRules
 
 // --- Initialization and Setup ---
 
@@ -88,8 +155,7 @@ const SCORING_COOLDOWN = configRules.SCORING_COOLDOWN; // Use imported configRul
 const initStartScreen = () => {
   console.log("Initializing start screen...");
   resetGameState();
-  clearRegistry();
-  cleanupAllBalls();
+  simulation.clear();
 
   document.addEventListener('keydown', addPlayerKeyHandler);
   startEventListeners();
@@ -102,7 +168,7 @@ const initStartScreen = () => {
 
   updateFieldDimensions(); // Update field dims based on container
 
-  initBallManager(gameContainer, field); // Init manager
+  initBallManager(simulation); // Init manager
 
   // Create setup UI
   const teamHeaders = createTeamHeaders();
@@ -110,17 +176,26 @@ const initStartScreen = () => {
   playersArea = document.createElement('div');
   playersArea.classList.add('playersArea');
   gameContainer.appendChild(playersArea);
+  const seedField = createSeedInput();
+  seedInput = seedField.input;
+  gameContainer.appendChild(seedField.container);
+  gameContainer.appendChild(createMatchOptions({
+    teammateCollisions: matchOptions.teammateCollisions,
+    onTeammateCollisionsChange: (enabled) => { matchOptions.teammateCollisions = enabled; }
+  }));
   startButton = createAndAddStartButton(gameContainer, startGame);
   const addPlayerBtn = createAddPlayerButton(addPlayerToGame);
   gameContainer.appendChild(addPlayerBtn);
+  gameContainer.appendChild(createAddCpuButton(addCpuToGame));
+  gameContainer.appendChild(createLoadReplayButton(loadReplay));
+  onlineLobby = createOnlineLobby({ defaultServer: defaultRelayUrl(), onJoin: joinOnline });
+  gameContainer.appendChild(onlineLobby.container);
 
   if (playersData.length === 0) {
     addPlayerToGame(); // Add first player
   }
 
-  if (!animationFrameId) {
-    gameLoop(); // Start game loop
-  }
+  gameLoop.start(); // No-op if already running
   console.log("Start screen initialized.");
 };
 
@@ -134,13 +209,15 @@ const startEventListeners = () => {
 
 /** Key handler specifically for adding players during setup ('B' key). */
 const addPlayerKeyHandler = (event) => {
+  if (event.target?.tagName === 'INPUT') return; // Typing a seed
+  if (isKeyBindingActive()) return; // The key is being bound to a control
   if (event.code === 'KeyB') {
     event.preventDefault();
     addPlayerToGame();
   }
 };
 
-/** Adds a new player to the setup screen and game state. */
+/** Adds a new keyboard player to the setup screen and game state. */
 const addPlayerToGame = () => {
   if (playersData.length >= configRules.MAX_PLAYERS) { // Use configRules
     console.log("Max players reached.");
@@ -148,25 +225,86 @@ const addPlayerToGame = () => {
   }
 
   const playerIndex = playersData.length;
-  const playerNumber = playerIndex + 1;
-
   const playerKeyConfig = initializedKeyConfigs[playerIndex] || initializedKeyConfigs[0];
   if (!playerKeyConfig) { console.error("Key config missing"); return; }
 
-  const keyHandlers = setupPlayerKeys(playerKeyConfig, playerIndex);
+  const newPlayerData = addSetupPlayer({
+    team: 0,
+    keys: setupPlayerKeys(playerKeyConfig, playerIndex),
+    keyConfig: playerKeyConfig
+  });
+  setTouchPlayers([...touchPlayers, newPlayerData]);
+};
+
+/**
+ * Adds a player driven by a gamepad that pressed a join button on the setup screen.
+ * @param {Object} data - Join data ({ gamepadIndex })
+ */
+const addGamepadPlayerToGame = ({ gamepadIndex }) => {
+  if (gameInstance || replayPlayer || netSession) return; // Only on the setup screen
+  if (playersData.length >= configRules.MAX_PLAYERS) {
+    console.log("Max players reached.");
+    return;
+  }
+
+  const playerIndex = playersData.length;
+  const newPlayerData = addSetupPlayer({
+    team: 0,
+    keys: createPlayerEvents(`gamepad_player_${playerIndex}`, playerIndex),
+    keyConfig: { gamepad: gamepadIndex }
+  });
+  newPlayerData.gamepadIndex = gamepadIndex;
+  bindGamepad(gamepadIndex, newPlayerData.keys);
+};
+
+/** Adds a computer player, on the team with fewer players. */
+const addCpuToGame = () => {
+  if (playersData.length >= configRules.MAX_PLAYERS) {
+    console.log("Max players reached.");
+    return;
+  }
+
+  const playerIndex = playersData.length;
+  const team = gameState.teams.team2Count <= gameState.teams.team1Count ? 2 : 1;
+  const newPlayerData = addSetupPlayer({
+    team,
+    keys: createPlayerEvents(`cpu_player_${playerIndex}`, playerIndex), // Emitted by its AIController
+    cpu: {
+      difficulties: AI_DIFFICULTIES,
+      difficulty: configAI.DEFAULT_DIFFICULTY,
+      onDifficultyChange: (difficulty) => { newPlayerData.difficulty = difficulty; }
+    }
+  });
+};
+
+/**
+ * Creates a player's setup card and setup slime, and registers the player.
+ * @param {Object} options - Player options
+ * @param {number} options.team - Initial team (0 = unassigned)
+ * @param {Object} options.keys - PlayerEvents driving the slime
+ * @param {Object} [options.keyConfig] - Key bindings shown on the card, or { gamepad } for gamepad players
+ * @param {Object} [options.cpu] - Difficulty selector options (computer players, see waitingScreen)
+ * @returns {Object} The new playersData entry
+ */
+const addSetupPlayer = ({ team, keys, keyConfig, cpu }) => {
+  const playerIndex = playersData.length;
+  const playerNumber = playerIndex + 1;
 
   const newPlayerData = {
-    team: 0, keys: keyHandlers,
-    appearance: { color: '#888888' },
+    team: 0, keys, // Assigned below so the team counts include it
+    appearance: { color: teamColor(team) },
     dimensions: { radius: configDimensions.SLIME_RADIUS }, // Use configDimensions
-    playerIndex: playerIndex
+    playerIndex: playerIndex,
+    isCpu: Boolean(cpu),
+    difficulty: cpu?.difficulty
   };
   playersData.push(newPlayerData);
   addPlayerToState(newPlayerData);
+  updatePlayerTeam(playerIndex, team);
 
   // Create the UI card for player setup
   const waitingGameController = WaitingGame(
-    playerNumber, 0, playerKeyConfig, playerIndex
+    playerNumber, team, keyConfig, playerIndex, cpu
   );
 
   // Create the Slime instance for this player
@@ -183,26 +321,38 @@ const addPlayerToGame = () => {
 
   // Create Slime logic instance
   const newSlime = Slime(
-    0, playerIndex,
+    team, playerIndex,
     { x: startX, y: startY }, // Pass corrected startY
     newPlayerData.appearance,
     newPlayerData.dimensions,
     slimeConstraints, // Pass defined constraints
     waitingGameController,
-    keyHandlers
+    keys
   );
-  slimes.push(newSlime); // Add slime instance to array
+  simulation.addSlime(newSlime); // Simulated from now on, renderer attaches its element
 
   // Subscribe to team changes from the WaitingGame card
   waitingGameController.teamSwitchEvent.subscribe((team) => {
     newPlayerData.team = team;
-    newPlayerData.appearance.color = team === 1 ? configTeams.TEAM_1_COLOR : configTeams.TEAM_2_COLOR; // Use configTeams
+    newPlayerData.appearance.color = teamColor(team);
     updatePlayerTeam(playerIndex, team);
     newSlime.actorObject?.updateTeam(team);
   });
 
-  console.log(`Added player ${playerIndex}. Total players: ${playersData.length}.`);
+  console.log(`Added ${newPlayerData.isCpu ? 'CPU ' : ''}player ${playerIndex}. Total players: ${playersData.length}.`);
   updateStartButtonVisibility();
+  return newPlayerData;
+};
+
+/**
+ * Slime color for a team; unassigned players are grey.
+ * @param {number} team - Team number (0, 1 or 2)
+ * @returns {string} CSS color
+ */
+const teamColor = (team) => {
+  if (team === 1) return configTeams.TEAM_1_COLOR;
+  if (team === 2) return configTeams.TEAM_2_COLOR;
+  return '#888888';
 };
 
 /** Transitions from player setup to the main game. */
@@ -217,15 +367,434 @@ const startGame = () => {
   setGameSetup(false);
 
   document.removeEventListener('keydown', addPlayerKeyHandler);
-  document.querySelectorAll('.teamHeadersContainer, .addPlayerButton, .playerContainer')
+  document.querySelectorAll('.teamHeadersContainer, .addPlayerButton, .addCpuButton, .playerContainer, .seedInputContainer, .matchOptionsContainer, .loadReplayButton, .onlineLobby')
     .forEach(el => el.style.display = 'none');
 
-  initGame(); // Initialize main game components
+  startLiveMatch();
+  gameContainer.appendChild(createSaveReplayButton(saveReplay));
+};
+
+/**
+ * Starts a local match with the current roster: computer players and
+ * input recording included. Used for the first match and for restarts.
+ */
+const startLiveMatch = () => {
+  // Seed all gameplay randomness before anything random happens
+  const seedText = seedInput?.value.trim();
+  const seed = setSeed(seedText ? seedText : generateSeed());
+  console.log(`Match seed: ${seed}`);
+
+  startMatch(seed); // Initialize main game components
+
+  // Computer players get their own random stream, derived from the match seed
+  aiControllers = playersData
+    .filter(playerData => playerData.isCpu)
+    .map(playerData => AIController({
+      slime: slimes.find(slime => slime.playerIndex === playerData.playerIndex),
+      keys: playerData.keys,
+      getBall: getMainBall,
+      field,
+      difficulty: playerData.difficulty,
+      seed: `${seed}_cpu_${playerData.playerIndex}`
+    }));
+
+  // Record every input from here on, stamped with the simulation tick
+  replayRecorder = ReplayRecorder({
+    players: playersData,
+    getTick: () => simulation.tick,
+    matchEvents: { addBall: addBallEvent, playAgain: playAgainEvent }
+  });
+  replayRecorder.start();
+};
+
+// --- Pause ---
+
+/**
+ * Checks whether the running match can be paused. Online matches keep
+ * running on the other peer and replays have their own controls.
+ * @returns {boolean} True during a local match
+ */
+const canPause = () => Boolean(gameInstance) && !netSession && !replayPlayer;
+
+/** Freezes the match (simulation, round timers, computer players) and shows the pause menu. */
+const pauseMatch = () => {
+  if (!canPause() || !pauseGame().success) return;
+
+  pauseMenu = createPauseMenu({
+    onResume: resumeMatch,
+    onRestart: restartMatch,
+    onQuit: () => window.location.reload(), // Back to a fresh setup screen, like leaving a replay
+    keyboardPlayers: playersData
+      .filter(playerData => !playerData.isCpu && playerData.gamepadIndex === undefined)
+      .map(({ playerIndex }) => ({
+        playerIndex,
+        keyConfig: initializedKeyConfigs[playerIndex] || initializedKeyConfigs[0]
+      }))
+  });
+  gameContainer.appendChild(pauseMenu);
+  console.log("Match paused.");
+};
+
+/** Hides the pause menu and lets the match run again. */
+const resumeMatch = () => {
+  if (!gameState.isPaused) return;
+
+  pauseMenu?.remove();
+  pauseMenu = null;
+  resumeGame();
+  console.log("Match resumed.");
+};
+
+/** Starts the match over with the same players. */
+const restartMatch = () => {
+  resumeMatch();
+  replayRecorder?.stop();
+  teardownMatch();
+  startLiveMatch();
+  console.log("Match restarted.");
+};
+
+/** Pauses or resumes the match. */
+const togglePause = () => {
+  if (gameState.isPaused) {
+    resumeMatch();
+  } else {
+    pauseMatch();
+  }
+};
+
+/**
+ * Escape pauses and resumes (unless a key is being rebound).
+ * @param {KeyboardEvent} event - Key event
+ */
+const pauseKeyHandler = (event) => {
+  if (event.code !== 'Escape' || isKeyBindingActive()) return;
+  event.preventDefault();
+  togglePause();
+};
+
+/** Downloads the inputs recorded so far as a replay file. */
+const saveReplay = () => {
+  if (!replayRecorder) return;
+
+  const replay = replayRecorder.getReplay({ seed: getSeed(), field, options: matchOptions });
+  console.log(`Saving replay: ${replay.inputs.length} inputs over ${replay.duration} ticks.`);
+  downloadReplay(replay);
+};
+
+/**
+ * Loads a replay file from the setup screen and plays it back.
+ * @param {string} text - Replay file contents
+ */
+const loadReplay = (text) => {
+  const replay = parseReplay(text);
+  if (!replay) return;
+
+  console.log(`Loading replay: seed ${replay.seed}, ${replay.duration} ticks.`);
+  startReplay(replay);
+};
+
+/**
+ * Swaps the setup screen for replay playback. Live keyboard input is muted;
+ * the recorded inputs are fed through the same player events instead.
+ * @param {Object} replay - Parsed replay data
+ */
+const startReplay = (replay) => {
+  document.removeEventListener('keydown', handleKeyDown);
+  document.removeEventListener('keyup', handleKeyUp);
+  unbindAllGamepads();
+  setTouchPlayers([]);
+
+  // Play back on the recorded field size so positions match
+  leaveSetupScreen(replay.field, 'replayMode');
+
+  playersData.length = 0;
+  replay.players.forEach(({ playerIndex, team }) => {
+    const playerKeyConfig = initializedKeyConfigs[playerIndex] || initializedKeyConfigs[0];
+    playersData.push({
+      team,
+      keys: setupPlayerKeys(playerKeyConfig, playerIndex),
+      appearance: { color: team === 1 ? configTeams.TEAM_1_COLOR : configTeams.TEAM_2_COLOR },
+      dimensions: { radius: configDimensions.SLIME_RADIUS },
+      playerIndex
+    });
+  });
+
+  // Replays from before match options existed played with the config defaults
+  matchOptions.teammateCollisions = replay.options?.teammateCollisions ?? configRules.TEAMMATE_COLLISIONS;
+
+  setGamePlaying(true);
+  setGameSetup(false);
+  startMatch(replay.seed);
+
+  replayPlayer = ReplayPlayer(replay, {
+    emitInput: applyReplayInput,
+    step: tickMatch,
+    rebuild: () => {
+      teardownMatch();
+      startMatch(replay.seed);
+    }
+  });
+  gameContainer.appendChild(createReplayControls(replayPlayer, {
+    onExit: () => window.location.reload()
+  }));
+  replayPlayer.play();
+};
+
+/**
+ * Removes the setup screen and its slimes, and fixes the field to a given size.
+ * Replays and online matches must run on the exact field they were played on.
+ * @param {{width: number, height: number}} matchField - Field size to use
+ * @param {string} modeClass - Class added to the container (e.g. 'replayMode')
+ */
+const leaveSetupScreen = (matchField, modeClass) => {
+  document.removeEventListener('keydown', addPlayerKeyHandler);
+
+  slimes.forEach(slime => slime.destroy());
+  simulation.clear();
+  while (gameContainer.firstChild) {
+    gameContainer.removeChild(gameContainer.firstChild);
+  }
+
+  gameContainer.style.width = `${matchField.width}px`;
+  gameContainer.style.height = `${matchField.height}px`;
+  gameContainer.classList.add(modeClass);
+  updateFieldDimensions();
+};
+
+/**
+ * Sets the players driven by the touch overlay and rebuilds it.
+ * The overlay is only shown while the primary pointer is coarse.
+ * @param {Array<Object>} players - Local players ({ keys, playerIndex })
+ */
+const setTouchPlayers = (players) => {
+  touchPlayers = players;
+  touchControls?.destroy();
+  touchControls = null;
+
+  if (touchPlayers.length === 0 || !isCoarsePointer()) return;
+  touchControls = createTouchControls(touchPlayers);
+  gameContainer.appendChild(touchControls.container);
+};
+
+/**
+ * Relay address offered by default: the server the page came from,
+ * or a local relay when the page was opened from disk.
+ * @returns {string} WebSocket URL
+ */
+const defaultRelayUrl = () => {
+  const { protocol, host } = window.location;
+  if (protocol === 'http:' || protocol === 'https:') {
+    return `${protocol === 'https:' ? 'wss' : 'ws'}://${host}`;
+  }
+  return `ws://localhost:${configNetplay.RELAY_PORT}`;
+};
+
+/**
+ * Connects to a relay and joins a room.
+ * @param {string} serverUrl - Relay WebSocket URL
+ * @param {string} room - Room code shared with the opponent
+ */
+const joinOnline = (serverUrl, room) => {
+  netClient?.close();
+  netClient = NetClient(serverUrl);
+  onlineLobby.setStatus('Connecting...', true);
+
+  netClient.openEvent.subscribe(() => netClient.join(room));
+  netClient.messageEvent.subscribe(handleNetMessage);
+  netClient.closeEvent.subscribe(() => {
+    if (netSession) {
+      gameContainer.appendChild(createOnlineMessage('CONNECTION LOST'));
+    } else {
+      onlineLobby.setStatus('Disconnected');
+    }
+  });
+};
+
+/**
+ * Handles a message from the relay or the opponent.
+ * @param {Object} message - Parsed message with a `type`
+ */
+const handleNetMessage = (message) => {
+  switch (message.type) {
+    case 'joined':
+      localSlot = message.slot;
+      onlineLobby.setStatus(`Room ${message.room}: waiting for opponent...`, true);
+      break;
+
+    case 'peer_joined':
+      // Player one hosts: picks the seed and the field size
+      if (localSlot === 0 && !netSession) {
+        const matchStart = { type: 'start', seed: generateSeed(), field: { width: field.width, height: field.height } };
+        netClient.send(matchStart);
+        startOnlineMatch(matchStart);
+      }
+      break;
+
+    case 'start':
+      if (!netSession) startOnlineMatch(message);
+      break;
+
+    case 'input':
+      netSession?.receiveInput(1 - localSlot, message);
+      break;
+
+    case 'peer_left':
+      if (netSession) {
+        gameContainer.appendChild(createOnlineMessage('OPPONENT LEFT'));
+      } else {
+        onlineLobby.setStatus('Opponent left, waiting...', true);
+      }
+      break;
+
+    case 'error':
+      onlineLobby.setStatus(message.reason === 'room_full' ? 'Room is full' : 'Could not join room');
+      netClient.close();
+      break;
+
+    default:
+      console.warn(`Unknown online message type: ${message.type}`);
+  }
+};
+
+/**
+ * Starts a two-player online match. Both peers simulate it; slimes are driven by
+ * network player events that the rollback session feeds from exchanged inputs.
+ * @param {Object} matchStart - Start message { seed, field }
+ */
+const startOnlineMatch = ({ seed, field: matchField }) => {
+  console.log(`Starting online match as player ${localSlot + 1}, seed ${seed}.`);
+  leaveSetupScreen(matchField, 'onlineMode');
+  unbindAllGamepads(); // Only the local keyboard is sampled online
+
+  playersData.length = 0;
+  [1, 2].forEach((team, playerIndex) => {
+    playersData.push({
+      team,
+      keys: createPlayerEvents(`net_player_${playerIndex}`, playerIndex),
+      appearance: { color: team === 1 ? configTeams.TEAM_1_COLOR : configTeams.TEAM_2_COLOR },
+      dimensions: { radius: configDimensions.SLIME_RADIUS },
+      playerIndex
+    });
+  });
+
+  // The local keyboard (player one's keys) is sampled once per tick instead of driving a slime
+  const localKeys = setupPlayerKeys(initializedKeyConfigs[0], 0);
+  localInput = InputTracker(localKeys);
+  setTouchPlayers([{ keys: localKeys, playerIndex: localSlot }]);
+
+  setGamePlaying(true);
+  setGameSetup(false);
+  startMatch(seed);
+
+  netSession = RollbackSession({
+    playerCount: playersData.length,
+    localPlayer: localSlot,
+    hooks: {
+      saveState: simulation.saveState,
+      loadState: simulation.loadState,
+      applyInput: (player, previousBits, bits) => emitInputChanges(playersData[player].keys, previousBits, bits),
+      step: (tick, isConfirmed) => {
+        if (isConfirmed) gameInstance?.update(); // Round flow only runs on final ticks
+        simulation.step();
+      },
+      sendInput: (input) => netClient.send({ type: 'input', ...input }),
+      hasPendingFlow: () => Boolean(gameInstance?.hasPendingTimers)
+    }
+  });
+};
+
+/**
+ * Applies one recorded input to the match.
+ * @param {Object} input - Replay input ({ tick, player, event, value })
+ */
+const applyReplayInput = ({ player, event, value }) => {
+  if (player === null) {
+    if (event === 'addBall') {
+      addBallEvent.emit();
+    } else if (event === 'playAgain') {
+      gameInstance?.resetGame();
+    }
+    return;
+  }
+
+  const playerData = playersData.find(p => p.playerIndex === player);
+  playerData?.keys[event]?.emit(value);
 };
 
 
 // --- Main Game Initialization ---
 
+/**
+ * Seeds the generator and builds a fresh match. Live play and replays
+ * (including scrubbing back) start from exactly this state.
+ * @param {number} seed - Match seed
+ */
+function startMatch(seed) {
+  setSeed(seed);
+  lastScoreTick = -Infinity;
+  initGame();
+}
+
+/** Removes the current match: entities, match UI and pending timers. The game goes back to SETUP. */
+function teardownMatch() {
+  aiControllers.forEach(controller => controller.destroy());
+  aiControllers = [];
+  scoreSubscription?.unsubscribe();
+  scoreSubscription = null;
+  hitSubscription?.unsubscribe();
+  hitSubscription = null;
+  crossSubscription?.unsubscribe();
+  crossSubscription = null;
+  serveKeySubscriptions.forEach(subscription => subscription.unsubscribe());
+  serveKeySubscriptions = [];
+  serveClockElement = null;
+  touchRules = null;
+  touchCounterElements = null;
+  scoreBoardElements = null;
+  gameInstance = null;
+  mainBall = null;
+
+  cleanupAllBalls();
+  [...slimes].forEach(slime => {
+    simulation.removeSlime(slime);
+    slime.destroy();
+  });
+  animationRunner.clear();
+
+  gameContainer.querySelectorAll('.scoreBoard, .touchCounters, .serveClock, .slimeTrail, .seedDisplay, .countdownContainer, .gameOverScreen, #ground, #wall')
+    .forEach(el => el.remove());
+  setActiveCountdown(null);
+  if (gameState.currentState !== GAME_STATES.SETUP) setGameState(GAME_STATES.SETUP);
+}
+
+/**
+ * Creates the gameplay Slime for a player. Setup-screen slimes are replaced
+ * so every match starts from the same state.
+ * @param {Object} playerData - Player entry from playersData
+ * @param {number} groundPosition - Ground Y coordinate
+ * @returns {Object} Slime instance
+ */
+function createMatchSlime(playerData, groundPosition) {
+  const slimeConstraints = {
+    rightBoundry: field.width,
+    leftBoundry: 0,
+    ground: groundPosition,
+    maxVelocity: configPhysics.MAX_VELOCITY * 1.2
+  };
+  const startX = playerData.team === 1 ? field.width / 4 : (field.width * 3) / 4;
+
+  return Slime(
+    playerData.team, playerData.playerIndex,
+    { x: startX, y: groundPosition },
+    playerData.appearance,
+    playerData.dimensions,
+    slimeConstraints,
+    {}, // No setup card during a match
+    playerData.keys
+  );
+}
+
 /** Sets up the main game screen, entities, and logic. */
 function initGame() {
   console.log("Initializing main game...");
@@ -234,14 +803,25 @@ function initGame() {
   // Create Score Board
   scoreBoardElements = createScoreBoard();
   gameContainer.appendChild(scoreBoardElements.container);
+  gameContainer.appendChild(createSeedDisplay(getSeed()));
+
+  // Optional touch rules, counted on screen above each side
+  if (configRules.TOUCH_RULES_ENABLED) {
+    touchRules = TouchRules();
+    touchCounterElements = createTouchCounters();
+    gameContainer.appendChild(touchCounterElements.container);
+  }
+
+  // Serve clock, shown while the server has to put the ball in play
+  serveClockElement = createServeClock();
+  gameContainer.appendChild(serveClockElement);
 
   // Create Ground & Register
   const groundElement = createGround();
   gameContainer.appendChild(groundElement);
   const groundHeight = groundElement.offsetHeight || 40;
   const groundPosition = field.height - groundHeight;
-  clearRegistry();
-  registerGroundInRegistry({ height: groundPosition, element: groundElement });
+  simulation.setGround(groundPosition);
   console.log(`Registered ground at ${groundPosition}`);
 
   // Create Wall/Net & Register
@@ -249,15 +829,12 @@ function initGame() {
   gameContainer.appendChild(wallElement);
   const netWidth = wallElement.offsetWidth || field.width * configDimensions.NET_WIDTH_PERCENT; // Use configDimensions
   const netHeight = wallElement.offsetHeight || field.height * configDimensions.NET_HEIGHT_PERCENT; // Use configDimensions
-  registerNet({
-    position: field.width / 2, width: netWidth, height: netHeight, element: wallElement
-  });
+  simulation.setNet({ position: field.width / 2, width: netWidth, height: netHeight });
   console.log("Registered net.");
+  simulation.setTeammateCollisions(matchOptions.teammateCollisions);
 
   // --- Create Main Ball ---
   const ballConfigDims = { radius: configDimensions.BALL_RADIUS }; // Use configDimensions
-  const { element: ballElement } = createBallElement(field, ballConfigDims);
-  gameContainer.appendChild(ballElement);
   const ballConstraints = {
     rightBoundry: field.width, leftBoundry: 0, ground: groundPosition, maxVelocity: 105
   };
@@ -266,38 +843,42 @@ function initGame() {
     initialBallPosition, ballConfigDims, ballConstraints, field,
     { canBounceOnGround: false } // Main scoring ball doesn't bounce
   );
-  ballLogic.setElement(ballElement);
-  setMainBall(ballLogic); // Register in ballManager
+  setMainBall(ballLogic); // Register in ballManager (and the simulation)
   mainBall = ballLogic; // Keep local reference
   console.log("Main ball created.");
 
   // Subscribe to the Ball's scoredEvent
   if (mainBall?.scoredEvent) {
-    mainBall.scoredEvent.subscribe(handleScore);
+    scoreSubscription = mainBall.scoredEvent.subscribe(handleScore);
+    hitSubscription = mainBall.hitSlimeEvent.subscribe(handleBallHit);
+    crossSubscription = mainBall.crossedNetEvent.subscribe(handleNetCross);
     console.log("Subscribed to mainBall scoredEvent.");
   } else {
     console.error("Failed to subscribe to mainBall scoredEvent!");
   }
 
-  // Update Slime Constraints and Team for Gameplay
-  slimes.forEach(slime => {
-    const playerData = playersData.find(p => p.playerIndex === slime.playerIndex);
-    if (!playerData || !slime.actorObject) return;
-
-    slime.actorObject.updateTeam(playerData.team);
-    slime.actorObject.ground = groundPosition;
-    console.log(`Slime ${slime.playerIndex} team set to ${playerData.team}, ground updated.`);
+  // Replace setup slimes with fresh gameplay slimes
+  [...slimes].forEach(slime => {
+    simulation.removeSlime(slime);
+    slime.destroy();
+  });
+  playersData.forEach(playerData => {
+    simulation.addSlime(createMatchSlime(playerData, groundPosition));
+    console.log(`Slime ${playerData.playerIndex} created for team ${playerData.team}.`);
   });
 
+  // The serve key tosses the ball while serving
+  serveKeySubscriptions = playersData.map(playerData =>
+    playerData.keys.servePress.subscribe(() => handleServeKey(playerData.playerIndex)));
+
   // Create Game State Machine Instance
   gameInstance = Game(); // From game.js
   // Ensure gameInstance has access to necessary data (like score array reference)
-  gameInstance.init(playersData, field, slimes, mainBall);
-  updateScoreDisplay(gameInstance.points); // Initialize score display from gameInstance
+  gameInstance.init(playersData, field, slimes, mainBall); // Resets the match store, which fills the score board
   console.log("Game instance created.");
 
   // Start the first round
-  const servingTeam = Math.random() < 0.5 ? 1 : 2;
+  const servingTeam = random() < 0.5 ? 1 : 2;
   gameInstance.newRound(servingTeam);
   console.log(`Starting first round, team ${servingTeam} serving.`);
 }
@@ -306,33 +887,112 @@ function initGame() {
 
 /** Handles score events emitted by the main Ball object. */
 const handleScore = (scoreData) => {
-  const currentTime = Date.now();
-  if (currentTime - lastScoreTime < SCORING_COOLDOWN) {
-    console.log("Score event ignored - cooldown active.");
+  if (netSession?.isPredicting) {
+    netSession.requestFlow(); // Counted once the tick is confirmed
     return;
   }
-  lastScoreTime = currentTime;
-
   console.log(`Score detected for team ${scoreData.scoringSide}!`);
-  setGameState(GAME_STATES.SCORING);
+  awardRally(scoreData.scoringSide);
+};
+
+/**
+ * Ends the rally in a team's favour, unless a point was scored just before.
+ * @param {number} scoringTeam - Team that wins the rally (1 or 2)
+ */
+const awardRally = (scoringTeam) => {
+  if (simulation.tick - lastScoreTick < SCORING_COOLDOWN_TICKS) {
+    console.log("Score event ignored - cooldown active.");
+    return;
+  }
+  lastScoreTick = simulation.tick;
 
   if (gameInstance) {
-    const isGameOver = gameInstance.incrementScore(scoreData.scoringSide); // Increment score in game state
-    updateScoreDisplay(gameInstance.points); // Update UI with new score from game instance
-    gameInstance.endRound(scoreData.scoringSide); // Let game instance handle win check / next round
+    gameInstance.endRound(scoringTeam); // Scores per the scoring system, handles win check / next round
   } else {
     console.error("Cannot handle score - gameInstance is null!");
   }
 };
 
-/** Updates the score display UI based on array [team1, team2]. */
-const updateScoreDisplay = (scoreArray) => {
-  if (scoreBoardElements?.teamOneScore && scoreBoardElements?.teamTwoScore && scoreArray) { // Check elements exist
-    scoreBoardElements.teamOneScore.textContent = scoreArray[0];
-    scoreBoardElements.teamTwoScore.textContent = scoreArray[1];
-  } else {
-    console.warn("Cannot update score display - elements or score array missing.");
+/**
+ * Counts main ball contacts in the match store's rally count and the touch rules.
+ * @param {Object} hitData - Event data from the ball's hitSlimeEvent
+ */
+const handleBallHit = (hitData) => {
+  if (hitData.ball !== mainBall || gameState.currentState !== GAME_STATES.PLAYING) return;
+  if (netSession?.isPredicting) {
+    netSession.requestFlow(); // Counted once the tick is confirmed
+    return;
+  }
+  // Only the server's contact puts a serve in play; anyone else's is a fault
+  if (gameInstance && !gameInstance.touchServe(hitData.slimeId)) return;
+  recordRallyHit(hitData.slimeId, simulation.tick);
+  touchRules?.recordTouch(hitData, simulation.tick); // A fault ends the rally through touchFaultEvent
+};
+
+/**
+ * Lets the serving player toss the ball.
+ * @param {number} playerIndex - Player that pressed the serve key
+ */
+const handleServeKey = (playerIndex) => {
+  if (!gameInstance || gameState.currentState !== GAME_STATES.PLAYING) return;
+  if (netSession?.isPredicting) {
+    netSession.requestFlow(); // Tossed once the tick is confirmed
+    return;
   }
+  gameInstance.tossServe(playerIndex);
+};
+
+/**
+ * Starts the touch count over when the main ball crosses the net.
+ * @param {Object} crossData - Event data from the ball's crossedNetEvent
+ */
+const handleNetCross = (crossData) => {
+  if (!touchRules || crossData.ball !== mainBall || gameState.currentState !== GAME_STATES.PLAYING) return;
+  if (netSession?.isPredicting) {
+    netSession.requestFlow(); // Counted once the tick is confirmed
+    return;
+  }
+  touchRules.crossNet();
+};
+
+/**
+ * Flashes a slime for a special move reported by the simulation.
+ * @param {Object} effectData - Event data from slimeEffectEvent ({ slime, effectType })
+ */
+const handleSlimeEffect = ({ slime, effectType }) => {
+  if (netSession?.isPredicting) {
+    netSession.requestFlow(); // Played once the tick is confirmed
+    return;
+  }
+  slime.playEffect(effectType);
+};
+
+/**
+ * Shows a touch fault and gives the rally to the other team.
+ * @param {Object} fault - Event data from touchFaultEvent ({ team, scoringTeam, reason })
+ */
+const handleTouchFault = ({ team, scoringTeam, reason }) => {
+  if (touchCounterElements) showTouchFault(touchCounterElements, team, reason);
+  awardRally(scoringTeam);
+};
+
+/**
+ * Highlights the serving slime and clears the others.
+ * @param {number|null} server - Player index of the server, or null to clear every highlight
+ */
+const highlightServer = (server) => {
+  slimes.forEach(slime => {
+    if (slime.element) setSlimeHighlight(slime.element, slime.playerIndex === server);
+  });
+};
+
+/**
+ * Renders the score board from the match store, and keeps the touch counters over the right sides.
+ * @param {Object} matchState - State emitted with scoreChangeEvent
+ */
+const renderScoreBoard = (matchState) => {
+  if (scoreBoardElements) updateScoreBoard(scoreBoardElements, matchState);
+  touchCounterElements?.container.classList.toggle('sidesSwitched', matchState.sidesSwitched);
 };
 
 /** Handles window resize events. */
@@ -365,36 +1025,55 @@ function updateFieldDimensions() {
 
 // --- Game Loop ---
 
-/** The main game loop, called recursively via requestAnimationFrame. */
-function gameLoop() {
-  update(); // Update logic
-  render(); // Render state
-  animationFrameId = window.requestAnimationFrame(gameLoop); // Request next frame
-}
-
-/** Stop the game loop */
-function stopGameLoop() {
-  if (animationFrameId) {
-    window.cancelAnimationFrame(animationFrameId);
-    animationFrameId = null;
-    console.log("Game loop stopped.");
+/** Advances by one fixed tick, or lets the replay player drive the match, then advances effects. */
+function update() {
+  pollGamepads(); // Once per tick, so pad input lands on tick boundaries like key events
+  if (gameState.isPaused) return; // Simulation, round timers, computer players and effects all wait
+  if (netSession) {
+    netSession.advance(localInput.bits);
+  } else if (replayPlayer) {
+    replayPlayer.advance();
+  } else {
+    tickMatch();
   }
+  animationRunner.update();
 }
 
-/** Updates game state for one frame. */
-function update() {
-  slimes.forEach((slime) => slime.update?.());
-  updateBalls(slimes); // Updates all balls via manager
+/**
+ * Lets computer players react, runs match timers, then steps the simulation.
+ * Shared by live play and replays (which replay recorded CPU inputs instead).
+ */
+function tickMatch() {
+  aiControllers.forEach(controller => controller.update());
+  gameInstance?.update();
+  simulation.step();
 }
 
-/** Renders all game elements based on current state. */
-function render() {
-  slimes.forEach((slime) => slime.render?.());
-  renderBalls(); // Renders all balls via manager
+/**
+ * Renders all game elements, interpolated between the last two ticks.
+ * @param {number} alpha - Interpolation factor (0-1) supplied by the game loop.
+ */
+function render(alpha) {
+  renderer.render(alpha);
 }
 
 
 // --- Game State Change Subscription ---
+scoreChangeEvent.subscribe(renderScoreBoard);
+roundStartEvent.subscribe(({ server }) => {
+  touchRules?.reset();
+  if (serveClockElement) updateServeClock(serveClockElement, { team: null, secondsLeft: null, isFault: false });
+  highlightServer(server);
+});
+countdownEndEvent.subscribe(() => highlightServer(null));
+touchCountEvent.subscribe(({ counts, maxTouches }) => {
+  if (touchCounterElements) updateTouchCounters(touchCounterElements, counts, maxTouches);
+});
+touchFaultEvent.subscribe(handleTouchFault);
+slimeEffectEvent.subscribe(handleSlimeEffect);
+serveClockEvent.subscribe(clock => {
+  if (serveClockElement) updateServeClock(serveClockElement, clock);
+});
 stateChangeEvent.subscribe((data) => {
   console.log(`GameState changed: ${data.oldState} -> ${data.newState}`);
   if (data.newState === GAME_STATES.GAME_OVER) {
@@ -403,11 +1082,27 @@ stateChangeEvent.subscribe((data) => {
   }
 });
 
+gamepadJoinEvent.subscribe(addGamepadPlayerToGame);
+addPointerTypeListener(() => setTouchPlayers(touchPlayers)); // Show or hide the overlay
+
+document.addEventListener('keydown', pauseKeyHandler);
+gamepadButtonEvent.subscribe(({ button }) => {
+  if (button === configGamepad.START_BUTTON) togglePause();
+});
+document.addEventListener('visibilitychange', () => {
+  if (document.hidden) pauseMatch(); // Nobody is watching: stop instead of playing on unseen
+});
+
 addBallEvent.subscribe(() => {
   console.log('Add ball event received');
   console.log(`Current game state: ${gameState.currentState}`);
 
-  if (gameState.currentState === GAME_STATES.SETUP || gameState.currentState === GAME_STATES.PLAYING) {
+  if (netSession) {
+    console.log("Extra balls are not available online.");
+    return;
+  }
+
+  if ([GAME_STATES.SETUP, GAME_STATES.COUNTDOWN, GAME_STATES.PLAYING].includes(gameState.currentState)) {
     console.log(`State is ${gameState.currentState}, attempting to add extra ball...`);
     addExtraBall(true); // isBouncingBall = true
   } else {
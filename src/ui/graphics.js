@@ -1,5 +1,12 @@
 import { Event } from '../core/events.js';
 import { updatePlayerTeam } from '../core/gameState.js';
+import {
+  listenForKeyPress,
+  updatePlayerKey,
+  isKeyBindingActive,
+  findKeyConflicts,
+  keyBindingsChangeEvent
+} from '../core/inputManager.js';
 import { teams, dimensions } from '../../config.js';
 
 /**
@@ -31,11 +38,15 @@ export function cleanKey(key) {
  * 
  * @param {number} playerNumber - Player number (1-based)
  * @param {number} team - Team number (0=none, 1, 2)
- * @param {Object} keys - Key configuration
+ * @param {Object} keys - Key configuration, or { gamepad } with the index of the player's gamepad
  * @param {number} playerIndex - Player index in the global array
+ * @param {Object} [cpuOptions=null] - Set for computer players: shows a difficulty selector instead of keys
+ * @param {Array<string>} cpuOptions.difficulties - Selectable difficulties in order
+ * @param {string} cpuOptions.difficulty - Initially selected difficulty
+ * @param {Function} cpuOptions.onDifficultyChange - Called with the newly selected difficulty
  * @returns {Object} Screen element and team switch event
  */
-export function waitingScreen(playerNumber, team = 0, keys, playerIndex) {
+export function waitingScreen(playerNumber, team = 0, keys, playerIndex, cpuOptions = null) {
   const teamSwitchEvent = Event(`team_switch_player${playerIndex}`);
 
   // Main player container
@@ -47,7 +58,7 @@ export function waitingScreen(playerNumber, team = 0, keys, playerIndex) {
   // Player name
   const playerLabel = document.createElement('div');
   playerLabel.classList.add('playerLabel');
-  playerLabel.textContent = `P${playerNumber}`;
+  playerLabel.textContent = cpuOptions ? `CPU${playerNumber}` : `P${playerNumber}`;
   container.appendChild(playerLabel);
 
   // Controls with team arrows
@@ -68,8 +79,14 @@ export function waitingScreen(playerNumber, team = 0, keys, playerIndex) {
   const keysContainer = document.createElement('div');
   keysContainer.classList.add('keysContainer');
 
-  // Create a key layout UI
-  createKeyLayout(keysContainer, keys);
+  // Create a key layout UI, or the difficulty selector for computer players
+  if (cpuOptions) {
+    createDifficultySelector(keysContainer, cpuOptions);
+  } else if (keys?.gamepad !== undefined) {
+    createGamepadLabel(keysContainer, keys.gamepad);
+  } else {
+    createKeyLayout(keysContainer, keys, playerIndex);
+  }
 
   // Build structure
   keysPanelContainer.appendChild(keysContainer);
@@ -128,58 +145,138 @@ export function waitingScreen(playerNumber, team = 0, keys, playerIndex) {
   return { screen: container, teamSwitchEvent };
 
   /**
-   * Creates a key layout UI
+   * Shows which gamepad controls the player
+   * 
+   * @param {HTMLElement} container - Container for the label
+   * @param {number} gamepadIndex - Gamepad index
+   */
+  function createGamepadLabel(container, gamepadIndex) {
+    const padLabel = document.createElement('div');
+    padLabel.classList.add('keyButton', 'gamepadLabel');
+    padLabel.textContent = `PAD ${gamepadIndex + 1}`;
+    container.appendChild(padLabel);
+  }
+
+  /**
+   * Creates a button cycling through the computer player's difficulties
    * 
-   * @param {HTMLElement} container - Container for key layout
-   * @param {Object} keyConfig - Key configuration
+   * @param {HTMLElement} container - Container for the selector
+   * @param {Object} options - cpuOptions passed to waitingScreen
    */
-  function createKeyLayout(container, keyConfig) {
-    // Top row (up key)
-    const buttonLineOne = document.createElement('div');
-    buttonLineOne.classList.add('buttonLine');
-
-    // Empty slot for alignment
-    const emptyLeft = document.createElement('div');
-    emptyLeft.classList.add('keySlot');
-
-    const upButton = document.createElement('button');
-    upButton.textContent = cleanKey(keyConfig.up);
-    upButton.classList.add('keyButton');
-
-    // Empty slot for alignment
-    const emptyRight = document.createElement('div');
-    emptyRight.classList.add('keySlot');
-
-    buttonLineOne.appendChild(emptyLeft);
-    buttonLineOne.appendChild(upButton);
-    buttonLineOne.appendChild(emptyRight);
-
-    // Bottom row (left, down, right keys)
-    const buttonLineTwo = document.createElement('div');
-    buttonLineTwo.classList.add('buttonLine');
-
-    const leftButton = document.createElement('button');
-    leftButton.textContent = cleanKey(keyConfig.left);
-    leftButton.classList.add('keyButton');
-
-    const downButton = document.createElement('button');
-    downButton.textContent = cleanKey(keyConfig.down);
-    downButton.classList.add('keyButton');
-
-    const rightButton = document.createElement('button');
-    rightButton.textContent = cleanKey(keyConfig.right);
-    rightButton.classList.add('keyButton');
-
-    buttonLineTwo.appendChild(leftButton);
-    buttonLineTwo.appendChild(downButton);
-    buttonLineTwo.appendChild(rightButton);
-
-    // Add to container
-    container.appendChild(buttonLineOne);
-    container.appendChild(buttonLineTwo);
+  function createDifficultySelector(container, { difficulties, difficulty, onDifficultyChange }) {
+    const difficultyButton = document.createElement('button');
+    difficultyButton.classList.add('keyButton', 'difficultyButton');
+    difficultyButton.textContent = difficulty;
+
+    difficultyButton.addEventListener('click', () => {
+      const next = difficulties[(difficulties.indexOf(difficultyButton.textContent) + 1) % difficulties.length];
+      difficultyButton.textContent = next;
+      onDifficultyChange(next);
+    });
+
+    container.appendChild(difficultyButton);
   }
 }
 
+/**
+ * Creates a key layout UI. Clicking a key button rebinds it to the next key pressed.
+ * 
+ * @param {HTMLElement} container - Container for key layout
+ * @param {Object} keyConfig - Key configuration
+ * @param {number} playerIndex - Player the keys belong to
+ */
+export function createKeyLayout(container, keyConfig, playerIndex) {
+  // Top row (up and serve keys)
+  const buttonLineOne = document.createElement('div');
+  buttonLineOne.classList.add('buttonLine');
+
+  // Empty slot for alignment
+  const emptyLeft = document.createElement('div');
+  emptyLeft.classList.add('keySlot');
+
+  const upButton = document.createElement('button');
+  upButton.textContent = cleanKey(keyConfig.up);
+  upButton.classList.add('keyButton');
+
+  const serveButton = document.createElement('button');
+  serveButton.textContent = cleanKey(keyConfig.serve);
+  serveButton.classList.add('keyButton');
+
+  buttonLineOne.appendChild(emptyLeft);
+  buttonLineOne.appendChild(upButton);
+  buttonLineOne.appendChild(serveButton);
+
+  // Bottom row (left, down, right keys)
+  const buttonLineTwo = document.createElement('div');
+  buttonLineTwo.classList.add('buttonLine');
+
+  const leftButton = document.createElement('button');
+  leftButton.textContent = cleanKey(keyConfig.left);
+  leftButton.classList.add('keyButton');
+
+  const downButton = document.createElement('button');
+  downButton.textContent = cleanKey(keyConfig.down);
+  downButton.classList.add('keyButton');
+
+  const rightButton = document.createElement('button');
+  rightButton.textContent = cleanKey(keyConfig.right);
+  rightButton.classList.add('keyButton');
+
+  buttonLineTwo.appendChild(leftButton);
+  buttonLineTwo.appendChild(downButton);
+  buttonLineTwo.appendChild(rightButton);
+
+  // Add to container
+  container.appendChild(buttonLineOne);
+  container.appendChild(buttonLineTwo);
+
+  const keyButtons = {
+    up: upButton, right: rightButton, down: downButton, left: leftButton, serve: serveButton
+  };
+
+  // Rebind on click: the next key pressed replaces this one (Escape cancels)
+  const rebindKey = (button, keyType) => {
+    if (isKeyBindingActive()) return;
+    button.blur(); // Keep Space/Enter from clicking it again
+    button.classList.add('listening');
+    button.textContent = '?';
+
+    listenForKeyPress((code) => {
+      button.classList.remove('listening');
+      updatePlayerKey(playerIndex, keyType, code); // Refuses reserved keys such as Escape
+      button.textContent = cleanKey(keyConfig[keyType]);
+    });
+  };
+
+  // Show current keys (they may be rebound elsewhere) and flag keys also bound to another control
+  const markConflicts = ({ conflicts }) => {
+    Object.entries(keyButtons).forEach(([keyType, button]) => {
+      if (!button.classList.contains('listening')) {
+        button.textContent = cleanKey(keyConfig[keyType]);
+      }
+      const isConflict = conflicts.some(({ bindings }) => bindings.some(binding =>
+        binding.playerIndex === playerIndex && binding.keyType === keyType
+      ));
+      button.classList.toggle('keyConflict', isConflict);
+      const hint = isConflict ? 'This key is also bound to another control' : 'Click to change';
+      button.title = keyType === 'serve' ? `Serve key. ${hint}` : hint;
+    });
+  };
+
+  Object.entries(keyButtons).forEach(([keyType, button]) => {
+    button.dataset.keyType = keyType;
+    button.addEventListener('click', () => rebindKey(button, keyType));
+  });
+  const subscription = keyBindingsChangeEvent.subscribe((data) => {
+    if (!container.isConnected) {
+      subscription.unsubscribe(); // Layout was removed (e.g. a closed menu)
+      return;
+    }
+    markConflicts(data);
+  });
+  markConflicts({ conflicts: findKeyConflicts() });
+}
+
 /**
  * Creates the "Add Player" button
  * 
@@ -189,7 +286,21 @@ export function waitingScreen(playerNumber, team = 0, keys, playerIndex) {
 export function createAddPlayerButton(callback) {
   const button = document.createElement('div');
   button.classList.add('addPlayerButton');
-  button.textContent = 'Press B to Add Player';
+  button.textContent = 'Press B (or A on a gamepad) to Add Player';
+  button.addEventListener('click', callback);
+  return button;
+}
+
+/**
+ * Creates the "Add CPU" button
+ * 
+ * @param {Function} callback - Click handler
+ * @returns {HTMLElement} Button element
+ */
+export function createAddCpuButton(callback) {
+  const button = document.createElement('div');
+  button.classList.add('addCpuButton');
+  button.textContent = 'Add CPU';
   button.addEventListener('click', callback);
   return button;
 }
@@ -242,6 +353,76 @@ export function createBall() {
   return ball;
 }
 
+/**
+ * Creates the seed field for the setup screen.
+ * Leaving it empty starts the match with a fresh random seed.
+ * 
+ * @returns {Object} Container and input elements
+ */
+export function createSeedInput() {
+  const container = document.createElement('div');
+  container.classList.add('seedInputContainer');
+
+  const label = document.createElement('label');
+  label.classList.add('seedLabel');
+  label.textContent = 'SEED';
+
+  const input = document.createElement('input');
+  input.classList.add('seedInput');
+  input.type = 'text';
+  input.placeholder = 'random';
+  input.spellcheck = false;
+  label.appendChild(input);
+
+  container.appendChild(label);
+
+  return { container, input };
+}
+
+/**
+ * Creates the match options for the setup screen
+ *
+ * @param {Object} options - Initial values and change handlers
+ * @param {boolean} options.teammateCollisions - Whether teammates collide
+ * @param {Function} options.onTeammateCollisionsChange - Called with the new value when toggled
+ * @returns {HTMLElement} Match options container
+ */
+export function createMatchOptions({ teammateCollisions, onTeammateCollisionsChange }) {
+  const container = document.createElement('div');
+  container.classList.add('matchOptionsContainer');
+
+  let isEnabled = teammateCollisions;
+  const collisionsButton = document.createElement('button');
+  collisionsButton.classList.add('matchOptionButton');
+  const updateLabel = () => {
+    collisionsButton.textContent = `TEAMMATES COLLIDE: ${isEnabled ? 'ON' : 'OFF'}`;
+    collisionsButton.classList.toggle('active', isEnabled);
+  };
+  updateLabel();
+
+  collisionsButton.addEventListener('click', () => {
+    isEnabled = !isEnabled;
+    updateLabel();
+    onTeammateCollisionsChange(isEnabled);
+  });
+  container.appendChild(collisionsButton);
+
+  return container;
+}
+
+/**
+ * Creates the in-match seed label so a match can be reported and replayed
+ * 
+ * @param {number} seed - Seed of the current match
+ * @returns {HTMLElement} Seed display element
+ */
+export function createSeedDisplay(seed) {
+  const seedDisplay = document.createElement('div');
+  seedDisplay.classList.add('seedDisplay');
+  seedDisplay.textContent = `SEED ${seed}`;
+  return seedDisplay;
+}
+
 /**
  * Creates a countdown display
  * 
@@ -261,7 +442,7 @@ export function createCountdown() {
 }
 
 /**
- * Creates a score board
+ * Creates a score board. Fill it with updateScoreBoard.
  * 
  * @returns {Object} Score board elements
  */
@@ -269,6 +450,9 @@ export function createScoreBoard() {
   const scoreBoard = document.createElement('div');
   scoreBoard.classList.add('scoreBoard');
 
+  const scoreRow = document.createElement('div');
+  scoreRow.classList.add('scoreRow');
+
   const teamOneScore = document.createElement('div');
   teamOneScore.classList.add('teamScore', 'teamOneScore');
   teamOneScore.textContent = '0';
@@ -281,17 +465,142 @@ export function createScoreBoard() {
   teamTwoScore.classList.add('teamScore', 'teamTwoScore');
   teamTwoScore.textContent = '0';
 
-  scoreBoard.appendChild(teamOneScore);
-  scoreBoard.appendChild(scoreSeparator);
-  scoreBoard.appendChild(teamTwoScore);
+  const setInfo = document.createElement('div');
+  setInfo.classList.add('setInfo');
+
+  const matchInfo = document.createElement('div');
+  matchInfo.classList.add('matchInfo');
+
+  scoreRow.appendChild(teamOneScore);
+  scoreRow.appendChild(scoreSeparator);
+  scoreRow.appendChild(teamTwoScore);
+  scoreBoard.appendChild(scoreRow);
+  scoreBoard.appendChild(setInfo);
+  scoreBoard.appendChild(matchInfo);
 
   return {
     container: scoreBoard,
     teamOneScore,
-    teamTwoScore
+    teamTwoScore,
+    setInfo,
+    matchInfo
   };
 }
 
+/**
+ * Formats the scores of finished sets, e.g. "7-5 · 3-7"
+ * 
+ * @param {Array<Array<number>>} setScores - Final scores of the finished sets
+ * @returns {string} Set scores text
+ */
+export function formatSetScores(setScores) {
+  return setScores.map(([teamOne, teamTwo]) => `${teamOne}-${teamTwo}`).join(' · ');
+}
+
+/**
+ * Renders the match store into a score board
+ * 
+ * @param {Object} scoreBoard - Elements from createScoreBoard
+ * @param {Object} matchState - State from the match store (see core/matchStore.js)
+ */
+export function updateScoreBoard(scoreBoard, { score, sets, setScores, setNumber, format, servingTeam, round, rallyCount }) {
+  scoreBoard.teamOneScore.textContent = score[0];
+  scoreBoard.teamTwoScore.textContent = score[1];
+  scoreBoard.teamOneScore.classList.toggle('serving', round > 0 && servingTeam === 1);
+  scoreBoard.teamTwoScore.classList.toggle('serving', round > 0 && servingTeam === 2);
+
+  // Sets are only shown for matches of more than one set
+  const finishedSets = setScores.length > 0 ? ` (${formatSetScores(setScores)})` : '';
+  scoreBoard.setInfo.textContent = format.sets > 1
+    ? `SET ${setNumber} · SETS ${sets[0]}-${sets[1]}${finishedSets}`
+    : '';
+  scoreBoard.matchInfo.textContent = round > 0 ? `ROUND ${round} · RALLY ${rallyCount}` : '';
+}
+
+/**
+ * Labels shown on a touch counter after a fault
+ * @type {Object<string, string>}
+ */
+const TOUCH_FAULT_LABELS = {
+  too_many_touches: 'TOO MANY TOUCHES',
+  double_hit: 'DOUBLE HIT'
+};
+
+/**
+ * Creates the touch counters shown above each team's side
+ * 
+ * @returns {Object} { container, counters: [team1 element, team2 element] }
+ */
+export function createTouchCounters() {
+  const container = document.createElement('div');
+  container.classList.add('touchCounters');
+
+  const counters = ['teamOneTouches', 'teamTwoTouches'].map(className => {
+    const counter = document.createElement('div');
+    counter.classList.add('touchCounter', className);
+    container.appendChild(counter);
+    return counter;
+  });
+
+  return { container, counters };
+}
+
+/**
+ * Shows the current touch counts as filled and empty dots
+ * 
+ * @param {Object} touchCounters - Elements from createTouchCounters
+ * @param {Array<number>} counts - Touches [team1, team2]
+ * @param {number} maxTouches - Touches allowed per side
+ */
+export function updateTouchCounters({ counters }, counts, maxTouches) {
+  counters.forEach((counter, index) => {
+    const used = Math.min(counts[index], maxTouches);
+    counter.classList.remove('fault');
+    counter.textContent = '●'.repeat(used) + '○'.repeat(maxTouches - used);
+  });
+}
+
+/**
+ * Marks the counter of the team that committed a touch fault
+ * 
+ * @param {Object} touchCounters - Elements from createTouchCounters
+ * @param {number} team - Faulting team (1 or 2)
+ * @param {string} reason - Fault reason from TOUCH_FAULTS
+ */
+export function showTouchFault({ counters }, team, reason) {
+  const counter = counters[team - 1];
+  counter.classList.add('fault');
+  counter.textContent = TOUCH_FAULT_LABELS[reason] || 'FAULT';
+}
+
+/**
+ * Creates the serve clock. Fill it with updateServeClock.
+ * 
+ * @returns {HTMLElement} Serve clock element
+ */
+export function createServeClock() {
+  const serveClock = document.createElement('div');
+  serveClock.classList.add('serveClock');
+  return serveClock;
+}
+
+/**
+ * Shows the seconds the server has left, or the fault when the clock ran out
+ * 
+ * @param {HTMLElement} serveClock - Element from createServeClock
+ * @param {Object} clock - Data from serveClockEvent ({ team, secondsLeft, isFault })
+ */
+export function updateServeClock(serveClock, { team, secondsLeft, isFault }) {
+  serveClock.classList.toggle('fault', isFault);
+  serveClock.classList.toggle('teamOne', team === 1);
+  serveClock.classList.toggle('teamTwo', team === 2);
+  if (isFault) {
+    serveClock.textContent = 'SERVE CLOCK FAULT';
+  } else {
+    serveClock.textContent = secondsLeft === null ? '' : `SERVE ${secondsLeft}`;
+  }
+}
+
 /**
  * Creates game over screen
  * 
@@ -340,8 +649,9 @@ export function createWall(groundHeight = 40, fieldHeight = 400, fieldWidth = 80
   wall.style.width = `${netWidth}px`;
   wall.style.height = `${netHeight}px`;
   wall.style.backgroundColor = '#0066cc';
-  wall.style.borderTopLeftRadius = '5px';
-  wall.style.borderTopRightRadius = '5px';
+  // Half-circle top, matching the net's collision cap (see objectRegistry)
+  wall.style.borderTopLeftRadius = `${netWidth / 2}px`;
+  wall.style.borderTopRightRadius = `${netWidth / 2}px`;
   wall.style.zIndex = '40';
 
   // Add net texture as child element for better styling
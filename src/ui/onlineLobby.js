@@ -0,0 +1,96 @@
+/**
+ * Setup screen panel for joining an online match.
+ * @module onlineLobby
+ */
+
+/**
+ * Creates the "play online" button and its join panel
+ *
+ * @param {Object} options - Lobby options
+ * @param {string} options.defaultServer - Relay URL shown in the server field
+ * @param {Function} options.onJoin - Called with (serverUrl, roomCode) when the player joins
+ * @returns {Object} { container, setStatus }
+ */
+export function createOnlineLobby({ defaultServer, onJoin }) {
+  const container = document.createElement('div');
+  container.classList.add('onlineLobby');
+
+  const toggleButton = document.createElement('button');
+  toggleButton.classList.add('replayButton', 'onlineToggleButton');
+  toggleButton.textContent = 'PLAY ONLINE';
+
+  const panel = document.createElement('div');
+  panel.classList.add('onlinePanel');
+  panel.style.display = 'none';
+
+  const serverInput = document.createElement('input');
+  serverInput.classList.add('onlineInput', 'onlineServerInput');
+  serverInput.value = defaultServer;
+  serverInput.spellcheck = false;
+
+  const roomInput = document.createElement('input');
+  roomInput.classList.add('onlineInput', 'onlineRoomInput');
+  roomInput.placeholder = 'room';
+  roomInput.maxLength = 16;
+  roomInput.spellcheck = false;
+
+  const joinButton = document.createElement('button');
+  joinButton.classList.add('replayButton', 'onlineJoinButton');
+  joinButton.textContent = 'JOIN';
+
+  const status = document.createElement('div');
+  status.classList.add('onlineStatus');
+
+  toggleButton.addEventListener('click', () => {
+    const isHidden = panel.style.display === 'none';
+    panel.style.display = isHidden ? 'flex' : 'none';
+    if (isHidden) roomInput.focus();
+  });
+
+  const join = () => {
+    const room = roomInput.value.trim();
+    if (!room) {
+      status.textContent = 'Enter a room code';
+      return;
+    }
+    joinButton.disabled = true;
+    onJoin(serverInput.value.trim(), room);
+  };
+  joinButton.addEventListener('click', join);
+  roomInput.addEventListener('keydown', (event) => {
+    if (event.code === 'Enter') join();
+  });
+
+  panel.appendChild(serverInput);
+  panel.appendChild(roomInput);
+  panel.appendChild(joinButton);
+  panel.appendChild(status);
+  container.appendChild(toggleButton);
+  container.appendChild(panel);
+
+  /**
+   * Shows connection progress; re-enables joining unless still connecting
+   *
+   * @param {string} text - Status message
+   * @param {boolean} [isBusy=false] - Keep the join button disabled
+   */
+  const setStatus = (text, isBusy = false) => {
+    status.textContent = text;
+    joinButton.disabled = isBusy;
+  };
+
+  return { container, setStatus };
+}
+
+/**
+ * Creates the banner shown over an online match when the connection ends
+ *
+ * @param {string} text - Message to show
+ * @returns {HTMLElement} Banner element
+ */
+export function createOnlineMessage(text) {
+  const message = document.createElement('div');
+  message.classList.add('onlineMessage');
+  message.textContent = text;
+  return message;
+}
@@ -0,0 +1,96 @@
+import { createKeyLayout } from './graphics.js';
+
+/**
+ * Pause menu shown over a paused match.
+ * @module pauseMenu
+ */
+
+/**
+ * Creates the pause menu
+ *
+ * @param {Object} options - Menu options
+ * @param {Function} options.onResume - Resume clicked
+ * @param {Function} options.onRestart - Restart match clicked
+ * @param {Function} options.onQuit - Quit to setup clicked
+ * @param {Array<Object>} [options.keyboardPlayers=[]] - Players listed under Settings: { playerIndex, keyConfig }
+ * @returns {HTMLElement} Menu element
+ */
+export function createPauseMenu({ onResume, onRestart, onQuit, keyboardPlayers = [] }) {
+  const menu = document.createElement('div');
+  menu.classList.add('pauseMenu');
+
+  const panel = document.createElement('div');
+  panel.classList.add('pausePanel');
+
+  const title = document.createElement('div');
+  title.classList.add('pauseTitle');
+  title.textContent = 'PAUSED';
+
+  /**
+   * Creates a menu button
+   * @param {string} text - Button label
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLElement} Button element
+   */
+  const createMenuButton = (text, onClick) => {
+    const button = document.createElement('button');
+    button.classList.add('pauseButton');
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+  };
+
+  // Main view
+  const mainView = document.createElement('div');
+  mainView.classList.add('pauseView');
+
+  // Settings view: key bindings of the keyboard players
+  const settingsView = document.createElement('div');
+  settingsView.classList.add('pauseView');
+  settingsView.style.display = 'none';
+
+  /**
+   * Shows one view of the menu
+   * @param {HTMLElement} view - mainView or settingsView
+   */
+  const showView = (view) => {
+    mainView.style.display = view === mainView ? 'flex' : 'none';
+    settingsView.style.display = view === settingsView ? 'flex' : 'none';
+  };
+
+  mainView.appendChild(createMenuButton('RESUME', onResume));
+  mainView.appendChild(createMenuButton('RESTART MATCH', onRestart));
+  mainView.appendChild(createMenuButton('SETTINGS', () => showView(settingsView)));
+  mainView.appendChild(createMenuButton('QUIT TO SETUP', onQuit));
+
+  if (keyboardPlayers.length === 0) {
+    const note = document.createElement('div');
+    note.classList.add('pauseNote');
+    note.textContent = 'No keyboard players';
+    settingsView.appendChild(note);
+  }
+  keyboardPlayers.forEach(({ playerIndex, keyConfig }) => {
+    const row = document.createElement('div');
+    row.classList.add('pauseKeysRow');
+
+    const label = document.createElement('div');
+    label.classList.add('playerLabel');
+    label.textContent = `P${playerIndex + 1}`;
+
+    const keysContainer = document.createElement('div');
+    keysContainer.classList.add('keysContainer');
+    createKeyLayout(keysContainer, keyConfig, playerIndex);
+
+    row.appendChild(label);
+    row.appendChild(keysContainer);
+    settingsView.appendChild(row);
+  });
+  settingsView.appendChild(createMenuButton('BACK', () => showView(mainView)));
+
+  panel.appendChild(title);
+  panel.appendChild(mainView);
+  panel.appendChild(settingsView);
+  menu.appendChild(panel);
+
+  return menu;
+}
@@ -0,0 +1,81 @@
+import { createSlimeElement } from './slimeGraphics.js';
+import { createBallElement } from './ballGraphics.js';
+
+/**
+ * DOM renderer for a simulation.
+ * Creates an element for every entity the simulation adds, removes it again when
+ * the entity leaves, and draws all entities once per animation frame.
+ * @module renderer
+ */
+
+/**
+ * Attaches a DOM renderer to a simulation
+ *
+ * @param {Object} simulation - Simulation instance (see core/simulation.js)
+ * @param {HTMLElement} container - Element that receives entity elements
+ * @returns {Object} Renderer with render and detach methods
+ */
+export function Renderer(simulation, container) {
+  /**
+   * Creates and attaches the element for a newly added entity
+   *
+   * @param {Object} data - Entity event data
+   * @param {string} data.type - Entity type ('slime' or 'ball')
+   * @param {Object} data.entity - Entity instance
+   */
+  const onEntityAdded = ({ type, entity }) => {
+    if (entity.element) return; // Already has a view
+
+    let element = null;
+    if (type === 'slime') {
+      element = createSlimeElement(entity.appearance);
+    } else if (type === 'ball') {
+      ({ element } = createBallElement(simulation.field, entity.dimensions));
+    }
+    if (!element) return;
+
+    container.appendChild(element);
+    entity.setElement(element);
+  };
+
+  /**
+   * Removes the element of an entity that left the simulation
+   *
+   * @param {Object} data - Entity event data
+   * @param {Object} data.entity - Entity instance
+   */
+  const onEntityRemoved = ({ entity }) => {
+    entity.element?.remove();
+  };
+
+  const subscriptions = [
+    simulation.entityAddedEvent.subscribe(onEntityAdded),
+    simulation.entityRemovedEvent.subscribe(onEntityRemoved)
+  ];
+
+  // Pick up entities that were added before the renderer was attached
+  simulation.slimes.forEach(entity => onEntityAdded({ type: 'slime', entity }));
+  simulation.balls.forEach(entity => onEntityAdded({ type: 'ball', entity }));
+
+  /**
+   * Draws every entity, interpolated between the last two ticks
+   *
+   * @param {number} [alpha=1] - Interpolation factor (0-1)
+   */
+  const render = (alpha = 1) => {
+    simulation.slimes.forEach(slime => slime.render(alpha));
+    simulation.balls.forEach(ball => ball.render(alpha));
+  };
+
+  /**
+   * Stops listening to the simulation. Existing elements are left in place.
+   */
+  const detach = () => {
+    subscriptions.forEach(subscription => subscription.unsubscribe());
+  };
+
+  return {
+    render,
+    detach
+  };
+}
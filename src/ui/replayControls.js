@@ -0,0 +1,173 @@
+import { timing } from '../../config.js';
+
+/**
+ * Replay UI: save/load buttons and the playback control bar.
+ * @module replayControls
+ */
+
+/**
+ * Playback speeds offered in the speed selector
+ * @type {Array<number>}
+ */
+const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+/**
+ * Formats a tick count as m:ss
+ *
+ * @param {number} ticks - Simulation ticks
+ * @returns {string} Formatted time
+ */
+function formatTicks(ticks) {
+  const totalSeconds = Math.floor(ticks / timing.TICK_RATE);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+/**
+ * Offers replay data to the user as a JSON file download
+ *
+ * @param {Object} replay - Replay data from ReplayRecorder.getReplay
+ */
+export function downloadReplay(replay) {
+  const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `slajmboll-replay-${replay.seed}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Creates the in-match "save replay" button
+ *
+ * @param {Function} onSave - Click handler
+ * @returns {HTMLElement} Button element
+ */
+export function createSaveReplayButton(onSave) {
+  const button = document.createElement('button');
+  button.classList.add('replayButton', 'saveReplayButton');
+  button.textContent = 'SAVE REPLAY';
+  button.addEventListener('click', (event) => {
+    event.currentTarget.blur(); // Keep Space/Enter from re-triggering it during play
+    onSave();
+  });
+  return button;
+}
+
+/**
+ * Creates the setup screen "load replay" button
+ *
+ * @param {Function} onLoad - Called with the file's text content
+ * @returns {HTMLElement} Button element
+ */
+export function createLoadReplayButton(onLoad) {
+  const label = document.createElement('label');
+  label.classList.add('replayButton', 'loadReplayButton');
+  label.textContent = 'LOAD REPLAY';
+
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.json,application/json';
+  input.style.display = 'none';
+  input.addEventListener('change', () => {
+    const [file] = input.files;
+    if (!file) return;
+
+    file.text()
+      .then(onLoad)
+      .catch(error => console.error("Could not read replay file.", error));
+    input.value = ''; // Allow loading the same file again
+  });
+
+  label.appendChild(input);
+  return label;
+}
+
+/**
+ * Creates the replay playback bar: play/pause, scrubber, time and speed
+ *
+ * @param {Object} player - ReplayPlayer instance
+ * @param {Object} options - Additional handlers
+ * @param {Function} options.onExit - Called when the user leaves the replay
+ * @returns {HTMLElement} Control bar element
+ */
+export function createReplayControls(player, { onExit }) {
+  const bar = document.createElement('div');
+  bar.classList.add('replayControls');
+
+  const playButton = document.createElement('button');
+  playButton.classList.add('replayButton', 'replayPlayButton');
+  playButton.addEventListener('click', () => {
+    if (player.isPlaying) {
+      player.pause();
+    } else {
+      player.play();
+    }
+  });
+
+  const scrubber = document.createElement('input');
+  scrubber.classList.add('replayScrubber');
+  scrubber.type = 'range';
+  scrubber.min = '0';
+  scrubber.max = String(player.duration);
+  scrubber.step = '1';
+  let isScrubbing = false;
+  scrubber.addEventListener('input', () => {
+    isScrubbing = true;
+    player.seek(Number(scrubber.value));
+  });
+  scrubber.addEventListener('change', () => {
+    isScrubbing = false;
+  });
+
+  const timeLabel = document.createElement('span');
+  timeLabel.classList.add('replayTime');
+
+  const speedSelect = document.createElement('select');
+  speedSelect.classList.add('replaySpeed');
+  PLAYBACK_SPEEDS.forEach(speed => {
+    const option = document.createElement('option');
+    option.value = String(speed);
+    option.textContent = `${speed}x`;
+    option.selected = speed === player.speed;
+    speedSelect.appendChild(option);
+  });
+  speedSelect.addEventListener('change', () => {
+    player.setSpeed(Number(speedSelect.value));
+  });
+
+  const exitButton = document.createElement('button');
+  exitButton.classList.add('replayButton', 'replayExitButton');
+  exitButton.textContent = 'EXIT';
+  exitButton.addEventListener('click', onExit);
+
+  bar.appendChild(playButton);
+  bar.appendChild(scrubber);
+  bar.appendChild(timeLabel);
+  bar.appendChild(speedSelect);
+  bar.appendChild(exitButton);
+
+  /**
+   * Reflects player progress in the controls
+   *
+   * @param {Object} progress - Progress data from the player's progressEvent
+   */
+  const updateControls = ({ tick, duration, isPlaying }) => {
+    playButton.textContent = isPlaying ? 'PAUSE' : 'PLAY';
+    if (!isScrubbing) {
+      scrubber.value = String(tick);
+    }
+    timeLabel.textContent = `${formatTicks(tick)} / ${formatTicks(duration)}`;
+  };
+
+  player.progressEvent.subscribe(updateControls);
+  updateControls({ tick: player.tick, duration: player.duration, isPlaying: player.isPlaying });
+
+  return bar;
+}
@@ -1,4 +1,38 @@
 import { teams } from '../../config.js';
+import { msToTicks } from '../core/gameLoop.js';
+import { tween, easings, playAnimation, cancelAnimations } from '../utils/animations.js';
+
+/**
+ * Length of a special move flash
+ * @type {number}
+ */
+const EFFECT_FRAMES = msToTicks(150);
+
+/**
+ * Backgrounds of the special move flashes, by effect type.
+ * Each receives the fade progress (0 = full flash, 1 = gone).
+ * @type {Object<string, Function>}
+ */
+const EFFECT_BACKGROUNDS = {
+  jump: (baseColor, fade) => `radial-gradient(circle, white 0%, ${baseColor} ${70 * (1 - fade)}%)`,
+  wallJump: (baseColor, fade) => `linear-gradient(90deg, white 0%, ${baseColor} ${60 * (1 - fade)}%)`,
+  directionChange: (baseColor, fade) =>
+    `linear-gradient(0deg, ${baseColor} ${50 + 15 * fade}%, white 65%, ${baseColor} ${80 - 15 * fade}%)`,
+  spike: (baseColor, fade) => `linear-gradient(180deg, white 0%, orange ${25 * (1 - fade)}%, ${baseColor} ${60 * (1 - fade)}%)`,
+  dash: (baseColor, fade) => `linear-gradient(90deg, ${baseColor} ${20 * fade}%, white 50%, ${baseColor} ${100 - 20 * fade}%)`
+};
+
+/**
+ * Lifetime of a dash trail ghost
+ * @type {number}
+ */
+const TRAIL_FRAMES = msToTicks(200);
+
+/**
+ * Opacity of a dash trail ghost when it is left behind
+ * @type {number}
+ */
+const TRAIL_OPACITY = 0.5;
 
 /**
  * @typedef {Object} SlimeAppearance
@@ -22,6 +56,16 @@ export function createSlimeElement(appearance) {
   return slime;
 }
 
+/**
+ * Highlights a slime, e.g. the server during the countdown
+ * 
+ * @param {HTMLElement} slimeElement - The slime DOM element
+ * @param {boolean} isHighlighted - True to highlight, false to clear
+ */
+export function setSlimeHighlight(slimeElement, isHighlighted) {
+  slimeElement.classList.toggle('highlighted', isHighlighted);
+}
+
 /**
  * Sets slime attributes and identifiers
  * 
@@ -153,42 +197,60 @@ export function renderSlime(slimeElement, position, velocity, width, height, isH
 } // End renderSlime
 
 /**
- * Creates an effect when slime performs a special move
+ * Creates an effect when slime performs a special move.
+ * The flash fades out over a few frames on the animation runner; starting a new
+ * effect cancels the one still playing on the element.
  * 
  * @param {HTMLElement} slimeElement - The slime DOM element
- * @param {string} effectType - Type of effect ('jump', 'wallJump', 'directionChange')
+ * @param {string} effectType - Type of effect ('jump', 'wallJump', 'directionChange', 'spike', 'dash')
  * @param {string} baseColor - Base color of the slime
  */
 export function createSlimeEffect(slimeElement, effectType, baseColor) {
-  switch (effectType) {
-    case 'jump':
-      // Jump flash effect
-      slimeElement.style.background = `radial-gradient(circle, white 0%, ${baseColor} 70%)`;
-      setTimeout(() => {
-        slimeElement.style.background = baseColor;
-      }, 150);
-      break;
-
-    case 'wallJump':
-      // Wall jump streak effect
-      slimeElement.style.background = `linear-gradient(90deg, white 0%, ${baseColor} 60%)`;
-      setTimeout(() => {
-        slimeElement.style.background = baseColor;
-      }, 150);
-      break;
-
-    case 'directionChange':
-      // Direction change pulse effect
-      slimeElement.style.background = `linear-gradient(0deg, ${baseColor} 50%, white 65%, ${baseColor} 80%)`;
-      setTimeout(() => {
-        slimeElement.style.background = baseColor;
-      }, 150);
-      break;
-
-    default:
-      // Reset to default
-      slimeElement.style.background = baseColor;
+  cancelAnimations(slimeElement);
+
+  const background = EFFECT_BACKGROUNDS[effectType];
+  if (!background) {
+    // Reset to default
+    slimeElement.style.background = baseColor;
+    return;
   }
+
+  slimeElement.style.background = background(baseColor, 0);
+  playAnimation(tween(
+    slimeElement,
+    EFFECT_FRAMES,
+    (fade) => { slimeElement.style.background = background(baseColor, fade); },
+    {
+      easing: easings.easeInQuad,
+      onEnd: () => { slimeElement.style.background = baseColor; }
+    }
+  ));
+}
+
+/**
+ * Leaves a fading copy of the slime where it is now, for the dash trail.
+ * The ghost removes itself once it has faded out.
+ * 
+ * @param {HTMLElement} slimeElement - The slime DOM element
+ * @param {string} baseColor - Base color of the slime
+ */
+export function createDashTrail(slimeElement, baseColor) {
+  if (!slimeElement.parentNode) return;
+
+  const ghost = document.createElement('div');
+  ghost.classList.add('slimeTrail');
+  ['left', 'top', 'width', 'height', 'borderTopLeftRadius', 'borderTopRightRadius', 'transform', 'transformOrigin']
+    .forEach(property => { ghost.style[property] = slimeElement.style[property]; });
+  ghost.style.backgroundColor = baseColor;
+  ghost.style.opacity = TRAIL_OPACITY;
+  slimeElement.parentNode.insertBefore(ghost, slimeElement);
+
+  playAnimation(tween(
+    ghost,
+    TRAIL_FRAMES,
+    (fade) => { ghost.style.opacity = TRAIL_OPACITY * (1 - fade); },
+    { easing: easings.easeInQuad, onEnd: () => ghost.remove() }
+  ));
 }
 
 /**
@@ -0,0 +1,129 @@
+/**
+ * On-screen controls for touchscreens.
+ * Each local player gets a strip along the bottom of the field with left, duck and
+ * right buttons on one side and serve and jump buttons on the other. Buttons emit the
+ * player's movement/jump/duck/serve events like its keys do, and every finger is tracked
+ * on its own, so several players (or several fingers) can hold controls at once.
+ * @module touchControls
+ */
+
+/**
+ * Button layout: control name, label and the events it drives
+ * @type {Array<Object>}
+ */
+const TOUCH_BUTTONS = [
+  { control: 'left', label: '◀', press: keys => keys.movementPress.emit(-1), release: keys => keys.movementRelease.emit(-1) },
+  { control: 'down', label: '▼', press: keys => keys.duckPress.emit(), release: keys => keys.duckRelease.emit() },
+  { control: 'right', label: '▶', press: keys => keys.movementPress.emit(1), release: keys => keys.movementRelease.emit(1) },
+  { control: 'serve', label: 'SERVE', press: keys => keys.servePress.emit(), release: keys => keys.serveRelease.emit() },
+  { control: 'up', label: 'JUMP', press: keys => keys.jumpPress.emit(), release: keys => keys.jumpRelease.emit() }
+];
+
+/**
+ * Creates one touch button that holds a control while any finger is on it
+ *
+ * @param {Object} button - Entry of TOUCH_BUTTONS
+ * @param {Object} keys - PlayerEvents to drive
+ * @returns {Object} { element, release }
+ */
+function createTouchButton({ control, label, press, release }, keys) {
+  const element = document.createElement('div');
+  element.classList.add('touchButton', `touchButton-${control}`);
+  element.textContent = label;
+
+  const pointers = new Set(); // Fingers currently on the button
+
+  const hold = (event) => {
+    event.preventDefault();
+    // Touch pointers are captured by the first element they hit; release so a
+    // finger can slide from one button to the next
+    if (element.hasPointerCapture?.(event.pointerId)) {
+      element.releasePointerCapture(event.pointerId);
+    }
+    if (pointers.has(event.pointerId)) return;
+
+    pointers.add(event.pointerId);
+    if (pointers.size === 1) {
+      element.classList.add('pressed');
+      press(keys);
+    }
+  };
+
+  const letGo = (event) => {
+    if (!pointers.delete(event.pointerId)) return;
+    if (pointers.size === 0) {
+      element.classList.remove('pressed');
+      release(keys);
+    }
+  };
+
+  element.addEventListener('pointerdown', hold);
+  element.addEventListener('pointerenter', (event) => {
+    if (event.buttons & 1) hold(event); // A finger slid onto the button
+  });
+  element.addEventListener('pointerup', letGo);
+  element.addEventListener('pointerleave', letGo);
+  element.addEventListener('pointercancel', letGo);
+  element.addEventListener('contextmenu', event => event.preventDefault()); // Long press
+
+  /**
+   * Lets go of the control regardless of fingers still on the button
+   */
+  const releaseAll = () => {
+    if (pointers.size === 0) return;
+    pointers.clear();
+    element.classList.remove('pressed');
+    release(keys);
+  };
+
+  return { element, release: releaseAll };
+}
+
+/**
+ * Creates the touch controls overlay
+ *
+ * @param {Array<Object>} players - Local players: { keys, playerIndex } (keys are PlayerEvents)
+ * @returns {Object} { container, destroy }
+ */
+export function createTouchControls(players) {
+  const container = document.createElement('div');
+  container.classList.add('touchControls');
+
+  const buttons = [];
+
+  players.forEach(({ keys, playerIndex }) => {
+    const strip = document.createElement('div');
+    strip.classList.add('touchPlayer');
+
+    const padGroup = document.createElement('div');
+    padGroup.classList.add('touchPad');
+    const jumpGroup = document.createElement('div');
+    jumpGroup.classList.add('touchJump');
+
+    TOUCH_BUTTONS.forEach(definition => {
+      const button = createTouchButton(definition, keys);
+      buttons.push(button);
+      const group = ['serve', 'up'].includes(definition.control) ? jumpGroup : padGroup;
+      group.appendChild(button.element);
+    });
+
+    const label = document.createElement('div');
+    label.classList.add('touchPlayerLabel');
+    label.textContent = `P${playerIndex + 1}`;
+
+    strip.appendChild(padGroup);
+    strip.appendChild(label);
+    strip.appendChild(jumpGroup);
+    container.appendChild(strip);
+  });
+
+  /**
+   * Releases every held control and removes the overlay
+   */
+  const destroy = () => {
+    buttons.forEach(button => button.release());
+    container.remove();
+  };
+
+  return { container, destroy };
+}
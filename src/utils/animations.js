@@ -6,11 +6,33 @@ import { Event } from '../core/events.js';
  */
 export const animationsEvent = Event('animations');
 
+/**
+ * Event to cancel the running animations of an element
+ * @type {Object}
+ */
+export const animationsCancelEvent = Event('animations_cancel');
+
 /**
  * @typedef {Object} AnimationObject
  * @property {Function} next - Advances animation to next frame
  * @property {Function} ended - Checks if animation has completed
+ * @property {Function} end - Runs the end callback (once), also when cancelled
+ * @property {HTMLElement|null} element - Element the animation drives, used to cancel it
+ */
+
+/**
+ * Easing functions, mapping linear progress (0-1) to eased progress
+ * @type {Object<string, Function>}
  */
+export const easings = {
+  linear: t => t,
+  easeInQuad: t => t * t,
+  easeOutQuad: t => t * (2 - t),
+  easeInOutQuad: t => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+  easeInCubic: t => t * t * t,
+  easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+  easeOutBack: t => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2)
+};
 
 /**
  * Creates a simple animation object that runs for a specified number of frames
@@ -18,12 +40,16 @@ export const animationsEvent = Event('animations');
  * @param {number} frames - Total frames the animation should run
  * @param {Function} update - Function called each frame with the current frame count
  * @param {Function} killSignal - Function that returns true when animation should end
+ * @param {Function} [onEnd=null] - Called once when the animation ends or is cancelled
+ * @param {HTMLElement} [element=null] - Element the animation drives
  * @returns {AnimationObject} Animation object with next/ended methods
  */
-export function Animation(frames, update, killSignal) {
+export function Animation(frames, update, killSignal, onEnd = null, element = null) {
   let currentFrame = frames;
+  let isFinished = false;
 
   return {
+    element,
     /**
      * Advances animation to next frame
      */
@@ -35,7 +61,213 @@ export function Animation(frames, update, killSignal) {
      * Checks if animation has completed
      * @returns {boolean} True if animation has ended
      */
-    ended: () => killSignal(currentFrame)
+    ended: () => killSignal(currentFrame),
+    /**
+     * Runs the end callback once
+     */
+    end: () => {
+      if (isFinished) return;
+      isFinished = true;
+      onEnd?.();
+    }
+  };
+}
+
+/**
+ * Creates an animation that drives a value from 0 to 1 over a number of frames
+ *
+ * @param {HTMLElement|null} element - Element the animation drives
+ * @param {number} duration - Duration in frames
+ * @param {Function} apply - Called each frame with the eased progress (0-1, reaches 1 on the last frame)
+ * @param {Object} [options] - Tween options
+ * @param {Function} [options.easing=easings.linear] - Easing function
+ * @param {Function} [options.onEnd=null] - Called once when the tween ends or is cancelled
+ * @returns {AnimationObject} Animation object
+ */
+export function tween(element, duration, apply, { easing = easings.linear, onEnd = null } = {}) {
+  return Animation(
+    duration,
+    (frame) => apply(easing(1 - (frame - 1) / duration)),
+    (frame) => frame < 1,
+    onEnd,
+    element
+  );
+}
+
+/**
+ * Runs animations one after another
+ *
+ * @param {Array<AnimationObject>} animations - Animations in playing order
+ * @param {HTMLElement} [element] - Element to cancel the group by (defaults to the first animation's)
+ * @returns {AnimationObject} Animation object for the whole sequence
+ */
+export function sequence(animations, element = animations[0]?.element ?? null) {
+  let index = 0;
+  let isFinished = false;
+
+  /** Ends finished steps and moves on to the first one still running */
+  const skipEnded = () => {
+    while (index < animations.length && animations[index].ended()) {
+      animations[index].end();
+      index++;
+    }
+  };
+
+  return {
+    element,
+    next: () => {
+      skipEnded();
+      if (index >= animations.length) return;
+      animations[index].next();
+      skipEnded();
+    },
+    ended: () => index >= animations.length,
+    end: () => {
+      if (isFinished) return;
+      isFinished = true;
+      if (index < animations.length) animations[index].end(); // Cancelled mid-way
+    }
+  };
+}
+
+/**
+ * Runs animations side by side; the group ends when all of them have ended
+ *
+ * @param {Array<AnimationObject>} animations - Animations to run together
+ * @param {HTMLElement} [element] - Element to cancel the group by (defaults to the first animation's)
+ * @returns {AnimationObject} Animation object for the whole group
+ */
+export function parallel(animations, element = animations[0]?.element ?? null) {
+  let running = [...animations];
+  let isFinished = false;
+
+  return {
+    element,
+    next: () => {
+      running = running.filter(animation => {
+        animation.next();
+        if (animation.ended()) {
+          animation.end();
+          return false;
+        }
+        return true;
+      });
+    },
+    ended: () => running.length === 0,
+    end: () => {
+      if (isFinished) return;
+      isFinished = true;
+      running.forEach(animation => animation.end()); // Cancelled mid-way
+      running = [];
+    }
+  };
+}
+
+/**
+ * Hands an animation to the running AnimationRunner
+ *
+ * @param {AnimationObject} animation - Animation to play
+ * @returns {AnimationObject} The same animation
+ */
+export function playAnimation(animation) {
+  animationsEvent.emit(animation);
+  return animation;
+}
+
+/**
+ * Cancels every running animation of an element. Their end callbacks still run,
+ * so styles are restored.
+ *
+ * @param {HTMLElement} element - Element whose animations to cancel
+ */
+export function cancelAnimations(element) {
+  animationsCancelEvent.emit(element);
+}
+
+/**
+ * Creates the runner that advances animations once per tick of the main loop.
+ * It plays everything emitted on animationsEvent and ends animations when their
+ * kill signal fires.
+ *
+ * @returns {Object} Runner with update, cancelElement, clear and destroy methods
+ */
+export function AnimationRunner() {
+  /**
+   * Animations currently playing
+   * @type {Array<AnimationObject>}
+   */
+  let running = [];
+
+  /**
+   * Starts playing an animation
+   *
+   * @param {AnimationObject} animation - Animation to play
+   */
+  const play = (animation) => {
+    if (!running.includes(animation)) running.push(animation);
+  };
+
+  /**
+   * Advances every animation by one frame and cleans up the ones that ended.
+   * Animations started from a callback begin on the next frame.
+   */
+  const update = () => {
+    const current = running;
+    running = [];
+    const remaining = current.filter(animation => {
+      animation.next();
+      if (animation.ended()) {
+        animation.end();
+        return false;
+      }
+      return true;
+    });
+    running = [...remaining, ...running];
+  };
+
+  /**
+   * Cancels every animation that drives an element
+   *
+   * @param {HTMLElement} element - Animated element
+   * @returns {number} Number of animations cancelled
+   */
+  const cancelElement = (element) => {
+    const cancelled = running.filter(animation => animation.element === element);
+    running = running.filter(animation => animation.element !== element);
+    cancelled.forEach(animation => animation.end());
+    return cancelled.length;
+  };
+
+  /**
+   * Cancels every animation
+   */
+  const clear = () => {
+    const cancelled = running;
+    running = [];
+    cancelled.forEach(animation => animation.end());
+  };
+
+  const subscriptions = [
+    animationsEvent.subscribe(play),
+    animationsCancelEvent.subscribe(cancelElement)
+  ];
+
+  /**
+   * Cancels everything and stops listening for new animations
+   */
+  const destroy = () => {
+    clear();
+    subscriptions.forEach(subscription => subscription.unsubscribe());
+  };
+
+  return {
+    get size() { return running.length; },
+
+    play,
+    update,
+    cancelElement,
+    clear,
+    destroy
   };
 }
 
@@ -51,18 +283,14 @@ export function Animation(frames, update, killSignal) {
  * @returns {AnimationObject} Animation object
  */
 export function createPulseAnimation(element, property, baseValue, amplitude, duration, cleanup = true) {
-  return Animation(
+  return tween(
+    element,
     duration,
-    (frame) => {
-      const progress = frame / duration;
+    (progress) => {
       const pulseValue = baseValue + (amplitude * Math.sin(progress * Math.PI));
       element.style[property] = `${pulseValue}${typeof baseValue === 'number' ? 'px' : ''}`;
-
-      if (frame < 2 && cleanup) {
-        element.style[property] = '';
-      }
     },
-    (frame) => frame < 1
+    { onEnd: cleanup ? () => { element.style[property] = ''; } : null }
   );
 }
 
@@ -78,17 +306,13 @@ export function createPulseAnimation(element, property, baseValue, amplitude, du
  * @returns {AnimationObject} Animation object
  */
 export function createColorAnimation(element, property, startColor, endColor, duration, cleanup = true) {
-  return Animation(
+  return tween(
+    element,
     duration,
-    (frame) => {
-      const progress = 1 - (frame / duration);
+    (progress) => {
       element.style[property] = progress < 0.5 ? startColor : endColor;
-
-      if (frame < 2 && cleanup) {
-        element.style[property] = '';
-      }
     },
-    (frame) => frame < 1
+    { onEnd: cleanup ? () => { element.style[property] = ''; } : null }
   );
 }
 
@@ -100,20 +324,17 @@ export function createColorAnimation(element, property, startColor, endColor, du
  * @param {number} endScale - Ending scale factor
  * @param {number} duration - Duration in frames
  * @param {boolean} [cleanup=true] - Whether to reset transform when done
+ * @param {Function} [easing=easings.linear] - Easing function
  * @returns {AnimationObject} Animation object
  */
-export function createScaleAnimation(element, startScale, endScale, duration, cleanup = true) {
-  return Animation(
+export function createScaleAnimation(element, startScale, endScale, duration, cleanup = true, easing = easings.linear) {
+  return tween(
+    element,
     duration,
-    (frame) => {
-      const progress = 1 - (frame / duration);
+    (progress) => {
       const scale = startScale + (endScale - startScale) * progress;
       element.style.transform = `scale(${scale})`;
-
-      if (frame < 2 && cleanup) {
-        element.style.transform = '';
-      }
     },
-    (frame) => frame < 1
+    { easing, onEnd: cleanup ? () => { element.style.transform = ''; } : null }
   );
 }
@@ -9,64 +9,87 @@ export const delayedActionsEvent = Event('delayed_actions');
 /**
  * @typedef {Object} DelayedAction
  * @property {string} id - Unique identifier for the action
- * @property {number} delay - Frames remaining before execution
+ * @property {number} delay - Ticks remaining before execution
  * @property {Function} execute - Function to call when delay expires
+ * @property {Object|null} owner - Entity the action belongs to
+ * @property {boolean} isCancelled - True once cancel() was called
+ * @property {Function} cancel - Drops the action before it runs
  */
 
 /**
- * Creates and registers a delayed action
- * 
- * @param {number} delay - Number of frames to wait before executing
+ * Creates a delayed action handle without scheduling it
+ *
+ * @param {number} delay - Number of ticks to wait before executing
  * @param {Function} callback - Function to call after delay
- * @param {string} [id=null] - Optional identifier (auto-generated if not provided)
- * @returns {string} ID of the created action
+ * @param {Object} [owner=null] - Entity the action belongs to
+ * @returns {DelayedAction} Action handle
  */
-export const createDelayedAction = (delay, callback, id = null) => {
-  const actionId = id || generateActionId();
-
+export const DelayedAction = (delay, callback, owner = null) => {
   const action = {
-    id: actionId,
+    id: generateActionId(),
     delay,
-    execute: callback
+    execute: callback,
+    owner,
+    isCancelled: false,
+    cancel: () => { action.isCancelled = true; }
   };
+  return action;
+};
 
+/**
+ * Creates a delayed action and hands it to the scheduler of the simulation that
+ * owns it (see Simulation). The owner is an entity of a simulation, or the
+ * simulation itself for world-level actions; an action without an owner is
+ * picked up by no simulation and never runs.
+ *
+ * @param {number} delay - Number of ticks to wait before executing
+ * @param {Function} callback - Function to call after delay
+ * @param {Object} owner - Entity or simulation the action belongs to
+ * @returns {DelayedAction} Action handle, pass it to cancelDelayedAction to drop it
+ */
+export const createDelayedAction = (delay, callback, owner) => {
+  if (!owner) console.warn("createDelayedAction: action without an owner will never run.");
+  const action = DelayedAction(delay, callback, owner ?? null);
   delayedActionsEvent.emit(action);
-  return actionId;
+  return action;
 };
 
+/**
+ * Counter that keeps action IDs unique
+ * @type {number}
+ */
+let actionCount = 0;
+
 /**
  * Generates a unique ID for an action
  * 
  * @returns {string} Unique action identifier
  */
 function generateActionId() {
-  return `action_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  return `action_${actionCount++}`;
 }
 
 /**
- * Cancels a delayed action by ID
+ * Cancels a delayed action
  * 
- * @param {string} id - ID of the action to cancel
- * @param {Array} actions - Array of current actions
- * @returns {boolean} True if the action was found and canceled
+ * @param {DelayedAction|null} action - Handle returned by createDelayedAction
+ * @returns {boolean} True if the action was still pending
  */
-export const cancelDelayedAction = (id, actions) => {
-  const index = actions.findIndex(action => action.id === id);
-  if (index !== -1) {
-    actions.splice(index, 1);
-    return true;
-  }
-  return false;
+export const cancelDelayedAction = (action) => {
+  if (!action || action.isCancelled) return false;
+  action.cancel();
+  return true;
 };
 
 /**
- * Processes all active delayed actions
+ * Processes all active delayed actions, dropping cancelled ones
  * 
  * @param {Array} actions - Array of delayed actions to process
  * @returns {Array} Updated array with remaining actions
  */
 export const processDelayedActions = (actions) => {
   return actions.filter(action => {
+    if (action.isCancelled) return false;
     action.delay--;
     if (action.delay <= 0) {
       action.execute();
@@ -80,11 +103,12 @@ export const processDelayedActions = (actions) => {
  * Creates a function that will be called only after a specified delay
  * 
  * @param {Function} func - Function to delay
- * @param {number} delay - Delay in frames
+ * @param {number} delay - Delay in ticks
+ * @param {Object} owner - Entity or simulation the scheduled actions belong to
  * @returns {Function} Function that schedules delayed execution
  */
-export const delayedExecution = (func, delay) => {
+export const delayedExecution = (func, delay, owner) => {
   return (...args) => {
-    createDelayedAction(delay, () => func(...args));
+    createDelayedAction(delay, () => func(...args), owner);
   };
 };
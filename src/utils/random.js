@@ -0,0 +1,161 @@
+import { Event } from '../core/events.js';
+
+/**
+ * Seeded random number service.
+ * All gameplay randomness goes through this module so a match can be
+ * reproduced exactly from its seed. Non-gameplay randomness (element ids etc.)
+ * may keep using Math.random.
+ * @module random
+ */
+
+/**
+ * Event emitted when the seed changes
+ * @type {Object}
+ */
+export const seedChangeEvent = Event('seed_change');
+
+/**
+ * Seed the generator was last initialized with
+ * @type {number}
+ */
+let currentSeed = 0;
+
+/**
+ * Creates a mulberry32 generator
+ *
+ * @param {number} seed - Unsigned 32-bit seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+function mulberry32(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+}
+
+/**
+ * Shared gameplay generator
+ * @type {Function}
+ */
+let generator = mulberry32(0);
+
+/**
+ * Converts a seed given as text into a 32-bit integer.
+ * Numeric strings map to their number so "1234" and 1234 are the same seed.
+ *
+ * @param {number|string} seed - Seed value
+ * @returns {number} Unsigned 32-bit seed
+ */
+function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.floor(seed) >>> 0;
+  }
+
+  const text = String(seed).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) >>> 0;
+  }
+
+  // FNV-1a hash for arbitrary text
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Creates a fresh seed from a non-deterministic source
+ *
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Re-initializes the generator
+ *
+ * @param {number|string} seed - Seed value (numbers and numeric strings are used as-is, other text is hashed)
+ * @returns {number} The normalized seed
+ */
+export function setSeed(seed) {
+  currentSeed = normalizeSeed(seed);
+  generator = mulberry32(currentSeed);
+
+  seedChangeEvent.emit({ seed: currentSeed });
+  return currentSeed;
+}
+
+/**
+ * Gets the seed the generator was last initialized with
+ *
+ * @returns {number} Current seed
+ */
+export function getSeed() {
+  return currentSeed;
+}
+
+/**
+ * Returns the next pseudo-random number (mulberry32)
+ *
+ * @returns {number} Float in the range [0, 1)
+ */
+export function random() {
+  return generator();
+}
+
+/**
+ * Creates an independent seeded generator. Used by systems whose randomness
+ * must not shift the shared gameplay sequence (e.g. computer players).
+ *
+ * @param {number|string} seed - Seed value, normalized like setSeed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+export function createRandom(seed) {
+  return mulberry32(normalizeSeed(seed));
+}
+
+/**
+ * Returns a pseudo-random float in a range
+ *
+ * @param {number} min - Inclusive lower bound
+ * @param {number} max - Exclusive upper bound
+ * @returns {number} Random float
+ */
+export function randomRange(min, max) {
+  return min + random() * (max - min);
+}
+
+/**
+ * Returns a pseudo-random integer in a range
+ *
+ * @param {number} min - Inclusive lower bound
+ * @param {number} max - Inclusive upper bound
+ * @returns {number} Random integer
+ */
+export function randomInt(min, max) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * Shuffles an array in place (Fisher-Yates)
+ *
+ * @param {Array} array - Array to shuffle
+ * @returns {Array} The same array, shuffled
+ */
+export function shuffle(array) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+// Start from an unpredictable seed until a match sets one
+setSeed(generateSeed());
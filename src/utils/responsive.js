@@ -1,4 +1,4 @@
-import { responsive } from '.../../config.js';
+import { responsive } from '../../config.js';
 
 /**
  * Current responsive breakpoint
@@ -15,6 +15,34 @@ function matchesMedia(query) {
   return window.matchMedia(query).matches;
 }
 
+/**
+ * Media query matching touchscreens and other imprecise pointers
+ * @type {string}
+ */
+const COARSE_POINTER_QUERY = '(pointer: coarse)';
+
+/**
+ * Checks whether the primary pointer is coarse (a finger rather than a mouse)
+ * @returns {boolean} True on touchscreens
+ */
+export function isCoarsePointer() {
+  return matchesMedia(COARSE_POINTER_QUERY);
+}
+
+/**
+ * Calls back when the primary pointer switches between coarse and fine
+ * (e.g. a tablet keyboard dock being attached)
+ * @param {Function} callback - Called with true when the pointer became coarse
+ * @returns {Function} Function to remove the listener
+ */
+export function addPointerTypeListener(callback) {
+  const query = window.matchMedia(COARSE_POINTER_QUERY);
+  const handleChange = (event) => callback(event.matches);
+
+  query.addEventListener('change', handleChange);
+  return () => query.removeEventListener('change', handleChange);
+}
+
 /**
  * Determine current breakpoint based on window width
  * @returns {string} Current breakpoint ('SMALL', 'MEDIUM', or 'LARGE')